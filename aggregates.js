@@ -0,0 +1,248 @@
+/**
+ * Aggregates
+ * Precomputed statistics the dashboard reads instead of scanning raw history:
+ * daily peaks with their times, daily averages over open hours, and
+ * per-weekday-per-hour averages and percentiles. collect.js folds each new
+ * entry in; the file is only rebuilt from the shards when it is missing.
+ * Averages and percentiles weight each reading by the minutes it held (until
+ * the next entry), so flat stretches, which record few entries, count as
+ * much as busy ones. The latest reading is `pending` until the next entry;
+ * a closure or outage starting before then (see intervals.js) ends it early.
+ * Days and hours are in the gym's timezone.
+ * Low-fidelity samples (see provenance.js) are kept apart under `estimated`
+ * so the dashboard can include or exclude them.
+ *
+ * Must not import anything platform specific.
+ */
+
+import {
+  GYM_TIMEZONE,
+  getLocalHour,
+  getLocalMinutes,
+  getWeekday,
+  toDateKey,
+} from './time.js';
+import { emptyIntervals, intervalsInRange } from './intervals.js';
+import { isClosedMarker, isLowFidelity } from './provenance.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+
+const TYPES = ['lead', 'boulder'];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// A reading holds until the next entry, for at most this long. Unchanged
+// readings are still recorded every historyHeartbeatMs, so longer gaps are
+// outages rather than flat stretches.
+const MAX_HOLD_MS = HOUR_MS;
+
+/**
+ * Aggregates with nothing folded in yet
+ * @returns {Object}
+ */
+export function emptyAggregates() {
+  return {
+    schemaVersion: SCHEMA_VERSIONS.aggregates,
+    updatedAt: null,
+    lastTimestamp: null,
+    pending: null,
+    days: {},
+    hourly: {},
+  };
+}
+
+/**
+ * Nearest-rank percentile of a histogram of integer values
+ * @param {Object<string, number>} histogram - Value -> occurrences
+ * @param {number} percentile - 0-100
+ * @returns {number|null}
+ */
+export function histogramPercentile(histogram, percentile) {
+  const values = Object.keys(histogram)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const total = values.reduce((sum, value) => sum + histogram[value], 0);
+  if (total === 0) return null;
+
+  const rank = Math.max(1, Math.ceil((percentile / 100) * total));
+  let seen = 0;
+  for (const value of values) {
+    seen += histogram[value];
+    if (seen >= rank) return value;
+  }
+  return values[values.length - 1];
+}
+
+function addToStats(stats, value, minutes) {
+  stats.minutes += minutes;
+  stats.sum += value * minutes;
+  stats.avg = Math.round(stats.sum / stats.minutes);
+}
+
+function addToHourly(stats, value, minutes) {
+  addToStats(stats, value, minutes);
+  const bucket = Math.round(value);
+  stats.histogram[bucket] = (stats.histogram[bucket] || 0) + minutes;
+  stats.p50 = histogramPercentile(stats.histogram, 50);
+  stats.p90 = histogramPercentile(stats.histogram, 90);
+}
+
+function emptyDay() {
+  return { peaks: { lead: null, boulder: null }, open: { samples: 0 } };
+}
+
+function dayRecord(aggregates, dateKey, estimated) {
+  const day = (aggregates.days[dateKey] ??= emptyDay());
+  return estimated ? (day.estimated ??= emptyDay()) : day;
+}
+
+// Start of the next local hour (offsets are whole minutes)
+function nextLocalHour(ms, timeZone) {
+  const intoHour =
+    (getLocalMinutes(ms, timeZone) % 60) * MINUTE_MS + (ms % MINUTE_MS);
+  return ms - intoHour + HOUR_MS;
+}
+
+// When a reading stops holding: at `until`, after MAX_HOLD_MS, or where a
+// closure or outage starts in between, whichever comes first
+function holdEnd(start, until, intervals) {
+  const end = Math.min(Date.parse(until), start + MAX_HOLD_MS);
+  const starts = intervalsInRange(
+    intervals,
+    new Date(start).toISOString(),
+    new Date(end).toISOString()
+  )
+    .map(interval => Date.parse(interval.from))
+    .filter(from => from > start);
+  return Math.min(end, ...starts);
+}
+
+/**
+ * Credits a reading with the time it held until `until`, split at local
+ * hour boundaries so each part lands in its own hour slot
+ */
+function addHeld(aggregates, reading, until, timeZone, intervals) {
+  const start = Date.parse(reading.timestamp);
+  const end = holdEnd(start, until, intervals);
+  for (let from = start; from < end; ) {
+    const to = Math.min(end, nextLocalHour(from, timeZone));
+    const minutes = Math.round((to - from) / MINUTE_MS);
+    const at = new Date(from).toISOString();
+    from = to;
+    if (minutes === 0) continue;
+
+    const dateKey = toDateKey(at, timeZone);
+    const day = dayRecord(aggregates, dateKey, reading.estimated);
+    const hours = (aggregates.hourly[getWeekday(dateKey)] ??= {});
+    let slot = (hours[getLocalHour(at, timeZone)] ??= {});
+    if (reading.estimated) slot = slot.estimated ??= {};
+
+    for (const type of TYPES) {
+      const value = reading[type];
+      if (value == null) continue;
+      addToStats(
+        (day.open[type] ??= { minutes: 0, sum: 0, avg: null }),
+        value,
+        minutes
+      );
+      addToHourly(
+        (slot[type] ??= { minutes: 0, sum: 0, avg: null, histogram: {} }),
+        value,
+        minutes
+      );
+    }
+  }
+}
+
+/**
+ * Folds one history entry into the aggregates (mutates and returns them).
+ * Entries at or before `lastTimestamp` are ignored, so re-running a
+ * collection never counts an entry twice. The entry ends the pending
+ * reading, which is credited with the minutes it held up to the entry or
+ * the first closure or outage in between; a closed marker leaves nothing
+ * pending. Low-fidelity entries go to the day's and hour slot's `estimated`
+ * buckets, which have the same shape.
+ * @param {Object} aggregates
+ * @param {Object} entry - History entry
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's
+ * @param {Object} [intervals] - Interval log (see intervals.js)
+ * @returns {Object} The same aggregates
+ */
+export function addEntry(
+  aggregates,
+  entry,
+  timeZone = GYM_TIMEZONE,
+  intervals = emptyIntervals()
+) {
+  if (aggregates.lastTimestamp && entry.timestamp <= aggregates.lastTimestamp) {
+    return aggregates;
+  }
+  aggregates.lastTimestamp = entry.timestamp;
+  if (aggregates.pending) {
+    addHeld(
+      aggregates,
+      aggregates.pending,
+      entry.timestamp,
+      timeZone,
+      intervals
+    );
+  }
+  aggregates.pending = null;
+  if (isClosedMarker(entry)) {
+    return aggregates;
+  }
+
+  const estimated = isLowFidelity(entry);
+  const day = dayRecord(
+    aggregates,
+    toDateKey(entry.timestamp, timeZone),
+    estimated
+  );
+  day.open.samples += 1;
+
+  for (const type of TYPES) {
+    const value = entry[type];
+    if (value > 0 && (!day.peaks[type] || value > day.peaks[type].value)) {
+      day.peaks[type] = { value, at: entry.timestamp };
+    }
+  }
+  aggregates.pending = {
+    timestamp: entry.timestamp,
+    lead: entry.lead ?? null,
+    boulder: entry.boulder ?? null,
+    estimated,
+  };
+  return aggregates;
+}
+
+/**
+ * Drops daily records before a local date. Hourly statistics are kept.
+ * @param {Object} aggregates
+ * @param {string} oldestKey - First local date to keep 'YYYY-MM-DD'
+ * @returns {Object} The same aggregates
+ */
+export function pruneAggregates(aggregates, oldestKey) {
+  for (const dateKey of Object.keys(aggregates.days)) {
+    if (dateKey < oldestKey) delete aggregates.days[dateKey];
+  }
+  return aggregates;
+}
+
+/**
+ * Builds aggregates from scratch
+ * @param {Object[]} entries - History entries
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's
+ * @param {Object} [intervals] - Interval log (see intervals.js)
+ * @returns {Object}
+ */
+export function buildAggregates(
+  entries,
+  timeZone = GYM_TIMEZONE,
+  intervals = emptyIntervals()
+) {
+  const sorted = [...entries].sort((a, b) =>
+    a.timestamp.localeCompare(b.timestamp)
+  );
+  return sorted.reduce(
+    (aggregates, entry) => addEntry(aggregates, entry, timeZone, intervals),
+    emptyAggregates()
+  );
+}
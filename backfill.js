@@ -0,0 +1,168 @@
+/**
+ * History Backfill
+ * Every collect run commits the data files, so git holds every sample ever
+ * taken. This walks the local git history of the legacy history.json and the
+ * history shards, salvages the entries of every revision and merges the ones
+ * we no longer have back in: into the shards when they are within MAX_DAYS,
+ * otherwise into the archive.
+ *
+ * Usage: node backfill.js
+ */
+
+import { gymConfigs, loadConfig, readGymTimeZone } from './config.js';
+import { MAX_DAYS } from './collect.js';
+import { mergeIntoShards, readEntries, readIntervals } from './history.js';
+import { salvageEntries } from './recover.js';
+import { buildAggregates } from './aggregates.js';
+import { acquireLock, writeJsonAtomic } from './storage.js';
+import { GYM_TIMEZONE, addDays, toDateKey } from './time.js';
+import { listBlobs, readBlobs, repoRoot, toGitPath } from './git.js';
+import { isClosedMarker } from './provenance.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Groups entries into runs of consecutive local days
+ * @param {Object[]} entries
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's
+ * @returns {Array<{from: string, to: string, count: number}>} Date key ranges
+ */
+export function summarizeRanges(entries, timeZone = GYM_TIMEZONE) {
+  const perDay = new Map();
+  for (const entry of entries) {
+    const dateKey = toDateKey(entry.timestamp, timeZone);
+    perDay.set(dateKey, (perDay.get(dateKey) || 0) + 1);
+  }
+
+  const ranges = [];
+  for (const dateKey of [...perDay.keys()].sort()) {
+    const last = ranges[ranges.length - 1];
+    if (last && addDays(last.to, 1) === dateKey) {
+      last.to = dateKey;
+      last.count += perDay.get(dateKey);
+    } else {
+      ranges.push({ from: dateKey, to: dateKey, count: perDay.get(dateKey) });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Recovers entries from every git revision of the history files
+ * @param {Object} config - Resolved config (see config.js)
+ * @param {Object} [options]
+ * @param {number} [options.maxDays=MAX_DAYS] - Entries older than this go to the archive
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>} Report: revisions, blobs, entries seen, what was
+ *   added to the history and archive, and the recovered ranges
+ */
+export async function backfillHistory(
+  config,
+  { maxDays = MAX_DAYS, now = new Date() } = {}
+) {
+  const root = await repoRoot(config.dataDir);
+  const timeZone = await readGymTimeZone(config);
+  const legacyPath = toGitPath(root, config.historyFile);
+  const shardDir = toGitPath(root, config.historyDir);
+  const shardPath = new RegExp(
+    `^${shardDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/\\d{4}-\\d{2}\\.json$`
+  );
+  const { revisions, blobs } = await listBlobs(
+    root,
+    [legacyPath, shardDir],
+    path => path === legacyPath || shardPath.test(path)
+  );
+
+  const found = new Map();
+  let damaged = 0;
+  for await (const { content } of readBlobs(root, [...blobs.keys()])) {
+    const { entries, dropped } = salvageEntries(content);
+    if (dropped.length > 0) damaged += 1;
+    for (const entry of entries) {
+      // Closures live in the intervals file (see migrate-intervals.js)
+      if (isClosedMarker(entry)) continue;
+      if (!found.has(entry.timestamp)) found.set(entry.timestamp, entry);
+    }
+  }
+
+  const current = new Set(
+    [
+      ...(await readEntries(config.historyDir)),
+      ...(await readEntries(config.archiveDir)),
+    ].map(entry => entry.timestamp)
+  );
+  const missing = [...found.values()].filter(e => !current.has(e.timestamp));
+
+  const cutoff = new Date(now.getTime() - maxDays * DAY_MS).toISOString();
+  const recent = missing.filter(entry => entry.timestamp > cutoff);
+  const old = missing.filter(entry => entry.timestamp <= cutoff);
+
+  const history = await mergeIntoShards(config.historyDir, recent, timeZone);
+  const archive =
+    old.length > 0
+      ? await mergeIntoShards(config.archiveDir, old, timeZone)
+      : null;
+
+  if (history.added > 0) {
+    const aggregates = buildAggregates(
+      await readEntries(config.historyDir),
+      timeZone,
+      await readIntervals(config.intervalsFile)
+    );
+    aggregates.updatedAt = now.toISOString();
+    await writeJsonAtomic(config.aggregatesFile, aggregates, { pretty: false });
+  }
+
+  return {
+    revisions,
+    blobs: blobs.size,
+    damaged,
+    entries: found.size,
+    addedToHistory: history.added,
+    addedToArchive: archive ? archive.added : 0,
+    ranges: summarizeRanges(missing, timeZone),
+  };
+}
+
+/**
+ * Formats a backfill report for the console
+ * @param {Object} report - See backfillHistory
+ * @returns {string}
+ */
+export function formatBackfillReport(report) {
+  const lines = [
+    `Scanned ${report.revisions} revisions (${report.blobs} file versions, ${report.damaged} damaged) holding ${report.entries} distinct entries`,
+    `Added ${report.addedToHistory} entries to the history and ${report.addedToArchive} to the archive`,
+  ];
+  for (const { from, to, count } of report.ranges) {
+    const span = from === to ? from : `${from} → ${to}`;
+    lines.push(`  ${span}: ${count} entries`);
+  }
+  return lines.join('\n');
+}
+
+// Run backfill if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let releaseLock;
+  try {
+    for (const config of gymConfigs(await loadConfig())) {
+      releaseLock = await acquireLock(config.lockFile, {
+        staleMs: config.lockStaleMs,
+      });
+      if (!releaseLock) {
+        throw new Error(
+          `A collection holds ${config.lockFile}; try again later`
+        );
+      }
+
+      console.log(formatBackfillReport(await backfillHistory(config)));
+      await releaseLock();
+      releaseLock = null;
+    }
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await releaseLock?.();
+  }
+}
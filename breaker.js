@@ -0,0 +1,142 @@
+/**
+ * Circuit Breaker
+ * Stops hammering an upstream that keeps refusing us. After `threshold`
+ * consecutive blocked runs (HTTP 403/429) the breaker opens: scheduled runs
+ * are skipped until the next probe, a single thinned-out scrape, is due. A
+ * blocked probe doubles the wait (up to `maxDelayMs`); any other outcome
+ * closes the breaker. A run or probe only the mirror got through counts as
+ * blocked while the primary sources still are (see mirrorOnlyBlock). The
+ * state persists in data/breaker.json between runs.
+ *
+ * Must not import anything platform specific.
+ */
+
+import { ERROR_CATEGORIES, ScrapeError, getErrorCategory } from './errors.js';
+import { SOURCES } from './provenance.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+
+export const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+};
+
+export const BREAKER_ACTIONS = {
+  RUN: 'run', // scrape as usual
+  PROBE: 'probe', // one cheap attempt to see whether the block is over
+  SKIP: 'skip',
+};
+
+const BLOCK_CATEGORIES = new Set([
+  ERROR_CATEGORIES.BLOCKED,
+  ERROR_CATEGORIES.RATE_LIMITED,
+]);
+
+/**
+ * Closed breaker with no blocks recorded
+ * @returns {Object}
+ */
+export function emptyBreaker() {
+  return {
+    schemaVersion: SCHEMA_VERSIONS.breaker,
+    state: BREAKER_STATES.CLOSED,
+    consecutiveBlocks: 0,
+    openedAt: null,
+    delayMs: null,
+    nextProbeAt: null,
+    lastBlock: null,
+  };
+}
+
+/**
+ * What a run should do given the breaker state
+ * @param {Object} breaker
+ * @param {Date} now
+ * @returns {string} One of BREAKER_ACTIONS
+ */
+export function getBreakerAction(breaker, now) {
+  if (breaker.state !== BREAKER_STATES.OPEN) return BREAKER_ACTIONS.RUN;
+  return now.getTime() >= Date.parse(breaker.nextProbeAt)
+    ? BREAKER_ACTIONS.PROBE
+    : BREAKER_ACTIONS.SKIP;
+}
+
+/**
+ * Records the outcome of a scrape (mutates the breaker)
+ * @param {Object} breaker
+ * @param {Error|null} error - The failure, or null on success
+ * @param {Date} now
+ * @param {Object} options
+ * @param {number} options.threshold - Consecutive blocked runs that open it
+ * @param {number} options.baseDelayMs - First wait before a probe
+ * @param {number} options.maxDelayMs - Longest wait before a probe
+ * @returns {Object} The breaker
+ */
+export function recordBreakerResult(
+  breaker,
+  error,
+  now,
+  { threshold, baseDelayMs, maxDelayMs }
+) {
+  if (!error || !BLOCK_CATEGORIES.has(getErrorCategory(error))) {
+    return Object.assign(breaker, emptyBreaker());
+  }
+
+  breaker.consecutiveBlocks += 1;
+  breaker.lastBlock = {
+    at: now.toISOString(),
+    category: error.category,
+    status: error.status ?? null,
+    url: error.url ?? null,
+  };
+  if (breaker.consecutiveBlocks < threshold) return breaker;
+
+  if (breaker.state === BREAKER_STATES.OPEN) {
+    breaker.delayMs = Math.min(breaker.delayMs * 2, maxDelayMs);
+  } else {
+    breaker.state = BREAKER_STATES.OPEN;
+    breaker.openedAt = now.toISOString();
+    breaker.delayMs = Math.min(baseDelayMs, maxDelayMs);
+  }
+  breaker.nextProbeAt = new Date(now.getTime() + breaker.delayMs).toISOString();
+  return breaker;
+}
+
+/**
+ * The block a successful scrape still ran into. The mirror fetches through a
+ * third party, so a reading from it says nothing about whether the site has
+ * stopped blocking us; only a primary source getting through does.
+ * @param {Object} reading - The run's reading (`source`)
+ * @param {Object[]} attempts - The run's source attempts (see scraper.js)
+ * @returns {ScrapeError|null} The primary sources' last block, null when a
+ *   primary source answered or none was blocked
+ */
+export function mirrorOnlyBlock(reading, attempts) {
+  if (reading.source !== SOURCES.MIRROR) return null;
+  const block = attempts.findLast(
+    attempt =>
+      attempt.source !== SOURCES.MIRROR &&
+      BLOCK_CATEGORIES.has(attempt.category)
+  );
+  if (!block) return null;
+  return new ScrapeError(
+    `Only got through via the mirror (${block.source}: ${block.error})`,
+    { category: block.category, status: block.httpStatuses?.at(-1) ?? null }
+  );
+}
+
+/**
+ * Config for a probe: one request per source, no retry rounds, and the
+ * sources in declared order so the primary ones are tried even while their
+ * failures demote them behind the mirror
+ * @param {Object} config - Resolved config (see config.js)
+ * @returns {Object}
+ */
+export function probeConfig(config) {
+  return {
+    ...config,
+    probe: true,
+    mainPages: config.mainPages.slice(0, 1),
+    headerProfiles: config.headerProfiles.slice(0, 1),
+    scrapeAttempts: 1,
+  };
+}
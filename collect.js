@@ -1,183 +1,661 @@
 /**
  * Data Collection Script
- * Runs the scraper and appends data to the history file
+ * Runs the scraper and appends data to the current monthly history shard.
+ * Closures and failed runs are recorded as intervals (see intervals.js), and
+ * every run is added to the run log (see runs.js). With a gym registry (see
+ * config.js) each gym is collected in turn into its own data directory.
  */
 
 import { scrapeOccupancy } from './scraper.js';
-import { readFile, writeFile, rename } from 'fs/promises';
-import { existsSync } from 'fs';
+import { DEFAULT_GYM_ID, gymConfigs, gymIndex, loadConfig, readGymTimeZone } from './config.js';
+import { DEFAULT_OPENING_HOURS, getEffectiveWindow, isWithinWindow } from './hours.js';
+import {
+    GYM_TIMEZONE,
+    addDays,
+    formatLocalTime,
+    getLocalMinutes,
+    getWindowBounds,
+    toDateKey
+} from './time.js';
+import {
+    appendEntry,
+    isRepeatReading,
+    mergeByTimestamp,
+    migrateLegacyHistory,
+    readEntries,
+    readIntervals,
+    readLastEntry,
+    writeIntervals
+} from './history.js';
+import { addEntry, buildAggregates, pruneAggregates } from './aggregates.js';
+import { acquireLock, readJsonFile, writeJsonAtomic } from './storage.js';
+import { upgrade } from './schema.js';
+import { INTERVAL_TYPES, closeOpenInterval, openInterval } from './intervals.js';
+import { RUN_OUTCOMES, appendRun, emptyRunLog, summarizeRuns } from './runs.js';
+import { ERROR_CATEGORIES, InvalidDataError, getErrorCategory } from './errors.js';
+import {
+    BREAKER_ACTIONS,
+    emptyBreaker,
+    getBreakerAction,
+    mirrorOnlyBlock,
+    probeConfig,
+    recordBreakerResult
+} from './breaker.js';
+import { isPollDue, planPollInterval } from './schedule.js';
+import { saveSnapshots, snapshotReason } from './snapshots.js';
+import {
+    describeIssues,
+    emptyQuarantine,
+    getDrift,
+    quarantineReading,
+    validateReading
+} from './validation.js';
+import { mkdir, readFile } from 'fs/promises';
+import { dirname } from 'path';
+import { isDeepStrictEqual } from 'util';
 
-const DATA_FILE = './data/history.json';
-const MAX_DAYS = 365; // Keep 1 year of data for long-term trends
+export const MAX_DAYS = 365; // Keep 1 year of data for long-term trends
+const PUBLISHED_HOURS_MAX_DAYS = 60;
+
+export const FAILURE_HANDLING = {
+    RETRY: 'retry', // transient: report it and try again on the next schedule
+    WARN: 'warn', // the run is lost, but nothing needs fixing yet
+    FAIL: 'fail' // needs a code or config change: fail the workflow
+};
+
+// How a failed run is handled, by error category (see errors.js)
+const HANDLING_BY_CATEGORY = {
+    [ERROR_CATEGORIES.BLOCKED]: FAILURE_HANDLING.RETRY,
+    [ERROR_CATEGORIES.RATE_LIMITED]: FAILURE_HANDLING.RETRY,
+    [ERROR_CATEGORIES.TIMEOUT]: FAILURE_HANDLING.RETRY,
+    [ERROR_CATEGORIES.NETWORK]: FAILURE_HANDLING.RETRY,
+    [ERROR_CATEGORIES.NONCE_MISSING]: FAILURE_HANDLING.WARN,
+    [ERROR_CATEGORIES.INVALID_DATA]: FAILURE_HANDLING.WARN,
+    [ERROR_CATEGORIES.MARKUP_CHANGED]: FAILURE_HANDLING.FAIL,
+    [ERROR_CATEGORIES.INTERNAL]: FAILURE_HANDLING.FAIL
+};
 
 /**
- * Reads existing history data or returns empty array
- * Backs up corrupt files found
+ * Reads per-source health records (success/failure history) used to rank scraper sources
  */
-async function readHistory() {
+async function readSourceHealth(sourcesFile) {
     try {
-        const content = await readFile(DATA_FILE, 'utf-8');
-        const data = JSON.parse(content);
-        return Array.isArray(data) ? data : [];
+        const data = JSON.parse(await readFile(sourcesFile, 'utf-8'));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
     } catch {
-        if (existsSync(DATA_FILE)) {
-            const backupName = `${DATA_FILE}.corrupt.${Date.now()}`;
-            console.error(`Status file corrupt, backing up to ${backupName}`);
-            try {
-                await rename(DATA_FILE, backupName);
-            } catch (e) {
-                console.error('Failed to backup corrupt file:', e);
-            }
+        return {};
+    }
+}
+
+/**
+ * Reads the opening hours schedule, falling back to the built-in defaults
+ * unless the file is `required`
+ */
+export async function readOpeningHours(openingHoursFile, { required = false } = {}) {
+    try {
+        return JSON.parse(await readFile(openingHoursFile, 'utf-8'));
+    } catch (error) {
+        if (required) {
+            throw new Error(`No readable opening hours in ${openingHoursFile}: ${error.message}`);
+        }
+        if (error.code !== 'ENOENT') {
+            console.error(`Invalid opening hours file ${openingHoursFile}, using defaults:`, error.message);
         }
-        return [];
+        return DEFAULT_OPENING_HOURS;
     }
 }
 
 /**
- * Filters data to keep only entries from the last N days
+ * Reads a gym's opening hours schedule, in the gym's configured timezone
+ * when it has one. The built-in defaults are the default gym's hours, so
+ * any other gym must have its own file.
  */
-export function pruneOldData(data, maxDays) {
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - maxDays);
+export async function readGymHours(config) {
+    const hours = await readOpeningHours(config.openingHoursFile, {
+        required: config.gymId !== DEFAULT_GYM_ID
+    });
+    return config.timezone ? { ...hours, timezone: config.timezone } : hours;
+}
 
-    return data.filter(entry => new Date(entry.timestamp) > cutoff);
+/**
+ * Reads the opening hours the gym published, keyed by gym-local date
+ */
+export async function readPublishedHours(publishedHoursFile) {
+    try {
+        const data = JSON.parse(await readFile(publishedHoursFile, 'utf-8'));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+        return {};
+    }
 }
 
-const STATUS_FILE = './data/status.json';
+/**
+ * Reads the precomputed aggregates (upgraded to the current schema), or null
+ * when missing or unreadable
+ */
+async function readAggregates(aggregatesFile) {
+    try {
+        const data = upgrade('aggregates', JSON.parse(await readFile(aggregatesFile, 'utf-8')));
+        return data && typeof data.days === 'object' && typeof data.hourly === 'object' ? data : null;
+    } catch {
+        return null;
+    }
+}
 
-// Opening Hours Configuration
-const HOURS = {
-    standard: { start: 9, end: 22 },
-    exceptions: {
-        '12-24': { start: 9, end: 14 }, // Christmas Eve
-        '12-25': { start: 14, end: 22 }, // Christmas Day
-        '12-31': { start: 9, end: 14 }, // New Year's Eve
-        '01-01': { start: 14, end: 22 }  // New Year's Day
+/**
+ * Reads the circuit breaker state, starting closed when missing or unreadable
+ */
+async function readBreaker(breakerFile) {
+    try {
+        const data = upgrade('breaker', JSON.parse(await readFile(breakerFile, 'utf-8')));
+        return typeof data.state === 'string' ? data : emptyBreaker();
+    } catch {
+        return emptyBreaker();
     }
-};
+}
+
+/**
+ * Reads the quarantine log, starting an empty one when missing or unreadable
+ */
+async function readQuarantine(quarantineFile) {
+    try {
+        const data = upgrade('quarantine', JSON.parse(await readFile(quarantineFile, 'utf-8')));
+        return Array.isArray(data.entries) ? data : emptyQuarantine();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Unreadable quarantine log ${quarantineFile}, starting a new one:`, error.message);
+        }
+        return emptyQuarantine();
+    }
+}
+
+/**
+ * Status fields describing the circuit breaker
+ */
+function breakerStatus({ state, consecutiveBlocks, nextProbeAt }) {
+    return { state, consecutiveBlocks, nextProbeAt };
+}
+
+/**
+ * Circuit breaker thresholds from the config
+ */
+function breakerOptions(config) {
+    return {
+        threshold: config.breakerThreshold,
+        baseDelayMs: config.breakerBaseDelayMs,
+        maxDelayMs: config.breakerMaxDelayMs
+    };
+}
+
+/**
+ * Reads the run log, starting a new one when missing or unreadable
+ */
+async function readRunLog(runLogFile) {
+    try {
+        const data = upgrade('runs', JSON.parse(await readFile(runLogFile, 'utf-8')));
+        return Array.isArray(data.runs) ? data : emptyRunLog();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Unreadable run log ${runLogFile}, starting a new one:`, error.message);
+        }
+        return emptyRunLog();
+    }
+}
+
+/**
+ * Keeps the run's raw responses when a parse failed or the run is due for a
+ * sample (see snapshots.js), noting the reason in the run record
+ */
+async function keepSnapshots(config, run, runs, responses, now) {
+    const reason = snapshotReason(run, runs, config.snapshotEveryRuns);
+    if (!reason || responses.length === 0) return;
+    try {
+        const files = await saveSnapshots(config.snapshotDir, responses, {
+            reason,
+            now,
+            maxFiles: config.snapshotMaxFiles,
+            parser: config.parser
+        });
+        run.snapshot = reason;
+        console.log(`Saved ${files.length} response snapshots (${reason})`);
+    } catch (error) {
+        console.error('Failed to save response snapshots:', error);
+    }
+}
+
+/**
+ * Appends a run to the run log and refreshes the health summary. Failures
+ * are only logged: the run's data files are already written.
+ */
+async function recordRun(config, run, now, responses = [], timeZone = GYM_TIMEZONE) {
+    try {
+        const log = await readRunLog(config.runLogFile);
+        await keepSnapshots(config, run, log.runs, responses, now);
+        appendRun(log, run, config.runLogMaxDays, timeZone);
+        await writeJsonAtomic(config.runLogFile, log, { pretty: false });
+        const intervals = await readIntervals(config.intervalsFile);
+        await writeJsonAtomic(config.healthFile, summarizeRuns(log, intervals, now, timeZone));
+    } catch (error) {
+        console.error('Failed to record run:', error);
+    }
+}
 
 /**
- * Checks if the gym is currently open based on Europe/Vienna time
- * The gym is in Innsbruck, Austria (Europe/Vienna timezone)
+ * Folds a new entry into the aggregates file, rebuilding it from the
+ * history shards only when it doesn't exist yet. The interval log ends
+ * readings at closures and outages.
+ */
+async function updateAggregates(config, entry, now, timeZone, intervals) {
+    const existing = await readAggregates(config.aggregatesFile);
+    const aggregates = existing
+        ? addEntry(existing, entry, timeZone, intervals)
+        : buildAggregates(await readEntries(config.historyDir), timeZone, intervals);
+    if (!existing) {
+        console.log('Aggregates missing, rebuilt from history');
+    }
+
+    pruneAggregates(aggregates, addDays(toDateKey(now, timeZone), -MAX_DAYS));
+    aggregates.updatedAt = now.toISOString();
+    await writeJsonAtomic(config.aggregatesFile, aggregates, { pretty: false });
+    return aggregates;
+}
+
+/**
+ * Status fields scheduling the next poll from the last hour of entries, the
+ * new reading and the usual occupancy (see schedule.js)
+ */
+async function planNextPoll(config, { hours, published, aggregates, reading, now }) {
+    const timeZone = hours.timezone || GYM_TIMEZONE;
+    const dateKey = toDateKey(now, timeZone);
+    const window = getEffectiveWindow(hours, published, dateKey);
+    const recent = await readEntries(config.historyDir, {
+        from: new Date(now.getTime() - 60 * 60 * 1000).toISOString()
+    });
+    // The reading may not have been recorded (see isRepeatReading)
+    const entries = mergeByTimestamp(recent, [reading]);
+    const { intervalMs, reason } = planPollInterval({
+        entries,
+        aggregates,
+        closesAt: window ? getWindowBounds(dateKey, window, timeZone).end : null,
+        now,
+        minIntervalMs: config.pollMinIntervalMs,
+        maxIntervalMs: config.pollMaxIntervalMs,
+        timeZone
+    });
+    console.log(`Next poll in ${intervalMs / 60000} min (${reason})`);
+    return {
+        nextPollAt: new Date(now.getTime() + intervalMs).toISOString(),
+        pollIntervalMs: intervalMs
+    };
+}
+
+/**
+ * Stores scraped opening hours as a dated record and drops old records
+ */
+export function recordPublishedHours(published, dateKey, openingHours, fetchedAt) {
+    const cutoffKey = addDays(dateKey, -PUBLISHED_HOURS_MAX_DAYS);
+
+    const records = Object.fromEntries(
+        Object.entries(published).filter(([key]) => key >= cutoffKey)
+    );
+    records[dateKey] = { ...openingHours, fetchedAt };
+    return records;
+}
+
+/**
+ * Checks if the gym is currently open in the timezone of its opening hours
+ * (Europe/Vienna unless set)
+ * Hours published by the gym take precedence over the configured schedule.
+ * @param {Date} [date=new Date()]
+ * @param {Object} [hours] - Opening hours schedule (see hours.js)
+ * @param {Object} [published] - Published hours records (see recordPublishedHours)
  * @returns {boolean}
  */
-function isGymOpen(date = new Date()) {
-    // Convert to Vienna timezone to get accurate local time
-    const viennaTime = new Date(date.toLocaleString('en-US', { timeZone: 'Europe/Vienna' }));
+function isGymOpen(date = new Date(), hours = DEFAULT_OPENING_HOURS, published = {}) {
+    const timeZone = hours.timezone || GYM_TIMEZONE;
+    const dateKey = toDateKey(date, timeZone);
 
-    const month = viennaTime.getMonth() + 1; // 1-12
-    const day = viennaTime.getDate();
-    const key = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    const hour = viennaTime.getHours();
+    const window = getEffectiveWindow(hours, published, dateKey);
+    const hoursLabel = window ? `${window.start}-${window.end} (${window.reason})` : 'closed';
+    console.log(`Gym time (${timeZone}): ${dateKey} ${formatLocalTime(date, timeZone)}, Gym hours: ${hoursLabel}`);
+    return isWithinWindow(window, getLocalMinutes(date, timeZone));
+}
 
-    const config = HOURS.exceptions[key] || HOURS.standard;
-    console.log(`Vienna time: ${viennaTime.toISOString().slice(0, 19)} (hour: ${hour}), Gym hours: ${config.start}-${config.end}`);
-    return hour >= config.start && hour < config.end;
+/**
+ * Rewrites the dashboard's gym index when the registry changed. Failures
+ * are only logged: the dashboard falls back to a single gym.
+ */
+async function writeGymIndex(config) {
+    try {
+        const index = gymIndex(config);
+        const existing = await readJsonFile(config.gymsFile, null).catch(() => null);
+        if (!isDeepStrictEqual(existing, index)) {
+            await mkdir(dirname(config.gymsFile), { recursive: true });
+            await writeJsonAtomic(config.gymsFile, index);
+        }
+    } catch (error) {
+        console.error('Failed to write gym index:', error);
+    }
 }
 
 /**
  * Main collection function
+ * Collects every configured gym, each under its own lock. A gym's hard
+ * failure doesn't stop the others; the first one is rethrown afterwards.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Resolved config (see config.js); loaded from
+ *   the config file and environment when omitted
+ * @param {Date} [options.now=new Date()] - Clock used for the opening hours check and intervals
  */
-export async function collect() {
-    console.log(`[${new Date().toISOString()}] Starting data collection...`);
+export async function collect({ config, now = new Date() } = {}) {
+    config = config || await loadConfig();
+    const gyms = gymConfigs(config);
+
+    console.log(`[${now.toISOString()}] Starting data collection...`);
+    await writeGymIndex(config);
+
+    const failures = [];
+    for (const gym of gyms) {
+        if (gyms.length > 1) {
+            console.log(`--- ${gym.gymName} (${gym.gymId}) ---`);
+        }
+        try {
+            await collectGym(gym, now);
+        } catch (error) {
+            failures.push(error);
+        }
+    }
+    if (failures.length > 0) {
+        throw failures[0]; // Each failure was logged by its run
+    }
+}
+
+/**
+ * Collects one gym unless another run holds its lock or its next poll
+ * isn't due yet
+ */
+async function collectGym(config, now) {
+    // Only one run may read-modify-write the data files at a time
+    await mkdir(dirname(config.lockFile), { recursive: true });
+    const releaseLock = await acquireLock(config.lockFile, { staleMs: config.lockStaleMs });
+    if (!releaseLock) {
+        console.warn(`Another collection holds ${config.lockFile}; skipping this run.`);
+        return;
+    }
 
     try {
-        // 1. Get existing history
-        const history = await readHistory();
-        const isOpen = isGymOpen();
+        if (config.adaptivePolling) {
+            const status = await readJsonFile(config.statusFile, null).catch(() => null);
+            if (!isPollDue(status, now)) {
+                console.log(`Next poll not due until ${status.nextPollAt}; skipping this run.`);
+                return;
+            }
+        }
+        await runCollection(config, now);
+    } finally {
+        await releaseLock();
+    }
+}
+
+/**
+ * Scrapes (or records a closure) and updates the data files. A failed run
+ * starts a missing interval. Every run ends up in the run log, except the
+ * ones that only find the gym still closed. Expects the caller to hold the
+ * collect lock.
+ */
+async function runCollection(config, now) {
+    const { historyDir, statusFile, sourcesFile, publishedHoursFile, intervalsFile } = config;
+    const startedAt = Date.now();
+    const run = {
+        startedAt: now.toISOString(),
+        durationMs: null,
+        outcome: RUN_OUTCOMES.FAILED,
+        errorCategory: null,
+        message: null,
+        attempts: []
+    };
+    const responses = [];
+    let breaker = null;
+    let quarantined = null;
+    // Idle ticks while the gym stays closed change nothing, not even the run log
+    let logRun = true;
+    let timeZone = config.timezone || GYM_TIMEZONE;
+
+    try {
+        // 1. Get existing history (splitting a legacy history.json into shards first)
+        const migration = await migrateLegacyHistory(
+            config.historyFile,
+            historyDir,
+            await readGymTimeZone(config)
+        );
+        if (migration) {
+            console.log(
+                `Migrated ${migration.migrated} legacy entries into ${migration.manifest.shards.length} shards`
+            );
+        }
+        const publishedHours = await readPublishedHours(publishedHoursFile);
+        const hours = await readGymHours(config);
+        timeZone = hours.timezone || GYM_TIMEZONE;
+        const isOpen = isGymOpen(now, hours, publishedHours);
+        const sourceHealth = await readSourceHealth(sourcesFile);
+        const intervals = await readIntervals(intervalsFile);
+        breaker = await readBreaker(config.breakerFile);
+        const breakerAction = getBreakerAction(breaker, now);
 
         let newData;
 
+        if (isOpen && breakerAction === BREAKER_ACTIONS.SKIP) {
+            // 2a. Upstream keeps blocking us: wait for the next probe
+            console.warn(
+                `Circuit breaker open after ${breaker.consecutiveBlocks} blocked runs; next probe at ${breaker.nextProbeAt}. Skipping.`
+            );
+            run.outcome = RUN_OUTCOMES.SKIPPED;
+            run.message = `Upstream blocked; next probe at ${breaker.nextProbeAt}`;
+            // No readings while skipping: an ongoing closure ends and the gap is an outage
+            if (openInterval(intervals, INTERVAL_TYPES.MISSING, now.toISOString(), run.message)) {
+                await writeIntervals(intervalsFile, intervals, now);
+            }
+            await writeJsonAtomic(statusFile, {
+                lastRun: now.toISOString(),
+                success: false,
+                message: run.message,
+                category: breaker.lastBlock?.category ?? null,
+                breaker: breakerStatus(breaker)
+            });
+            return;
+        }
+
         if (isOpen) {
-            // 2a. Scrape new data
-            newData = await scrapeOccupancy();
+            // 2b. Scrape new data (a single cheap probe while the breaker is open)
+            const probing = breakerAction === BREAKER_ACTIONS.PROBE;
+            if (probing) console.log('Circuit breaker open; probing the upstream.');
+            let openingHours;
+            try {
+                ({ openingHours, ...newData } = await scrapeOccupancy({
+                    config: probing ? probeConfig(config) : config,
+                    health: sourceHealth,
+                    attempts: run.attempts,
+                    responses
+                }));
+                // A reading only the mirror got while the site blocks us still counts as a block
+                recordBreakerResult(
+                    breaker,
+                    mirrorOnlyBlock(newData, run.attempts),
+                    now,
+                    breakerOptions(config)
+                );
+            } catch (error) {
+                recordBreakerResult(breaker, error, now, breakerOptions(config));
+                throw error;
+            } finally {
+                await writeJsonAtomic(sourcesFile, sourceHealth);
+                await writeJsonAtomic(config.breakerFile, breaker);
+            }
             console.log('Scraped data:', JSON.stringify(newData));
+            const hoursError = run.attempts.find(attempt => attempt.openingHoursError)?.openingHoursError;
+            if (hoursError) {
+                console.warn(`Could not parse opening hours: ${hoursError}`);
+            }
+
+            if (openingHours) {
+                const records = recordPublishedHours(
+                    publishedHours,
+                    toDateKey(now, timeZone),
+                    openingHours,
+                    newData.timestamp
+                );
+                await writeJsonAtomic(publishedHoursFile, records);
+                console.log('Published opening hours:', JSON.stringify(openingHours));
+            }
         } else {
-            // 2b. Gym closed logic
+            // 2c. Gym closed: start a closed interval unless one is already ongoing
             console.log('Gym is closed.');
+            run.outcome = RUN_OUTCOMES.CLOSED;
+            run.message = 'Gym closed';
 
-            // Check if we need to record a "closed" marker (0 occupancy)
-            // We only record if the last entry was not already a closed zero-marker
-            const lastEntry = history[history.length - 1];
-            const isLastZero = lastEntry && lastEntry.overall === 0;
-
-            // Allow a "grace period" or just check value. 
-            // If we are closed, and the last entry was non-zero, we want to record the drop to 0.
-            if (!isLastZero) {
-                console.log('Recording zero occupancy marker.');
-                newData = {
-                    timestamp: new Date().toISOString(),
-                    lead: 0,
-                    boulder: 0,
-                    overall: 0,
-                    openSectors: '0/0' // Optional/approximate
-                };
-            } else {
-                console.log('Zero occupancy already recorded. Skipping.');
+            if (!openInterval(intervals, INTERVAL_TYPES.CLOSED, now.toISOString())) {
+                console.log('Closure already recorded. Skipping.');
+                logRun = false;
                 return;
             }
+            console.log('Recording closure.');
+            await writeIntervals(intervalsFile, intervals, now);
+            await writeJsonAtomic(statusFile, {
+                lastRun: now.toISOString(),
+                success: true,
+                closed: true,
+                message: 'Gym closed (closure recorded)'
+            });
+            console.log('Status updated');
+            return;
         }
 
-        // 3. Append and prune
-        if (newData) {
-            history.push(newData);
+        // 3. Validate the reading: a suspect one goes to the quarantine log
+        // instead of the history, and the run fails as invalid data
+        const lastEntry = await readLastEntry(historyDir);
+        const quarantine = await readQuarantine(config.quarantineFile);
+        const issues = validateReading(newData, {
+            previous: lastEntry,
+            quarantine,
+            maxJump: config.maxJumpPoints
+        });
+        if (issues.length > 0) {
+            quarantineReading(quarantine, newData, issues, config.quarantineMaxDays, timeZone);
+            await writeJsonAtomic(config.quarantineFile, quarantine);
+            const drift = getDrift(quarantine, lastEntry, config.driftThreshold);
+            quarantined = { issues, drift };
+            throw new InvalidDataError(drift
+                ? `Parser drift: ${drift.count} readings in a row quarantined since ${drift.since} (${describeIssues(issues)})`
+                : `Reading quarantined: ${describeIssues(issues)}`);
         }
 
-        const prunedHistory = pruneOldData(history, MAX_DAYS);
+        // 4. Append to the current shard and drop expired shards, unless the
+        // reading repeats the last entry. A reading ends any ongoing closure
+        // or outage, and the first one after it is always recorded.
+        const resumed = closeOpenInterval(intervals, newData.timestamp);
+        const recorded = resumed || !isRepeatReading(lastEntry, newData, config.historyHeartbeatMs);
+        let aggregates;
+        if (recorded) {
+            const manifest = await appendEntry(historyDir, newData, { maxDays: MAX_DAYS, now, timeZone });
+            const total = manifest.shards.reduce((sum, shard) => sum + shard.count, 0);
+            console.log(`Updated history with ${total} entries in ${manifest.shards.length} shards`);
+            aggregates = await updateAggregates(config, newData, now, timeZone, intervals);
+        } else {
+            console.log(`Occupancy unchanged since ${lastEntry.timestamp}; not recorded.`);
+            aggregates = await readAggregates(config.aggregatesFile);
+        }
 
-        // 4. Save history
-        await writeFile(DATA_FILE, JSON.stringify(prunedHistory, null, 2));
-        console.log(`Updated history with ${prunedHistory.length} entries`);
+        if (resumed) {
+            await writeIntervals(intervalsFile, intervals, now);
+        }
 
-        // 5. Update status
+        // 5. Update status, scheduling the next poll when polling adapts
+        const schedule = config.adaptivePolling
+            ? await planNextPoll(config, {
+                hours,
+                published: publishedHours,
+                aggregates,
+                reading: newData,
+                now
+            })
+            : {};
         const status = {
-            lastRun: new Date().toISOString(),
+            lastRun: now.toISOString(),
             success: true,
-            message: isOpen ? 'Collection successful' : 'Gym closed (0 recorded)',
-            data: newData
+            message: 'Collection successful',
+            data: newData,
+            recorded,
+            breaker: breakerStatus(breaker),
+            ...schedule
         };
-        await writeFile(STATUS_FILE, JSON.stringify(status, null, 2));
+        await writeJsonAtomic(statusFile, status);
         console.log('Status updated');
+        run.outcome = RUN_OUTCOMES.SUCCESS;
+        run.message = status.message;
 
     } catch (error) {
         console.error('Collection process failed:', error);
-        const transientUpstreamError = isTransientUpstreamError(error);
+        const category = getErrorCategory(error);
+        const handling = getFailureHandling(error);
 
         // Update status with error
         const status = {
-            lastRun: new Date().toISOString(),
-            success: !transientUpstreamError,
-            message: transientUpstreamError
+            lastRun: now.toISOString(),
+            success: handling === FAILURE_HANDLING.FAIL, // hard failures show as a failed workflow run instead
+            message: handling === FAILURE_HANDLING.RETRY
                 ? `Upstream scrape blocked temporarily: ${error.message}`
                 : error.message,
+            category,
+            httpStatus: error.status ?? null,
+            url: error.url ?? null,
+            breaker: breaker && breakerStatus(breaker),
+            ...(quarantined && { quarantine: quarantined }),
             error: error.stack
         };
+        run.errorCategory = category;
+        run.message = status.message;
 
         try {
-            await writeFile(STATUS_FILE, JSON.stringify(status, null, 2));
+            await writeJsonAtomic(statusFile, status);
         } catch (writeError) {
             console.error('Failed to write failure status:', writeError);
         }
 
-        if (transientUpstreamError) {
-            console.warn('Transient upstream scrape error detected; preserving workflow success and retrying on next schedule.');
+        // Record the outage so the dashboard doesn't draw across it
+        try {
+            const intervals = await readIntervals(intervalsFile);
+            if (openInterval(intervals, INTERVAL_TYPES.MISSING, now.toISOString(), status.message)) {
+                await writeIntervals(intervalsFile, intervals, now);
+            }
+        } catch (intervalError) {
+            console.error('Failed to record missing interval:', intervalError);
+        }
+
+        if (handling === FAILURE_HANDLING.RETRY) {
+            console.warn(`Transient upstream error (${category}); preserving workflow success and retrying on next schedule.`);
+            return;
+        }
+        if (handling === FAILURE_HANDLING.WARN) {
+            console.warn(`Scrape failed (${category}); no reading recorded this run.`);
             return;
         }
 
-        throw error; // Re-throw non-transient errors to ensure process exit code 1
+        throw error; // Re-throw hard failures to ensure process exit code 1
+    } finally {
+        run.durationMs = Date.now() - startedAt;
+        if (logRun) {
+            await recordRun(config, run, now, responses, timeZone);
+        }
     }
 }
 
-export function isTransientUpstreamError(error) {
-    const msg = String(error?.message || '').toLowerCase();
-    return (
-        msg.includes('403') ||
-        msg.includes('429') ||
-        msg.includes('failed to fetch main page') ||
-        msg.includes('fetch failed') ||
-        msg.includes('timeout') ||
-        msg.includes('aborterror')
-    );
+/**
+ * Decides how a failed run is handled from its error category
+ * @param {Error} error
+ * @returns {string} One of FAILURE_HANDLING
+ */
+export function getFailureHandling(error) {
+    return HANDLING_BY_CATEGORY[getErrorCategory(error)] ?? FAILURE_HANDLING.FAIL;
 }
 
 // Run collection if executed directly
@@ -0,0 +1,396 @@
+/**
+ * Configuration
+ * Endpoints, timings, header profiles, network routing and file paths
+ * shared by scraper.js and collect.js. Values come from the defaults below,
+ * then an optional JSON config file, then environment variables (highest
+ * precedence).
+ *
+ * Without a `gyms` registry everything describes one gym, Kletterzentrum
+ * Innsbruck by default. With one, each entry (`{ id, name, ...settings }`)
+ * is resolved into its own config on top of the shared values, see
+ * resolveConfig.
+ */
+
+import { readFile } from 'fs/promises';
+import { isAbsolute, join, relative, resolve, sep } from 'path';
+import { SCHEMA_VERSIONS } from './schema.js';
+import { GYM_TIMEZONE } from './time.js';
+
+const CONFIG_FILE = './ki-tracker.config.json';
+
+// The gym the built-in site, parser and opening hours defaults describe
+export const DEFAULT_GYM_ID = 'ki';
+
+const DEFAULTS = {
+  gymId: DEFAULT_GYM_ID,
+  gymName: 'Kletterzentrum Innsbruck',
+  timezone: null, // defaults to the opening hours file's, then Europe/Vienna
+  gyms: null, // registry of several gyms, see resolveConfig
+  gymsFile: 'gyms.json', // index of the gyms for the dashboard
+  baseUrl: 'https://www.kletterzentrum-innsbruck.at',
+  mainPaths: ['/en/', '/', '/de/'],
+  ajaxUrl: null, // defaults to `${baseUrl}/wp-admin/admin-ajax.php`
+  mirrorUrl: null, // defaults to the r.jina.ai mirror of the first main page
+  parser: 'ki', // profile name or { profile, ...overrides }, see scraper.js
+  requestTimeoutMs: 10000,
+  retryDelayMs: 1200,
+  scrapeAttempts: 2,
+  headerProfiles: null, // defaults to defaultHeaderProfiles(baseUrl)
+  // Outbound network, see network.js; unset proxies fall back to HTTP_PROXY,
+  // HTTPS_PROXY and NO_PROXY
+  httpProxy: null,
+  httpsProxy: null,
+  noProxy: null,
+  sourceProxies: {}, // { 'main-page' | 'ajax' | 'mirror': proxy URL or 'direct' }
+  caFile: null, // extra PEM bundle to trust
+  localAddress: null, // source IP or interface name
+  dataDir: './data',
+  historyDir: 'history',
+  archiveDir: 'archive', // entries backfilled from git that are older than retention
+  historyFile: 'history.json', // legacy single-file history, see history.js
+  statusFile: 'status.json',
+  sourcesFile: 'sources.json',
+  openingHoursFile: 'opening-hours.json',
+  publishedHoursFile: 'published-hours.json',
+  aggregatesFile: 'aggregates.json',
+  intervalsFile: 'intervals.json',
+  runLogFile: 'runs.json',
+  runLogMaxDays: 14,
+  healthFile: 'health.json',
+  breakerFile: 'breaker.json',
+  breakerThreshold: 3, // consecutive blocked runs before runs are skipped
+  breakerBaseDelayMs: 15 * 60 * 1000,
+  breakerMaxDelayMs: 6 * 60 * 60 * 1000,
+  lockFile: 'collect.lock',
+  lockStaleMs: 10 * 60 * 1000,
+  daemonIntervalMs: 5 * 60 * 1000, // see daemon.js; 5 minutes is the minimum
+  daemonJitterMs: 60 * 1000,
+  daemonCommit: false, // commit the data files after each run
+  adaptivePolling: true, // see schedule.js
+  pollMinIntervalMs: 5 * 60 * 1000,
+  pollMaxIntervalMs: 20 * 60 * 1000,
+  historyHeartbeatMs: 30 * 60 * 1000, // unchanged readings are recorded this often
+  snapshotDir: 'snapshots', // raw responses, see snapshots.js
+  snapshotMaxFiles: 200,
+  snapshotEveryRuns: 288, // also keep every Nth scraping run; 0 only on parse failures
+  quarantineFile: 'quarantine.json', // readings that failed validation.js
+  quarantineMaxDays: 30,
+  maxJumpPoints: 40, // largest plausible change within 30 minutes
+  driftThreshold: 3, // quarantined readings in a row reported as parser drift
+};
+
+// Environment variable -> [config key, parser]
+const ENV_OVERRIDES = {
+  KI_GYM_ID: ['gymId', String],
+  KI_GYM_NAME: ['gymName', String],
+  KI_TIMEZONE: ['timezone', String],
+  KI_GYMS: ['gyms', JSON.parse],
+  KI_GYMS_FILE: ['gymsFile', String],
+  KI_BASE_URL: ['baseUrl', String],
+  KI_MAIN_PATHS: ['mainPaths', parseList],
+  KI_AJAX_URL: ['ajaxUrl', String],
+  KI_MIRROR_URL: ['mirrorUrl', String],
+  KI_PARSER: ['parser', String],
+  KI_REQUEST_TIMEOUT_MS: ['requestTimeoutMs', parseNonNegativeInt],
+  KI_RETRY_DELAY_MS: ['retryDelayMs', parseNonNegativeInt],
+  KI_SCRAPE_ATTEMPTS: ['scrapeAttempts', parsePositiveInt],
+  KI_HEADER_PROFILES: ['headerProfiles', JSON.parse],
+  KI_HTTP_PROXY: ['httpProxy', String],
+  KI_HTTPS_PROXY: ['httpsProxy', String],
+  KI_NO_PROXY: ['noProxy', String],
+  KI_SOURCE_PROXIES: ['sourceProxies', JSON.parse],
+  KI_CA_FILE: ['caFile', String],
+  KI_LOCAL_ADDRESS: ['localAddress', String],
+  KI_DATA_DIR: ['dataDir', String],
+  KI_HISTORY_DIR: ['historyDir', String],
+  KI_ARCHIVE_DIR: ['archiveDir', String],
+  KI_HISTORY_FILE: ['historyFile', String],
+  KI_STATUS_FILE: ['statusFile', String],
+  KI_SOURCES_FILE: ['sourcesFile', String],
+  KI_OPENING_HOURS_FILE: ['openingHoursFile', String],
+  KI_PUBLISHED_HOURS_FILE: ['publishedHoursFile', String],
+  KI_AGGREGATES_FILE: ['aggregatesFile', String],
+  KI_INTERVALS_FILE: ['intervalsFile', String],
+  KI_RUN_LOG_FILE: ['runLogFile', String],
+  KI_RUN_LOG_MAX_DAYS: ['runLogMaxDays', parsePositiveInt],
+  KI_HEALTH_FILE: ['healthFile', String],
+  KI_BREAKER_FILE: ['breakerFile', String],
+  KI_BREAKER_THRESHOLD: ['breakerThreshold', parsePositiveInt],
+  KI_BREAKER_BASE_DELAY_MS: ['breakerBaseDelayMs', parseNonNegativeInt],
+  KI_BREAKER_MAX_DELAY_MS: ['breakerMaxDelayMs', parseNonNegativeInt],
+  KI_LOCK_FILE: ['lockFile', String],
+  KI_LOCK_STALE_MS: ['lockStaleMs', parseNonNegativeInt],
+  KI_DAEMON_INTERVAL_MS: ['daemonIntervalMs', parsePositiveInt],
+  KI_DAEMON_JITTER_MS: ['daemonJitterMs', parseNonNegativeInt],
+  KI_DAEMON_COMMIT: ['daemonCommit', parseBoolean],
+  KI_ADAPTIVE_POLLING: ['adaptivePolling', parseBoolean],
+  KI_POLL_MIN_INTERVAL_MS: ['pollMinIntervalMs', parsePositiveInt],
+  KI_POLL_MAX_INTERVAL_MS: ['pollMaxIntervalMs', parsePositiveInt],
+  KI_HISTORY_HEARTBEAT_MS: ['historyHeartbeatMs', parseNonNegativeInt],
+  KI_SNAPSHOT_DIR: ['snapshotDir', String],
+  KI_SNAPSHOT_MAX_FILES: ['snapshotMaxFiles', parsePositiveInt],
+  KI_SNAPSHOT_EVERY_RUNS: ['snapshotEveryRuns', parseNonNegativeInt],
+  KI_QUARANTINE_FILE: ['quarantineFile', String],
+  KI_QUARANTINE_MAX_DAYS: ['quarantineMaxDays', parsePositiveInt],
+  KI_MAX_JUMP_POINTS: ['maxJumpPoints', parsePositiveInt],
+  KI_DRIFT_THRESHOLD: ['driftThreshold', parsePositiveInt],
+};
+
+function parseList(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseNonNegativeInt(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`expected a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parseBoolean(value) {
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  throw new Error(`expected true or false, got "${value}"`);
+}
+
+function parsePositiveInt(value) {
+  const number = parseNonNegativeInt(value);
+  if (number === 0) {
+    throw new Error(`expected a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Browser-like header profiles rotated when fetching the main page
+ * @param {string} baseUrl - Site origin used for the Referer header
+ * @returns {Object[]}
+ */
+export function defaultHeaderProfiles(baseUrl) {
+  return [
+    {
+      'User-Agent':
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
+      Accept:
+        'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+      'Accept-Language': 'de-AT,de;q=0.9,en-US;q=0.8,en;q=0.7',
+      'Cache-Control': 'no-cache',
+      Pragma: 'no-cache',
+      Referer: `${baseUrl}/`,
+    },
+    {
+      'User-Agent':
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+      Accept:
+        'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
+      'Cache-Control': 'no-cache',
+      Pragma: 'no-cache',
+      Referer: `${baseUrl}/`,
+    },
+  ];
+}
+
+async function readConfigFile(file, required) {
+  try {
+    const data = JSON.parse(await readFile(file, 'utf-8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a JSON object');
+    }
+    return data;
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return {};
+    }
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+}
+
+function readEnvOverrides(env) {
+  const overrides = {};
+  for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    try {
+      overrides[key] = parse(env[name]);
+    } catch (error) {
+      throw new Error(`Invalid value for ${name}: ${error.message}`);
+    }
+  }
+  return overrides;
+}
+
+// Settings describing a gym's website, which registry entries don't inherit
+// from the shared values
+const SITE_KEYS = [
+  'baseUrl',
+  'mainPaths',
+  'ajaxUrl',
+  'mirrorUrl',
+  'headerProfiles',
+  'parser',
+];
+
+const GYM_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+function resolveGym(config) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+  const inDataDir = file =>
+    isAbsolute(file) ? file : join(config.dataDir, file);
+
+  return {
+    ...config,
+    baseUrl,
+    mainPages: config.mainPaths.map(path => `${baseUrl}${path}`),
+    ajaxUrl: config.ajaxUrl || `${baseUrl}/wp-admin/admin-ajax.php`,
+    mirrorUrl:
+      config.mirrorUrl ||
+      `https://r.jina.ai/http://${new URL(baseUrl).host}${config.mainPaths[0]}`,
+    headerProfiles: config.headerProfiles || defaultHeaderProfiles(baseUrl),
+    historyDir: inDataDir(config.historyDir),
+    archiveDir: inDataDir(config.archiveDir),
+    historyFile: inDataDir(config.historyFile),
+    statusFile: inDataDir(config.statusFile),
+    sourcesFile: inDataDir(config.sourcesFile),
+    openingHoursFile: inDataDir(config.openingHoursFile),
+    publishedHoursFile: inDataDir(config.publishedHoursFile),
+    aggregatesFile: inDataDir(config.aggregatesFile),
+    intervalsFile: inDataDir(config.intervalsFile),
+    runLogFile: inDataDir(config.runLogFile),
+    healthFile: inDataDir(config.healthFile),
+    breakerFile: inDataDir(config.breakerFile),
+    snapshotDir: inDataDir(config.snapshotDir),
+    quarantineFile: inDataDir(config.quarantineFile),
+    lockFile: inDataDir(config.lockFile),
+    gymsFile: inDataDir(config.gymsFile),
+  };
+}
+
+// A registry entry on top of the shared values; its data lives in
+// <dataDir>/<id> unless it sets its own dataDir
+function registryEntry(shared, { id, name, ...values }) {
+  if (typeof id !== 'string' || !GYM_ID.test(id)) {
+    throw new Error(
+      `Invalid gym id ${JSON.stringify(id)}: use lowercase letters, digits and dashes`
+    );
+  }
+  return {
+    ...shared,
+    ...Object.fromEntries(SITE_KEYS.map(key => [key, DEFAULTS[key]])),
+    dataDir: join(shared.dataDir, id),
+    ...values,
+    gymId: id,
+    gymName: name || id,
+    gyms: null,
+  };
+}
+
+function checkRegistry(gyms) {
+  if (gyms.length === 0) {
+    throw new Error('Invalid gym registry: expected a non-empty array');
+  }
+  gyms.forEach((gym, index) => {
+    const other = gyms
+      .slice(0, index)
+      .find(
+        ({ gymId, dataDir }) =>
+          gymId === gym.gymId || resolve(dataDir) === resolve(gym.dataDir)
+      );
+    if (other) {
+      throw new Error(
+        `Gyms "${other.gymId}" and "${gym.gymId}" need their own id and data directory`
+      );
+    }
+  });
+}
+
+/**
+ * Fills in derived values (URLs, header profiles, file paths). With a
+ * `gyms` registry, `gyms` holds one resolved config per entry; entries
+ * inherit every shared value except the site settings (`baseUrl`,
+ * `mainPaths`, `ajaxUrl`, `mirrorUrl`, `headerProfiles`, `parser`), which
+ * fall back to the defaults.
+ * @param {Object} values - Merged raw config values
+ * @returns {Object} Fully resolved config
+ * @throws {Error} When registry entries lack a valid id or share an id or
+ *   data directory
+ */
+export function resolveConfig(values) {
+  const { gyms, ...shared } = { ...DEFAULTS, ...values };
+  const config = resolveGym({ ...shared, gyms: null });
+  if (gyms === null || gyms === undefined) return config;
+
+  const resolved = (Array.isArray(gyms) ? gyms : []).map(gym =>
+    resolveGym(registryEntry(shared, gym))
+  );
+  checkRegistry(resolved);
+  return { ...config, gyms: resolved };
+}
+
+/**
+ * The gyms a config collects: its registry, or the config itself
+ * @param {Object} config - Resolved config
+ * @returns {Object[]} Resolved configs, one per gym
+ */
+export function gymConfigs(config) {
+  return config.gyms ?? [config];
+}
+
+/**
+ * A gym's timezone: the configured one, else its opening hours file's, else
+ * Europe/Vienna. Doesn't need the opening hours file.
+ * @param {Object} config - Resolved config of one gym
+ * @returns {Promise<string>}
+ */
+export async function readGymTimeZone(config) {
+  if (config.timezone) return config.timezone;
+  try {
+    const hours = JSON.parse(await readFile(config.openingHoursFile, 'utf-8'));
+    return hours?.timezone || GYM_TIMEZONE;
+  } catch {
+    return GYM_TIMEZONE;
+  }
+}
+
+/**
+ * Index of the gyms for the dashboard, which reads each gym's files from
+ * `path` below the directory of the index
+ * @param {Object} config - Resolved config
+ * @returns {{schemaVersion: number, gyms: {id: string, name: string, url: string, timezone: string|null, path: string}[]}}
+ */
+export function gymIndex(config) {
+  const root = join(config.gymsFile, '..');
+  return {
+    schemaVersion: SCHEMA_VERSIONS.gyms,
+    gyms: gymConfigs(config).map(gym => ({
+      id: gym.gymId,
+      name: gym.gymName,
+      url: gym.mainPages[0],
+      timezone: gym.timezone,
+      path: relative(root, gym.dataDir).split(sep).join('/'),
+    })),
+  };
+}
+
+/**
+ * Loads the config from defaults, the config file and environment overrides
+ * @param {Object} [options]
+ * @param {string|null} [options.file] - Config file path; KI_CONFIG or
+ *   ./ki-tracker.config.json by default, null to skip the file
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Promise<Object>} Resolved config
+ */
+export async function loadConfig({ file, env = process.env } = {}) {
+  const explicitFile = file !== undefined ? file : env.KI_CONFIG;
+  const fileValues =
+    explicitFile === null
+      ? {}
+      : await readConfigFile(explicitFile || CONFIG_FILE, Boolean(explicitFile));
+
+  return resolveConfig({ ...fileValues, ...readEnvOverrides(env) });
+}
@@ -0,0 +1,216 @@
+/**
+ * Collector Daemon
+ * Long-running alternative to scheduling collect.js with cron, for
+ * self-hosted machines. Polls every `daemonIntervalMs` (at least 5 minutes),
+ * or at the interval the last run planned when `adaptivePolling` is on (see
+ * schedule.js), plus up to `daemonJitterMs` of random jitter, sleeps through
+ * closing hours until the next opening, and with `daemonCommit` commits the
+ * data files to the local git repository after each run that changed them.
+ * With several gyms (see config.js) the next run is the earliest any gym
+ * needs. SIGTERM and SIGINT let the current run finish, then exit.
+ *
+ * Usage: node daemon.js
+ */
+
+import { access } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { collect, readGymHours, readPublishedHours } from './collect.js';
+import { gymConfigs, loadConfig } from './config.js';
+import { git, repoRoot, toGitPath } from './git.js';
+import { getNextOpening } from './hours.js';
+import { MIN_POLL_INTERVAL_MS } from './schedule.js';
+import { readJsonFile } from './storage.js';
+
+export const MIN_INTERVAL_MS = MIN_POLL_INTERVAL_MS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When to run next: one interval (plus jitter) after the last run started.
+ * Once a run has seen the gym closed, the next one waits for the opening.
+ * @param {Date} ranAt - Start of the last run
+ * @param {Object} options
+ * @param {Object} options.hours - Opening hours config (see hours.js)
+ * @param {Object} options.published - Published hours records
+ * @param {number} options.intervalMs
+ * @param {number} options.jitterMs - Upper bound of the random delay added
+ * @param {() => number} [options.random=Math.random]
+ * @returns {Date}
+ */
+export function planNextRun(
+  ranAt,
+  { hours, published, intervalMs, jitterMs, random = Math.random }
+) {
+  const next = new Date(
+    ranAt.getTime() + intervalMs + Math.floor(random() * jitterMs)
+  );
+  const openAtRun = getNextOpening(hours, published, ranAt);
+  if (openAtRun && openAtRun <= ranAt) {
+    // Still open: the next run records the closure if the gym closed meanwhile
+    return next;
+  }
+
+  const opening = getNextOpening(hours, published, next);
+  if (!opening) return new Date(ranAt.getTime() + DAY_MS);
+  return opening > next ? opening : next;
+}
+
+/**
+ * Commits the collector's data files, of every gym, if a run changed them
+ * @param {Object} config - Resolved config (see config.js)
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<boolean>} Whether a commit was made
+ */
+export async function commitDataFiles(config, now = new Date()) {
+  const root = await repoRoot(config.dataDir);
+  const files = [
+    config.gymsFile,
+    ...gymConfigs(config).flatMap(gym => [
+      gym.historyDir,
+      gym.statusFile,
+      gym.sourcesFile,
+      gym.publishedHoursFile,
+      gym.aggregatesFile,
+      gym.intervalsFile,
+      gym.healthFile,
+      gym.breakerFile,
+      gym.quarantineFile,
+    ]),
+  ];
+  const existing = [];
+  for (const file of files) {
+    try {
+      await access(file);
+      existing.push(toGitPath(root, file));
+    } catch {
+      // Not written yet
+    }
+  }
+  if (existing.length === 0) return false;
+
+  await git(root, ['add', '--all', '--', ...existing]);
+  const staged = await git(root, ['diff', '--staged', '--name-only']);
+  if (!staged.trim()) return false;
+
+  const stamp = now.toISOString().slice(0, 16).replace('T', ' ');
+  await git(root, [
+    'commit',
+    '--quiet',
+    '-m',
+    `📊 Update occupancy data [${stamp} UTC]`,
+  ]);
+  return true;
+}
+
+/**
+ * Collects until the signal aborts
+ * @param {Object} options
+ * @param {Object} options.config - Resolved config (see config.js)
+ * @param {AbortSignal} options.signal - Stops the daemon after the current run
+ * @param {Function} [options.collectRun=collect] - One collection run
+ * @param {Function} [options.commit=commitDataFiles]
+ * @param {(ms: number, signal: AbortSignal) => Promise<void>} [options.wait]
+ * @param {() => number} [options.random=Math.random]
+ * @returns {Promise<number>} Number of runs made
+ * @throws {Error} When the interval is below MIN_INTERVAL_MS
+ */
+export async function runDaemon({
+  config,
+  signal,
+  collectRun = collect,
+  commit = commitDataFiles,
+  wait = waitFor,
+  random = Math.random,
+}) {
+  if (config.daemonIntervalMs < MIN_INTERVAL_MS) {
+    throw new Error(
+      `Poll interval must be at least ${MIN_INTERVAL_MS / 60000} minutes, got ${config.daemonIntervalMs} ms`
+    );
+  }
+
+  let runs = 0;
+  while (!signal.aborted) {
+    const ranAt = new Date();
+    try {
+      await collectRun({ config, now: ranAt });
+    } catch (error) {
+      console.error('Collection failed:', error.message);
+    }
+    runs += 1;
+
+    if (config.daemonCommit) {
+      try {
+        if (await commit(config)) console.log('Committed data files');
+      } catch (error) {
+        console.error('Failed to commit data files:', error.message);
+      }
+    }
+
+    const next = await planNextGymRun(config, ranAt, random);
+    if (signal.aborted) break;
+    console.log(`Next run at ${next.toISOString()}`);
+    await wait(next.getTime() - Date.now(), signal);
+  }
+  return runs;
+}
+
+// The earliest run any gym needs. A gym without opening hours fails its
+// runs (see readGymHours) and is retried at the regular interval.
+async function planNextGymRun(config, ranAt, random) {
+  const runs = [];
+  for (const gym of gymConfigs(config)) {
+    const hours = await readGymHours(gym).catch(() => null);
+    if (!hours) {
+      runs.push(ranAt.getTime() + config.daemonIntervalMs);
+      continue;
+    }
+    runs.push(
+      planNextRun(ranAt, {
+        hours,
+        published: await readPublishedHours(gym.publishedHoursFile),
+        intervalMs: await plannedInterval(gym),
+        jitterMs: config.daemonJitterMs,
+        random,
+      })
+    );
+  }
+  return new Date(Math.min(...runs));
+}
+
+// The interval the last successful run planned, if polling adapts
+async function plannedInterval(config) {
+  if (!config.adaptivePolling) return config.daemonIntervalMs;
+  const status = await readJsonFile(config.statusFile, null).catch(() => null);
+  return status?.pollIntervalMs ?? config.daemonIntervalMs;
+}
+
+// Sleeps, returning early when the signal aborts
+async function waitFor(ms, signal) {
+  try {
+    await sleep(Math.max(0, ms), undefined, { signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+}
+
+// Run the daemon if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const controller = new AbortController();
+  for (const name of ['SIGTERM', 'SIGINT']) {
+    process.once(name, () => {
+      console.log(`${name} received; stopping after the current run`);
+      controller.abort();
+    });
+  }
+
+  try {
+    const config = await loadConfig();
+    console.log(
+      `Collector daemon started: every ${config.daemonIntervalMs / 60000} min (+ up to ${config.daemonJitterMs / 1000} s jitter)`
+    );
+    const runs = await runDaemon({ config, signal: controller.signal });
+    console.log(`Collector daemon stopped after ${runs} runs`);
+  } catch (error) {
+    console.error('Daemon failed:', error.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,18 +1,48 @@
 /* global Chart */
 /**
  * KI Tracker Dashboard
- * Fetches data, renders charts, and provides interactive features
+ * Fetches data, renders charts, and provides interactive features. With
+ * several gyms in data/gyms.json (written by collect.js) it shows a gym
+ * switcher and compares the current occupancy of all gyms.
  */
 
+import { DEFAULT_OPENING_HOURS, getDisplayWindow } from './hours.js';
+import { GYM_TIMEZONE, addDays, toDateKey, toWallClock, wallClockDate } from './time.js';
+import { shardsForRange } from './shards.js';
+import { SOURCES, getEntrySource, isLowFidelity } from './provenance.js';
+import { INTERVAL_TYPES, closedSince, emptyIntervals } from './intervals.js';
+import { upgrade } from './schema.js';
+
+// Days of raw history each view needs; shards outside the range aren't downloaded.
+// The Max views read peaks from the aggregates and load a day only to drill down.
+const RANGE_DAYS = { '1d': 1, '2d': 2, '7d': 7, maxWeek: 1, maxMonth: 1 };
+
+// The only gym when data/gyms.json is missing
+const DEFAULT_GYM = {
+    id: 'ki',
+    name: 'Kletterzentrum Innsbruck',
+    url: 'https://www.kletterzentrum-innsbruck.at/en/',
+    timezone: null,
+    path: ''
+};
+
 // Data and chart state
+let gyms = [DEFAULT_GYM];
+let currentGym = DEFAULT_GYM;
 let historyData = [];
+let historyManifest = null;
+let aggregates = null; // Precomputed peaks and hourly stats (see aggregates.js)
+const shardCache = new Map(); // month -> { count, entries }
+let intervalLog = emptyIntervals(); // Closures and outages (see intervals.js)
+let health = null; // Collection health summary (see runs.js)
+let latestReading = null; // Last scraped reading, recorded or not (see isRepeatReading in history.js)
+let openingHours = DEFAULT_OPENING_HOURS;
+let gymTimeZone = GYM_TIMEZONE; // The current gym's, see resolveTimeZone
 let charts = []; // Array to hold all active chart instances
 
 let currentRange = '1d';
 let visibleDatasets = { lead: true, boulder: true };
-
-// Constants
-const GYM_HOURS = { start: 9, end: 22 };
+let showEstimated = false; // Include mirror readings, closed markers and manual/imported values
 
 // DOM Elements
 const leadValue = document.getElementById('lead-value');
@@ -26,22 +56,59 @@ const filterBtns = document.querySelectorAll('.filter-btn');
 const chartsContainer = document.getElementById('charts-container');
 const leadCard = document.querySelector('.status-card.lead');
 const boulderCard = document.querySelector('.status-card.boulder');
+const estimateToggle = document.getElementById('show-estimated');
+const healthSection = document.getElementById('collection-health');
+const healthGrid = document.getElementById('health-grid');
+const healthNote = document.getElementById('health-note');
+const gymNameEl = document.getElementById('gym-name');
+const gymLink = document.getElementById('gym-link');
+const gymSwitcher = document.getElementById('gym-switcher');
+const comparisonSection = document.getElementById('gym-comparison');
+const comparisonGrid = document.getElementById('comparison-grid');
+
+/**
+ * URL of a file in the current gym's data directory, bypassing the cache
+ */
+function dataUrl(file, gym = currentGym) {
+    return `./data/${gym.path ? `${gym.path}/` : ''}${file}?${Date.now()}`;
+}
+
+/**
+ * Resolves the timezone the current gym's days and times are shown in, from
+ * the gym index or else its opening hours
+ */
+function resolveTimeZone() {
+    gymTimeZone = currentGym.timezone || openingHours.timezone || GYM_TIMEZONE;
+}
 
 /**
- * Fetches the history data from the JSON file
+ * Fetches the history manifest, aggregates, intervals, health, status and
+ * opening hours, then the history shards from `fromKey` up to today
  */
-async function fetchData() {
+async function fetchData(fromKey) {
     try {
-        const [historyResponse, statusResponse] = await Promise.all([
-            fetch('./data/history.json?' + Date.now()),
-            fetch('./data/status.json?' + Date.now()).catch(() => ({ ok: false }))
+        const [manifestResponse, aggregatesResponse, intervalsResponse, healthResponse, statusResponse, hoursResponse] = await Promise.all([
+            fetch(dataUrl('history/manifest.json')),
+            fetch(dataUrl('aggregates.json')).catch(() => ({ ok: false })),
+            fetch(dataUrl('intervals.json')).catch(() => ({ ok: false })),
+            fetch(dataUrl('health.json')).catch(() => ({ ok: false })),
+            fetch(dataUrl('status.json')).catch(() => ({ ok: false })),
+            fetch(dataUrl('opening-hours.json')).catch(() => ({ ok: false }))
         ]);
 
-        if (!historyResponse.ok) throw new Error('Failed to fetch data');
+        if (!manifestResponse.ok) throw new Error('Failed to fetch data');
 
-        historyData = await historyResponse.json();
+        // Older schema versions are upgraded as they are read
+        historyManifest = upgrade('manifest', await manifestResponse.json());
+        aggregates = aggregatesResponse.ok ? upgrade('aggregates', await aggregatesResponse.json()) : null;
+        intervalLog = intervalsResponse.ok ? upgrade('intervals', await intervalsResponse.json()) : emptyIntervals();
+        health = healthResponse.ok ? upgrade('health', await healthResponse.json()) : null;
         const statusData = statusResponse.ok ? await statusResponse.json() : null;
+        latestReading = statusData?.success && statusData.data?.timestamp ? statusData.data : null;
+        openingHours = hoursResponse.ok ? await hoursResponse.json() : DEFAULT_OPENING_HOURS;
+        resolveTimeZone();
 
+        await loadHistory(fromKey);
         return { history: historyData, status: statusData };
     } catch (error) {
         console.error('Error fetching data:', error);
@@ -49,10 +116,56 @@ async function fetchData() {
     }
 }
 
+/**
+ * First local date a view needs raw history for
+ */
+function rangeStart(range) {
+    return addDays(toDateKey(new Date(), gymTimeZone), -((RANGE_DAYS[range] || 1) - 1));
+}
+
+/**
+ * Downloads the shards covering `fromKey` up to today (plus the latest shard
+ * for the current status) and rebuilds historyData from all loaded shards.
+ * Shards are re-fetched only when their entry count in the manifest changed.
+ */
+async function loadHistory(fromKey) {
+    if (!historyManifest) return historyData;
+
+    const shards = historyManifest.shards || [];
+    const needed = shardsForRange(historyManifest, fromKey, toDateKey(new Date(), gymTimeZone));
+    if (shards.length > 0 && !needed.includes(shards[shards.length - 1])) {
+        needed.push(shards[shards.length - 1]);
+    }
+
+    const stale = needed.filter(shard => shardCache.get(shard.month)?.count !== shard.count);
+    await Promise.all(stale.map(async shard => {
+        const response = await fetch(dataUrl(`history/${shard.file}`));
+        if (!response.ok) throw new Error(`Failed to fetch ${shard.file}`);
+        shardCache.set(shard.month, { count: shard.count, entries: upgrade('shard', await response.json()).entries });
+    }));
+
+    historyData = shards
+        .filter(shard => shardCache.has(shard.month))
+        .flatMap(shard => shardCache.get(shard.month).entries);
+    return historyData;
+}
+
 /**
  * Updates the current status cards with the latest data
  */
 function updateCurrentStatus(data, status) {
+    // While closed the latest entry is the last reading before closing
+    const closedAt = closedSince(intervalLog, status);
+    if (closedAt) {
+        leadValue.textContent = '--';
+        boulderValue.textContent = '--';
+        leadProgress.style.width = '0%';
+        boulderProgress.style.width = '0%';
+        lastUpdatedEl.textContent = `Closed since ${new Date(closedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: gymTimeZone })}`;
+        lastUpdatedEl.style.color = '';
+        return;
+    }
+
     if (!data || data.length === 0) {
         leadValue.textContent = '--';
         boulderValue.textContent = '--';
@@ -71,23 +184,32 @@ function updateCurrentStatus(data, status) {
     boulderProgress.style.width = `${latest.boulder ?? 0}%`;
 
     // Update status text
-    if (status && !status.success) {
-        lastUpdatedEl.textContent = `Error: ${status.message || 'Collection failed'}`;
+    if (status?.breaker?.state === 'open') {
+        const { consecutiveBlocks, nextProbeAt } = status.breaker;
+        lastUpdatedEl.textContent = `Blocked by the ${currentGym.name} website: paused after ${consecutiveBlocks} blocked runs, next try ${formatHealthTime(nextProbeAt)}`;
+        lastUpdatedEl.style.color = '#ef4444';
+    } else if (status && !status.success) {
+        const streak = health?.streak;
+        const since = streak?.failures > 1 ? ` (${streak.failures} failed runs since ${formatHealthTime(streak.since)})` : '';
+        lastUpdatedEl.textContent = `Error: ${status.message || 'Collection failed'}${since}`;
         lastUpdatedEl.style.color = '#ef4444'; // Red color for error
     } else {
         lastUpdatedEl.style.color = ''; // Reset color
 
+        // Mirror readings have no real lead/boulder split
+        const estimate = getEntrySource(latest) === SOURCES.MIRROR ? ' (estimate)' : '';
+
         // Use status timestamp if available, otherwise use data timestamp
         const lastRun = status ? new Date(status.lastRun) : new Date(latest.timestamp);
         const now = new Date();
         const diffMinutes = Math.floor((now - lastRun) / 60000);
 
         if (diffMinutes < 1) {
-            lastUpdatedEl.textContent = 'Updated just now';
+            lastUpdatedEl.textContent = `Updated just now${estimate}`;
         } else if (diffMinutes < 60) {
-            lastUpdatedEl.textContent = `Updated ${diffMinutes} min ago`;
+            lastUpdatedEl.textContent = `Updated ${diffMinutes} min ago${estimate}`;
         } else {
-            lastUpdatedEl.textContent = `Updated at ${lastRun.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            lastUpdatedEl.textContent = `Updated at ${lastRun.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: gymTimeZone })}${estimate}`;
         }
     }
 }
@@ -107,13 +229,19 @@ function animateValue(element, newValue) {
 }
 
 /**
- * Groups data by day (YYYY-MM-DD)
+ * Entries the charts should plot: low-fidelity samples only when enabled
+ */
+function chartEntries(data) {
+    return showEstimated ? data : data.filter(entry => !isLowFidelity(entry));
+}
+
+/**
+ * Groups data by gym-local day (YYYY-MM-DD in the gym's timezone)
  */
 function groupDataByDay(data) {
     const groups = {};
     data.forEach(entry => {
-        const date = new Date(entry.timestamp);
-        const key = date.toISOString().split('T')[0];
+        const key = toDateKey(entry.timestamp, gymTimeZone);
         if (!groups[key]) {
             groups[key] = [];
         }
@@ -122,24 +250,60 @@ function groupDataByDay(data) {
     return groups;
 }
 
+/**
+ * Closures and outages overlapping a chart window, clipped to it
+ * @param {Date} startOfDay - Wall-clock window start
+ * @param {Date} endOfDay - Wall-clock window end
+ * @returns {Array} Array of { type, start, end } with wall-clock milliseconds
+ */
+function getIntervalBands(startOfDay, endOfDay) {
+    const now = toWallClock(new Date(), gymTimeZone).getTime();
+    return intervalLog.intervals
+        .map(interval => ({
+            type: interval.type,
+            start: toWallClock(interval.from, gymTimeZone).getTime(),
+            end: interval.to ? toWallClock(interval.to, gymTimeZone).getTime() : now
+        }))
+        .filter(band => band.start < endOfDay.getTime() && band.end > startOfDay.getTime())
+        .map(band => ({
+            ...band,
+            start: Math.max(band.start, startOfDay.getTime()),
+            end: Math.min(band.end, endOfDay.getTime())
+        }));
+}
+
 /**
  * Normalizes data for a single day to ensure consistent X-axis
- * Injects 0 values at opening/closing times if missing
+ * Injects 0 values at opening/closing times if missing, except during outages,
+ * and breaks the lines where a closure or outage starts
+ * Entries are step data: each holds until the next one, since unchanged
+ * readings aren't recorded. Today's last entry is carried up to the latest
+ * reading.
+ * Times are gym wall-clock Dates (see toWallClock in time.js)
  */
 function normalizeDayData(rawData, dateStr) {
-    // Create base date for this chart
-    const baseDate = new Date(dateStr);
-    const startOfDay = new Date(baseDate);
-    startOfDay.setHours(GYM_HOURS.start, 0, 0, 0);
-    const endOfDay = new Date(baseDate);
-    endOfDay.setHours(GYM_HOURS.end, 0, 0, 0);
+    // Chart spans the day's opening hours in gym time
+    const window = getDisplayWindow(openingHours, dateStr);
+    const startOfDay = wallClockDate(dateStr, window.start);
+    const endOfDay = wallClockDate(dateStr, window.end);
 
-    let data = [...rawData];
+    let data = rawData.map(entry => ({ ...entry, time: toWallClock(entry.timestamp, gymTimeZone) }));
+
+    const last = rawData[rawData.length - 1];
+    if (last && latestReading && latestReading.timestamp > last.timestamp &&
+        toDateKey(latestReading.timestamp, gymTimeZone) === dateStr && chartEntries([latestReading]).length > 0) {
+        data.push({ ...latestReading, time: toWallClock(latestReading.timestamp, gymTimeZone) });
+    }
+
+    const bands = getIntervalBands(startOfDay, endOfDay);
+    const inOutage = time => bands.some(band =>
+        band.type === INTERVAL_TYPES.MISSING && band.start <= time.getTime() && time.getTime() <= band.end
+    );
 
     // Check if we need to inject start point
-    if (data.length === 0 || new Date(data[0].timestamp) > startOfDay) {
+    if ((data.length === 0 || data[0].time > startOfDay) && !inOutage(startOfDay)) {
         data.unshift({
-            timestamp: startOfDay.toISOString(),
+            time: startOfDay,
             lead: 0,
             boulder: 0
         });
@@ -148,80 +312,79 @@ function normalizeDayData(rawData, dateStr) {
     // Check if we need to inject end point (only for past days or if gym is closed)
     // For today, we don't force an end point if it's currently earlier than closing time
     const now = new Date();
-    const isToday = baseDate.toDateString() === now.toDateString();
+    const isToday = dateStr === toDateKey(now, gymTimeZone);
 
     // logic: if it's a past day, force end point. 
     // if it's today and current time is past closing, force end point.
-    if (!isToday || (isToday && now.getHours() >= GYM_HOURS.end)) {
-        if (data.length > 0 && new Date(data[data.length - 1].timestamp) < endOfDay) {
+    if (!isToday || (isToday && toWallClock(now, gymTimeZone) >= endOfDay)) {
+        if (data.length > 0 && data[data.length - 1].time < endOfDay && !inOutage(endOfDay)) {
             data.push({
-                timestamp: endOfDay.toISOString(),
+                time: endOfDay,
                 lead: 0,
                 boulder: 0
             });
         }
     }
 
+    // A null point where a closure or outage starts keeps the lines from
+    // being drawn across it
+    bands.forEach(band => {
+        const time = new Date(band.start);
+        if (data.length > 0 && time > data[0].time && time < data[data.length - 1].time) {
+            data.push({ time, lead: null, boulder: null });
+        }
+    });
+    data.sort((a, b) => a.time - b.time);
+
     return {
-        labels: data.map(d => new Date(d.timestamp)),
+        labels: data.map(d => d.time),
         leadData: data.map(d => d.lead),
         boulderData: data.map(d => d.boulder),
+        sectorData: data.map(d => d.sectors?.open ?? null),
+        sectorTotal: Math.max(0, ...data.map(d => d.sectors?.total ?? 0)) || null,
+        bands,
         minTime: startOfDay,
         maxTime: endOfDay
     };
 }
 
 /**
- * Synchronizes tooltips across multiple charts
- */
-/**
- * Interpolates value between two points
- */
-function interpolateValue(start, end, factor) {
-    if (start === null || end === null) return 0;
-    return start + (end - start) * factor;
-}
-
-/**
- * Gets interpolated Lead/Boulder values for a specific timestamp
+ * Gets the Lead/Boulder values in effect at a specific timestamp: the last
+ * point at or before it, as the lines are drawn stepped (see normalizeDayData)
  */
-function getInterpolatedValues(chart, timeValue) {
+function getValuesAt(chart, timeValue) {
     const time = new Date(timeValue).getTime();
     const timestamps = chart.data.labels.map(d => d.getTime());
 
-    // Find enclosing timestamps
-    let index = -1;
-    for (let i = 0; i < timestamps.length - 1; i++) {
-        if (time >= timestamps[i] && time <= timestamps[i + 1]) {
-            index = i;
-            break;
-        }
-    }
-
-    // If not found (out of bounds), return null
-    if (index === -1) return null;
+    // Out of bounds: nothing before the first point or after the last
+    if (timestamps.length === 0 || time < timestamps[0] || time > timestamps[timestamps.length - 1]) return null;
 
-    const tStart = timestamps[index];
-    const tEnd = timestamps[index + 1];
-    const range = tEnd - tStart;
-    const factor = range === 0 ? 0 : (time - tStart) / range;
+    let index = 0;
+    while (index < timestamps.length - 1 && timestamps[index + 1] <= time) {
+        index++;
+    }
 
     const leadDataset = chart.data.datasets.find(d => d.label === 'Lead');
     const boulderDataset = chart.data.datasets.find(d => d.label === 'Boulder');
+    const sectorsDataset = chart.data.datasets.find(d => d.label === SECTORS_LABEL);
 
     if (!leadDataset || !boulderDataset) return null;
 
+    // Nothing to show inside a closure or outage
+    if (leadDataset.data[index] === null) return null;
+
     return {
-        lead: interpolateValue(leadDataset.data[index], leadDataset.data[index + 1], factor),
-        boulder: interpolateValue(boulderDataset.data[index], boulderDataset.data[index + 1], factor)
+        lead: leadDataset.data[index],
+        boulder: boulderDataset.data[index],
+        sectors: sectorsDataset?.data[index] ?? null
     };
 }
 
 /**
- * Custom Plugin for Interpolation & Sync
+ * Custom Plugin for the Crosshair & Sync
  */
-const interpolationPlugin = {
-    id: 'interpolation',
+const crosshairPlugin = {
+    id: 'crosshair',
     afterInit: (chart) => {
         chart.crosshair = { x: null, time: null, active: false };
     },
@@ -265,8 +428,8 @@ const interpolationPlugin = {
         if (active && time) {
             const x = scales.x.getPixelForValue(time);
 
-            // Get interpolated values
-            const values = getInterpolatedValues(chart, time);
+            // Get the values in effect at the crosshair
+            const values = getValuesAt(chart, time);
             if (!values) return;
 
             const leadVisible = chart.isDatasetVisible(0);
@@ -275,7 +438,8 @@ const interpolationPlugin = {
             // Prepare text and measure widths for positioning
             const leadValueText = `${Math.round(values.lead)}%`;
             const boulderValueText = `${Math.round(values.boulder)}%`;
-            const timeStr = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const sectorsText = values.sectors !== null ? ` · ${values.sectors} sectors open` : '';
+            const timeStr = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + sectorsText;
 
             ctx.save();
             ctx.font = '600 11px Inter';
@@ -338,6 +502,34 @@ const interpolationPlugin = {
     }
 };
 
+/**
+ * Shades closures and outages (see intervals.js) behind the lines.
+ * Bands come from the chart's `plugins.intervalBands.bands` option.
+ */
+const BAND_COLORS = {
+    [INTERVAL_TYPES.CLOSED]: 'rgba(148, 163, 184, 0.12)',
+    [INTERVAL_TYPES.MISSING]: 'rgba(239, 68, 68, 0.12)'
+};
+
+const intervalBandsPlugin = {
+    id: 'intervalBands',
+    beforeDatasetsDraw: (chart, args, options) => {
+        const { ctx, chartArea, scales } = chart;
+        const bands = options.bands || [];
+
+        ctx.save();
+        bands.forEach(band => {
+            const left = Math.max(chartArea.left, scales.x.getPixelForValue(band.start));
+            const right = Math.min(chartArea.right, scales.x.getPixelForValue(band.end));
+            if (right <= left) return;
+
+            ctx.fillStyle = BAND_COLORS[band.type] || BAND_COLORS[INTERVAL_TYPES.MISSING];
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        });
+        ctx.restore();
+    }
+};
+
 /**
  * Synchronizes charts by Time of Day
  */
@@ -382,6 +574,46 @@ function syncCharts(sourceChart, time) {
     });
 }
 
+const SECTORS_LABEL = 'Open sectors';
+
+/**
+ * Dataset plotting the open sector count on its own axis, so closed sectors
+ * can be told apart as a reason for the gym feeling full
+ */
+function sectorDataset(dayData) {
+    return {
+        label: SECTORS_LABEL,
+        data: dayData.sectorData,
+        yAxisID: 'sectors',
+        borderColor: 'rgba(52, 211, 153, 0.8)',
+        borderWidth: 1.5,
+        borderDash: [4, 4],
+        fill: false,
+        stepped: 'after',
+        pointRadius: 0,
+        pointHoverRadius: 0
+    };
+}
+
+/**
+ * Right-hand axis for sectorDataset, hidden on days without sector data
+ */
+function sectorScale(dayData) {
+    return {
+        position: 'right',
+        display: dayData.sectorTotal !== null,
+        min: 0,
+        max: dayData.sectorTotal ?? 1,
+        grid: {
+            display: false
+        },
+        ticks: {
+            color: '#6b6b80',
+            precision: 0
+        }
+    };
+}
+
 /**
  * Creates a single day chart instance
  */
@@ -398,7 +630,7 @@ function createDayChart(canvasCtx, dayData, minTime, maxTime) {
                     backgroundColor: 'rgba(129, 140, 248, 0.1)',
                     borderWidth: 2,
                     fill: true, // Fill area under line
-                    tension: 0.4,
+                    stepped: 'after',
                     pointRadius: 0,
                     pointHoverRadius: 0, // No points on hover
                     hidden: !visibleDatasets.lead
@@ -410,11 +642,12 @@ function createDayChart(canvasCtx, dayData, minTime, maxTime) {
                     backgroundColor: 'rgba(251, 191, 36, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: 0.4,
+                    stepped: 'after',
                     pointRadius: 0,
                     pointHoverRadius: 0,
                     hidden: !visibleDatasets.boulder
-                }
+                },
+                sectorDataset(dayData)
             ]
         },
         options: {
@@ -436,6 +669,9 @@ function createDayChart(canvasCtx, dayData, minTime, maxTime) {
                 },
                 tooltip: {
                     enabled: false, // Disable default tooltip
+                },
+                intervalBands: {
+                    bands: dayData.bands
                 }
             },
             scales: {
@@ -470,10 +706,11 @@ function createDayChart(canvasCtx, dayData, minTime, maxTime) {
                         color: '#6b6b80',
                         callback: value => value + '%'
                     }
-                }
+                },
+                sectors: sectorScale(dayData)
             }
         },
-        plugins: [interpolationPlugin]
+        plugins: [intervalBandsPlugin, crosshairPlugin]
     });
 }
 
@@ -494,28 +731,57 @@ function calculatePeaksForDay(dayData) {
     if (validLeadEntries.length > 0) {
         const maxEntry = validLeadEntries.reduce((max, e) => e.lead > max.lead ? e : max);
         maxLead = maxEntry.lead;
-        maxLeadTime = new Date(maxEntry.timestamp);
+        maxLeadTime = toWallClock(maxEntry.timestamp, gymTimeZone);
     }
 
     if (validBoulderEntries.length > 0) {
         const maxEntry = validBoulderEntries.reduce((max, e) => e.boulder > max.boulder ? e : max);
         maxBoulder = maxEntry.boulder;
-        maxBoulderTime = new Date(maxEntry.timestamp);
+        maxBoulderTime = toWallClock(maxEntry.timestamp, gymTimeZone);
     }
 
     return { maxLead, maxBoulder, maxLeadTime, maxBoulderTime };
 }
 
 /**
- * Formats a date into a prominent day label (e.g., "Sunday, Jan 18")
+ * Peaks for a gym-local day, from the aggregates when they cover the day
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {Array} dayData - Raw entries for the day, used as a fallback
+ * @returns {Object} Object with maxLead, maxBoulder, maxLeadTime, maxBoulderTime
  */
-function formatDayLabel(date, showTodayPrefix = false) {
+function getDayPeaks(dateKey, dayData) {
+    const day = aggregates?.days?.[dateKey];
+    if (!day) return calculatePeaksForDay(dayData);
+
+    // Estimated peaks only count when they beat the real ones
+    const peaks = { ...day.peaks };
+    if (showEstimated && day.estimated) {
+        ['lead', 'boulder'].forEach(type => {
+            const estimated = day.estimated.peaks[type];
+            if (estimated && (!peaks[type] || estimated.value > peaks[type].value)) {
+                peaks[type] = estimated;
+            }
+        });
+    }
+
+    return {
+        maxLead: peaks.lead ? peaks.lead.value : null,
+        maxBoulder: peaks.boulder ? peaks.boulder.value : null,
+        maxLeadTime: peaks.lead ? toWallClock(peaks.lead.at, gymTimeZone) : null,
+        maxBoulderTime: peaks.boulder ? toWallClock(peaks.boulder.at, gymTimeZone) : null
+    };
+}
+
+/**
+ * Formats a gym-local date key into a prominent day label (e.g., "Sunday, Jan 18")
+ */
+function formatDayLabel(dateKey, showTodayPrefix = false) {
     const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const date = wallClockDate(dateKey);
     const dayName = daysOfWeek[date.getDay()];
     const dateFormatted = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
 
-    const today = new Date();
-    const isToday = date.toDateString() === today.toDateString();
+    const isToday = dateKey === toDateKey(new Date(), gymTimeZone);
 
     if (showTodayPrefix && isToday) {
         return `Today — ${dayName}, ${dateFormatted}`;
@@ -530,8 +796,7 @@ function renderSingleDayView(groupedData) {
     chartsContainer.className = 'charts-container'; // default layout
 
     // Get today's data
-    const today = new Date();
-    const todayKey = today.toISOString().split('T')[0];
+    const todayKey = toDateKey(new Date(), gymTimeZone);
     const rawTodayData = groupedData[todayKey] || [];
 
     const dayWrapper = document.createElement('div');
@@ -539,7 +804,7 @@ function renderSingleDayView(groupedData) {
 
     const dateLabel = document.createElement('div');
     dateLabel.className = 'date-label';
-    dateLabel.textContent = formatDayLabel(today, true);
+    dateLabel.textContent = formatDayLabel(todayKey, true);
     dayWrapper.appendChild(dateLabel);
 
     const canvas = document.createElement('canvas');
@@ -547,7 +812,7 @@ function renderSingleDayView(groupedData) {
     chartsContainer.appendChild(dayWrapper);
 
     const normalized = normalizeDayData(rawTodayData, todayKey);
-    const peaks = calculatePeaksForDay(rawTodayData);
+    const peaks = getDayPeaks(todayKey, rawTodayData);
     const chart = createDayChartWithPeakHighlight(
         canvas.getContext('2d'),
         normalized,
@@ -569,14 +834,10 @@ function renderTwoDayView(groupedData) {
 
     // We want today and yesterday. If today is missing (e.g. early morning), we might still want to show it?
     // Let's assume we always want Today + Yesterday
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    const daysToShow = [today, yesterday];
+    const todayKey = toDateKey(new Date(), gymTimeZone);
+    const daysToShow = [todayKey, addDays(todayKey, -1)];
 
-    daysToShow.forEach((date, i) => {
-        const key = date.toISOString().split('T')[0];
+    daysToShow.forEach((key, i) => {
         const rawData = groupedData[key] || [];
 
         const dayWrapper = document.createElement('div');
@@ -584,7 +845,7 @@ function renderTwoDayView(groupedData) {
 
         const dateLabel = document.createElement('div');
         dateLabel.className = 'date-label';
-        dateLabel.textContent = formatDayLabel(date, i === 0);
+        dateLabel.textContent = formatDayLabel(key, i === 0);
         dayWrapper.appendChild(dateLabel);
 
         const canvas = document.createElement('canvas');
@@ -592,7 +853,7 @@ function renderTwoDayView(groupedData) {
         chartsContainer.appendChild(dayWrapper);
 
         const normalized = normalizeDayData(rawData, key);
-        const peaks = calculatePeaksForDay(rawData);
+        const peaks = getDayPeaks(key, rawData);
         const chart = createDayChartWithPeakHighlight(
             canvas.getContext('2d'),
             normalized,
@@ -613,18 +874,15 @@ function renderTwoDayView(groupedData) {
 function renderWeeklyView(groupedData) {
     chartsContainer.className = 'charts-container week';
 
-    const today = new Date();
+    const todayKey = toDateKey(new Date(), gymTimeZone);
     const daysToShow = [];
 
     // Generate last 7 days including today
     for (let i = 0; i < 7; i++) {
-        const d = new Date(today);
-        d.setDate(d.getDate() - i);
-        daysToShow.push(d);
+        daysToShow.push(addDays(todayKey, -i));
     }
 
-    daysToShow.forEach((date, i) => {
-        const key = date.toISOString().split('T')[0];
+    daysToShow.forEach((key, i) => {
         const rawData = groupedData[key] || [];
 
         const dayWrapper = document.createElement('div');
@@ -632,7 +890,7 @@ function renderWeeklyView(groupedData) {
 
         const dateLabel = document.createElement('div');
         dateLabel.className = 'date-label';
-        dateLabel.textContent = formatDayLabel(date, i === 0);
+        dateLabel.textContent = formatDayLabel(key, i === 0);
         dayWrapper.appendChild(dateLabel);
 
         const canvas = document.createElement('canvas');
@@ -640,7 +898,7 @@ function renderWeeklyView(groupedData) {
         chartsContainer.appendChild(dayWrapper);
 
         const normalized = normalizeDayData(rawData, key);
-        const peaks = calculatePeaksForDay(rawData);
+        const peaks = getDayPeaks(key, rawData);
         const chart = createDayChartWithPeakHighlight(
             canvas.getContext('2d'),
             normalized,
@@ -656,54 +914,27 @@ function renderWeeklyView(groupedData) {
 }
 
 /**
- * Calculates the max Lead and Boulder values for each day
- * @param {Array} data - Raw history data
+ * Collects the max Lead and Boulder values for each day
+ * @param {Array} data - Raw history data (loaded shards)
  * @param {number} daysToInclude - Number of days to include
  * @returns {Array} Array of { date, dateStr, maxLead, maxBoulder, maxLeadTime, maxBoulderTime, dayEntries }
  */
 function calculateDailyMax(data, daysToInclude) {
-    const today = new Date();
+    const todayKey = toDateKey(new Date(), gymTimeZone);
+    const groupedData = groupDataByDay(data);
     const results = [];
 
     for (let i = 0; i < daysToInclude; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
-
-        // Filter entries for this day
-        const dayEntries = data.filter(entry => {
-            const entryDate = new Date(entry.timestamp).toISOString().split('T')[0];
-            return entryDate === dateStr;
-        });
+        const dateStr = addDays(todayKey, -i);
+        const date = wallClockDate(dateStr);
 
-        // Calculate max values (ignore null/0 values from closed hours)
-        const validLeadEntries = dayEntries.filter(e => e.lead != null && e.lead > 0);
-        const validBoulderEntries = dayEntries.filter(e => e.boulder != null && e.boulder > 0);
-
-        let maxLead = null;
-        let maxLeadTime = null;
-        let maxBoulder = null;
-        let maxBoulderTime = null;
-
-        if (validLeadEntries.length > 0) {
-            const maxEntry = validLeadEntries.reduce((max, e) => e.lead > max.lead ? e : max);
-            maxLead = maxEntry.lead;
-            maxLeadTime = new Date(maxEntry.timestamp);
-        }
-
-        if (validBoulderEntries.length > 0) {
-            const maxEntry = validBoulderEntries.reduce((max, e) => e.boulder > max.boulder ? e : max);
-            maxBoulder = maxEntry.boulder;
-            maxBoulderTime = new Date(maxEntry.timestamp);
-        }
+        // Entries for this gym-local day (only present once its shard is loaded)
+        const dayEntries = groupedData[dateStr] || [];
 
         results.push({
             date,
             dateStr,
-            maxLead,
-            maxBoulder,
-            maxLeadTime,
-            maxBoulderTime,
+            ...getDayPeaks(dateStr, dayEntries),
             dayEntries
         });
     }
@@ -722,18 +953,18 @@ function calculateDailyMax(data, daysToInclude) {
  */
 function createMaxChart(canvasCtx, dailyMaxData, title, onDayClick, compactLabels = false) {
     const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const today = new Date().toISOString().split('T')[0];
+    const today = toDateKey(new Date(), gymTimeZone);
 
     // Create labels based on view mode
     const labels = dailyMaxData.map((d, index) => {
-        const date = new Date(d.dateStr);
+        const date = wallClockDate(d.dateStr);
         const dayNum = date.getDate();
         const dayOfWeek = date.getDay();
         const month = date.toLocaleDateString([], { month: 'short' });
 
         if (compactLabels) {
             // For month view: show only date, include month for first entry and when month changes
-            const prevDate = index > 0 ? new Date(dailyMaxData[index - 1].dateStr) : null;
+            const prevDate = index > 0 ? wallClockDate(dailyMaxData[index - 1].dateStr) : null;
             const showMonth = index === 0 || (prevDate && prevDate.getMonth() !== date.getMonth());
 
             if (d.dateStr === today) {
@@ -752,7 +983,7 @@ function createMaxChart(canvasCtx, dailyMaxData, title, onDayClick, compactLabel
 
     // Create array indicating which labels are weekends (for coloring)
     const weekendIndices = dailyMaxData.map(d => {
-        const date = new Date(d.dateStr);
+        const date = wallClockDate(d.dateStr);
         const dayOfWeek = date.getDay();
         return dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
     });
@@ -976,7 +1207,7 @@ function createDayChartWithPeakHighlight(canvasCtx, dayData, minTime, maxTime, m
                     backgroundColor: 'rgba(129, 140, 248, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: 0.4,
+                    stepped: 'after',
                     pointRadius: 0,
                     pointHoverRadius: 0,
                     hidden: !visibleDatasets.lead
@@ -988,11 +1219,12 @@ function createDayChartWithPeakHighlight(canvasCtx, dayData, minTime, maxTime, m
                     backgroundColor: 'rgba(251, 191, 36, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: 0.4,
+                    stepped: 'after',
                     pointRadius: 0,
                     pointHoverRadius: 0,
                     hidden: !visibleDatasets.boulder
-                }
+                },
+                sectorDataset(dayData)
             ]
         },
         options: {
@@ -1014,6 +1246,9 @@ function createDayChartWithPeakHighlight(canvasCtx, dayData, minTime, maxTime, m
                 },
                 tooltip: {
                     enabled: false
+                },
+                intervalBands: {
+                    bands: dayData.bands
                 }
             },
             scales: {
@@ -1045,10 +1280,11 @@ function createDayChartWithPeakHighlight(canvasCtx, dayData, minTime, maxTime, m
                         color: '#6b6b80',
                         callback: value => value + '%'
                     }
-                }
+                },
+                sectors: sectorScale(dayData)
             }
         },
-        plugins: [interpolationPlugin, peakLinesPlugin]
+        plugins: [intervalBandsPlugin, crosshairPlugin, peakLinesPlugin]
     });
 }
 
@@ -1078,14 +1314,9 @@ function renderDrillDownDayView(dayData, container) {
     const chartWrapper = document.createElement('div');
     chartWrapper.className = 'day-chart-wrapper drill-down-chart';
 
-    const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const date = new Date(dayData.dateStr);
-    const dayName = daysOfWeek[date.getDay()];
-    const dateFormatted = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
-
     const titleLabel = document.createElement('div');
     titleLabel.className = 'date-label';
-    titleLabel.textContent = `${dayName}, ${dateFormatted}`;
+    titleLabel.textContent = formatDayLabel(dayData.dateStr);
     chartWrapper.appendChild(titleLabel);
 
     const canvas = document.createElement('canvas');
@@ -1110,6 +1341,25 @@ function renderDrillDownDayView(dayData, container) {
     charts.push(chart);
 }
 
+/**
+ * Shows the drill-down chart for a clicked bar, loading the day's shard first if needed
+ */
+async function openDrillDown(dayData) {
+    let dayEntries = dayData.dayEntries || [];
+    if (dayEntries.length === 0 && (dayData.maxLead !== null || dayData.maxBoulder !== null)) {
+        try {
+            await loadHistory(dayData.dateStr);
+        } catch (error) {
+            console.error('Error fetching data:', error);
+        }
+        dayEntries = groupDataByDay(chartEntries(historyData))[dayData.dateStr] || [];
+    }
+
+    if (dayEntries.length > 0) {
+        renderDrillDownDayView({ ...dayData, dayEntries }, chartsContainer);
+    }
+}
+
 /**
  * Renders the Max/Week View - Bar chart showing max occupancy for the last 7 days
  */
@@ -1130,13 +1380,7 @@ function renderMaxWeekView(data) {
     chartWrapper.appendChild(canvas);
     chartsContainer.appendChild(chartWrapper);
 
-    const onDayClick = (dayData) => {
-        if (dayData.dayEntries && dayData.dayEntries.length > 0) {
-            renderDrillDownDayView(dayData, chartsContainer);
-        }
-    };
-
-    const chart = createMaxChart(canvas.getContext('2d'), dailyMaxData, 'Last 7 Days', onDayClick);
+    const chart = createMaxChart(canvas.getContext('2d'), dailyMaxData, 'Last 7 Days', openDrillDown);
     charts.push(chart);
 }
 
@@ -1160,13 +1404,7 @@ function renderMaxMonthView(data) {
     chartWrapper.appendChild(canvas);
     chartsContainer.appendChild(chartWrapper);
 
-    const onDayClick = (dayData) => {
-        if (dayData.dayEntries && dayData.dayEntries.length > 0) {
-            renderDrillDownDayView(dayData, chartsContainer);
-        }
-    };
-
-    const chart = createMaxChart(canvas.getContext('2d'), dailyMaxData, 'Last 30 Days', onDayClick, true);
+    const chart = createMaxChart(canvas.getContext('2d'), dailyMaxData, 'Last 30 Days', openDrillDown, true);
     charts.push(chart);
 }
 
@@ -1181,6 +1419,7 @@ function updateChart(data) {
         chartsContainer.innerHTML = '';
 
         // 2. Group data
+        data = chartEntries(data);
         const groupedData = groupDataByDay(data);
 
         // 3. Render appropriate view
@@ -1209,27 +1448,34 @@ function updateChart(data) {
 }
 
 /**
- * Calculates and displays best times to visit
+ * Displays best times to visit from the precomputed hourly aggregates
  */
-function updateBestTimes(data) {
-    // Group by hour and calculate averages
-    const hourlyAverages = {};
-
-    data.forEach(entry => {
-        const hour = new Date(entry.timestamp).getHours();
-        if (!hourlyAverages[hour]) {
-            hourlyAverages[hour] = { lead: [], boulder: [] };
-        }
-        if (entry.lead != null) hourlyAverages[hour].lead.push(entry.lead);
-        if (entry.boulder != null) hourlyAverages[hour].boulder.push(entry.boulder);
+function updateBestTimes(aggregates) {
+    // Combine the per-weekday hourly stats into one average per hour
+    const hourlyTotals = {};
+
+    Object.values(aggregates?.hourly || {}).forEach(hours => {
+        Object.entries(hours).forEach(([hour, slot]) => {
+            if (!hourlyTotals[hour]) {
+                hourlyTotals[hour] = { lead: { sum: 0, minutes: 0 }, boulder: { sum: 0, minutes: 0 } };
+            }
+            const buckets = showEstimated && slot.estimated ? [slot, slot.estimated] : [slot];
+            buckets.forEach(bucket => {
+                ['lead', 'boulder'].forEach(type => {
+                    if (!bucket[type]) return;
+                    hourlyTotals[hour][type].sum += bucket[type].sum;
+                    hourlyTotals[hour][type].minutes += bucket[type].minutes;
+                });
+            });
+        });
     });
 
     // Calculate averages and sort by occupancy
-    const hourlyData = Object.entries(hourlyAverages)
-        .map(([hour, values]) => ({
+    const hourlyData = Object.entries(hourlyTotals)
+        .map(([hour, totals]) => ({
             hour: parseInt(hour),
-            leadAvg: values.lead.length ? Math.round(values.lead.reduce((a, b) => a + b, 0) / values.lead.length) : null,
-            boulderAvg: values.boulder.length ? Math.round(values.boulder.reduce((a, b) => a + b, 0) / values.boulder.length) : null,
+            leadAvg: totals.lead.minutes ? Math.round(totals.lead.sum / totals.lead.minutes) : null,
+            boulderAvg: totals.boulder.minutes ? Math.round(totals.boulder.sum / totals.boulder.minutes) : null,
         }))
         .filter(h => h.leadAvg !== null || h.boulderAvg !== null)
         .map(h => ({
@@ -1260,16 +1506,175 @@ function updateBestTimes(data) {
     });
 }
 
+/**
+ * Gym date and time of an ISO timestamp, for the health summary
+ */
+function formatHealthTime(iso) {
+    return new Date(iso).toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: gymTimeZone });
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 48 ? `${hours} h ${minutes % 60} min` : `${Math.floor(hours / 24)} days ${hours % 24} h`;
+}
+
+/**
+ * Renders the collection health summary: success rates today and per
+ * source, the current failure streak and the longest outage
+ */
+function updateHealth(summary) {
+    if (!healthSection) return;
+    healthSection.hidden = !summary;
+    if (!summary) return;
+
+    const rateClass = rate => rate === null ? '' : rate >= 0.9 ? 'good' : rate >= 0.5 ? 'medium' : 'busy';
+    const percent = rate => rate === null ? '--' : `${Math.round(rate * 100)}%`;
+    const today = summary.days[toDateKey(new Date(), gymTimeZone)];
+    const items = [
+        { label: 'Today', rate: today?.successRate ?? null, detail: today ? `${today.successes}/${today.successes + today.failures} runs` : 'no runs' },
+        ...Object.entries(summary.sources).map(([id, source]) => ({
+            label: id,
+            rate: source.successRate,
+            detail: source.lastHttpStatus ? `last HTTP ${source.lastHttpStatus}` : `${source.attempts} attempts`
+        }))
+    ];
+
+    healthGrid.innerHTML = '';
+    items.forEach(({ label, rate, detail }) => {
+        const item = document.createElement('div');
+        item.className = `time-slot ${rateClass(rate)}`;
+        item.innerHTML = '<div class="time"></div><div class="avg"></div>';
+        item.querySelector('.time').textContent = `${label}: ${percent(rate)}`;
+        item.querySelector('.avg').textContent = detail;
+        healthGrid.appendChild(item);
+    });
+
+    // A block shows up here from its first failed run
+    const notes = [];
+    if (summary.streak.failures > 0) {
+        notes.push(`⚠️ ${summary.streak.failures} failed run${summary.streak.failures > 1 ? 's' : ''} in a row since ${formatHealthTime(summary.streak.since)}`);
+    }
+    if (summary.longestOutage) {
+        const { from, durationMs } = summary.longestOutage;
+        notes.push(`Longest outage: ${formatDuration(durationMs)} from ${formatHealthTime(from)}`);
+    }
+    healthNote.textContent = notes.join(' · ');
+    healthNote.classList.toggle('failing', summary.streak.failures > 0);
+}
+
+/**
+ * Reads the gym index, falling back to the single default gym, and picks
+ * the gym named in the URL (?gym=id) or the first one
+ */
+async function loadGyms() {
+    try {
+        const response = await fetch('./data/gyms.json?' + Date.now());
+        const index = response.ok ? upgrade('gyms', await response.json()) : null;
+        gyms = index?.gyms?.length ? index.gyms : [DEFAULT_GYM];
+    } catch (error) {
+        console.error('Error fetching gyms:', error);
+        gyms = [DEFAULT_GYM];
+    }
+    const requested = new URLSearchParams(location.search).get('gym');
+    showGym(gyms.find(gym => gym.id === requested) ?? gyms[0]);
+}
+
+/**
+ * Points the page at a gym: heading, title, website link and switcher
+ */
+function showGym(gym) {
+    currentGym = gym;
+    resolveTimeZone();
+    if (gymNameEl) gymNameEl.textContent = gym.name;
+    document.title = `KI Tracker - ${gym.name} Occupancy`;
+    if (gymLink) {
+        gymLink.href = gym.url;
+        gymLink.textContent = `Visit ${gym.name} Website →`;
+    }
+
+    if (!gymSwitcher) return;
+    gymSwitcher.hidden = gyms.length < 2;
+    gymSwitcher.innerHTML = '';
+    gyms.forEach(({ id, name }) => {
+        const button = document.createElement('button');
+        button.className = `filter-btn${id === gym.id ? ' active' : ''}`;
+        button.textContent = name;
+        button.addEventListener('click', () => switchGym(id));
+        gymSwitcher.appendChild(button);
+    });
+}
+
+/**
+ * Switches the dashboard to another gym, dropping the loaded history and
+ * opening hours
+ */
+async function switchGym(id) {
+    const gym = gyms.find(candidate => candidate.id === id);
+    if (!gym || gym === currentGym) return;
+
+    const url = new URL(location.href);
+    url.searchParams.set('gym', id);
+    history.replaceState(null, '', url);
+
+    openingHours = DEFAULT_OPENING_HOURS;
+    showGym(gym);
+    shardCache.clear();
+    historyManifest = null;
+    historyData = [];
+    await refresh();
+}
+
+/**
+ * Latest reading of every gym from its status.json, side by side; a click
+ * switches to that gym
+ */
+async function updateComparison() {
+    if (!comparisonSection) return;
+    comparisonSection.hidden = gyms.length < 2;
+    if (gyms.length < 2) return;
+
+    const statuses = await Promise.all(gyms.map(async gym => {
+        try {
+            const response = await fetch(dataUrl('status.json', gym));
+            return response.ok ? await response.json() : null;
+        } catch {
+            return null;
+        }
+    }));
+
+    comparisonGrid.innerHTML = '';
+    gyms.forEach((gym, index) => {
+        const status = statuses[index];
+        const reading = status?.data;
+        const overall = reading ? Math.round(((reading.lead ?? 0) + (reading.boulder ?? 0)) / 2) : null;
+        const level = overall === null ? '' : overall < 30 ? 'good' : overall < 60 ? 'medium' : 'busy';
+
+        const item = document.createElement('div');
+        item.className = `time-slot ${level}${gym.id === currentGym.id ? ' current' : ''}`;
+        item.innerHTML = '<div class="time"></div><div class="avg"></div>';
+        item.querySelector('.time').textContent = gym.name;
+        item.querySelector('.avg').textContent = reading
+            ? `Lead ${reading.lead ?? '--'}% · Boulder ${reading.boulder ?? '--'}%`
+            : status?.success && !status.category ? 'Closed' : 'No data';
+        item.addEventListener('click', () => switchGym(gym.id));
+        comparisonGrid.appendChild(item);
+    });
+}
+
 /**
  * Refreshes all data and updates the UI
  */
 async function refresh() {
     refreshBtn.classList.add('loading');
 
-    const result = await fetchData();
+    const result = await fetchData(rangeStart(currentRange));
     updateCurrentStatus(result.history, result.status);
     updateChart(result.history); // Uses currentRange global
-    updateBestTimes(result.history);
+    updateBestTimes(aggregates);
+    updateHealth(health);
+    await updateComparison();
 
     setTimeout(() => {
         refreshBtn.classList.remove('loading');
@@ -1279,7 +1684,7 @@ async function refresh() {
 /**
  * Handles time filter button clicks
  */
-function handleFilterClick(event) {
+async function handleFilterClick(event) {
     const range = event.target.dataset.range;
     if (!range) return;
 
@@ -1289,7 +1694,12 @@ function handleFilterClick(event) {
     filterBtns.forEach(btn => btn.classList.remove('active'));
     event.target.classList.add('active');
 
-    // Update chart with new range
+    // Load any missing shards, then update chart with new range
+    try {
+        await loadHistory(rangeStart(range));
+    } catch (error) {
+        console.error('Error fetching data:', error);
+    }
     updateChart(historyData);
 }
 
@@ -1297,6 +1707,14 @@ function handleFilterClick(event) {
 refreshBtn.addEventListener('click', refresh);
 filterBtns.forEach(btn => btn.addEventListener('click', handleFilterClick));
 
+if (estimateToggle) {
+    estimateToggle.addEventListener('change', () => {
+        showEstimated = estimateToggle.checked;
+        updateChart(historyData);
+        updateBestTimes(aggregates);
+    });
+}
+
 if (leadCard) {
     leadCard.addEventListener('click', () => toggleDataset('lead'));
 }
@@ -1331,7 +1749,7 @@ try {
     if (typeof Chart === 'undefined') {
         throw new Error('Chart.js library not loaded');
     }
-    refresh();
+    loadGyms().then(refresh);
 } catch (error) {
     showError('Startup Error: ' + error.message);
 }
@@ -0,0 +1,156 @@
+/**
+ * Scrape Errors
+ * Typed failures thrown by the scraper. Every error carries a `category`
+ * plus the HTTP `status` and `url` involved (null when there was none), so
+ * callers decide how to react without parsing messages.
+ */
+
+export const ERROR_CATEGORIES = {
+  BLOCKED: 'blocked', // HTTP 403
+  RATE_LIMITED: 'rate-limited', // HTTP 429
+  TIMEOUT: 'timeout',
+  NETWORK: 'network', // connection failures and other non-OK responses
+  MARKUP_CHANGED: 'markup-changed', // a response no longer has the data where we look for it
+  NONCE_MISSING: 'nonce-missing',
+  INVALID_DATA: 'invalid-data', // parsed, but the values are impossible
+  INTERNAL: 'internal', // anything that isn't a scrape failure
+};
+
+// When several sources fail differently, the first of these is reported:
+// an upstream refusing us explains the parse failures of other sources
+const CATEGORY_PRIORITY = [
+  ERROR_CATEGORIES.BLOCKED,
+  ERROR_CATEGORIES.RATE_LIMITED,
+  ERROR_CATEGORIES.TIMEOUT,
+  ERROR_CATEGORIES.NETWORK,
+  ERROR_CATEGORIES.MARKUP_CHANGED,
+  ERROR_CATEGORIES.NONCE_MISSING,
+  ERROR_CATEGORIES.INVALID_DATA,
+  ERROR_CATEGORIES.INTERNAL,
+];
+
+export class ScrapeError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.category=ERROR_CATEGORIES.INTERNAL]
+   * @param {number|null} [details.status=null] - HTTP status
+   * @param {string|null} [details.url=null] - Requested URL
+   * @param {Error} [details.cause]
+   */
+  constructor(
+    message,
+    {
+      category = ERROR_CATEGORIES.INTERNAL,
+      status = null,
+      url = null,
+      cause,
+    } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ScrapeError';
+    this.category = category;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+function categoryError(name, category) {
+  return class extends ScrapeError {
+    constructor(message, details = {}) {
+      super(message, { ...details, category });
+      this.name = name;
+    }
+  };
+}
+
+export const BlockedError = categoryError(
+  'BlockedError',
+  ERROR_CATEGORIES.BLOCKED
+);
+export const RateLimitedError = categoryError(
+  'RateLimitedError',
+  ERROR_CATEGORIES.RATE_LIMITED
+);
+export const TimeoutError = categoryError(
+  'TimeoutError',
+  ERROR_CATEGORIES.TIMEOUT
+);
+export const NetworkError = categoryError(
+  'NetworkError',
+  ERROR_CATEGORIES.NETWORK
+);
+export const MarkupChangedError = categoryError(
+  'MarkupChangedError',
+  ERROR_CATEGORIES.MARKUP_CHANGED
+);
+export const NonceMissingError = categoryError(
+  'NonceMissingError',
+  ERROR_CATEGORIES.NONCE_MISSING
+);
+export const InvalidDataError = categoryError(
+  'InvalidDataError',
+  ERROR_CATEGORIES.INVALID_DATA
+);
+
+/**
+ * Error for a non-OK HTTP response
+ * @param {number} status
+ * @param {string} url
+ * @param {string} message
+ * @returns {ScrapeError}
+ */
+export function httpError(status, url, message) {
+  const details = { status, url };
+  if (status === 403) return new BlockedError(message, details);
+  if (status === 429) return new RateLimitedError(message, details);
+  return new NetworkError(message, details);
+}
+
+/**
+ * Category of any error; errors that aren't ScrapeErrors are internal
+ * @param {*} error
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+export function getErrorCategory(error) {
+  return error instanceof ScrapeError
+    ? error.category
+    : ERROR_CATEGORIES.INTERNAL;
+}
+
+/**
+ * The error that best explains a set of failures (see CATEGORY_PRIORITY)
+ * @param {Error[]} errors
+ * @returns {Error|undefined}
+ */
+export function mostSevereError(errors) {
+  const rank = error => CATEGORY_PRIORITY.indexOf(getErrorCategory(error));
+  return [...errors].sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Thrown when every source failed. Category, status and URL come from the
+ * most severe failure; all of them are in `failures`.
+ */
+export class SourcesFailedError extends ScrapeError {
+  /**
+   * @param {Map<string, Error>} failures - Last error per source id
+   */
+  constructor(failures) {
+    const summary = [...failures].map(
+      ([id, error]) => `${id}: ${error.message}`
+    );
+    const primary = mostSevereError([...failures.values()]);
+    super(
+      `All sources failed (${summary.join(' | ') || 'no sources registered'})`,
+      {
+        category: getErrorCategory(primary),
+        status: primary?.status ?? null,
+        url: primary?.url ?? null,
+        cause: primary,
+      }
+    );
+    this.name = 'SourcesFailedError';
+    this.failures = failures;
+  }
+}
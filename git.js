@@ -0,0 +1,147 @@
+/**
+ * Git Access
+ * Every collect run commits the data files, so the repository's own history
+ * is a log of every past data file. These helpers list and read the blobs
+ * of those files for the backfill and migration commands.
+ */
+
+import { execFile, spawn } from 'child_process';
+import { relative, resolve, sep } from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const EMPTY_BLOB = /^0+$/;
+
+/**
+ * Runs a git command
+ * @param {string} cwd - Working directory inside the repository
+ * @param {string[]} args
+ * @returns {Promise<string>} stdout
+ */
+export async function git(cwd, args) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  return stdout;
+}
+
+/**
+ * Root of the repository containing a directory
+ * @param {string} dir
+ * @returns {Promise<string>}
+ */
+export async function repoRoot(dir) {
+  return (await git(resolve(dir), ['rev-parse', '--show-toplevel'])).trim();
+}
+
+/**
+ * Git path (forward slashes, relative to the repository root) of a file
+ * @param {string} root - Repository root
+ * @param {string} file
+ * @returns {string}
+ */
+export function toGitPath(root, file) {
+  return relative(root, resolve(file)).split(sep).join('/');
+}
+
+/**
+ * Lists every blob that was ever stored at the given paths, on any branch
+ * @param {string} root - Repository root
+ * @param {string[]} paths - Git paths (files or directories) to look at
+ * @param {Function} [accept] - Filters the file paths that are reported
+ * @returns {Promise<{revisions: number, blobs: Map<string, string>}>} Number
+ *   of commits touching the paths, and blob id -> path
+ */
+export async function listBlobs(root, paths, accept = () => true) {
+  const output = await git(root, [
+    'log',
+    '--all',
+    '-m',
+    '--no-renames',
+    '--raw',
+    '--no-abbrev',
+    '--format=commit %H',
+    '--',
+    ...paths,
+  ]);
+
+  const revisions = new Set();
+  const blobs = new Map();
+  for (const line of output.split('\n')) {
+    if (line.startsWith('commit ')) {
+      revisions.add(line.slice(7));
+      continue;
+    }
+    // :<mode> <mode> <old blob> <new blob> <status>\t<path>
+    const match = /^:\S+ \S+ (\w+) (\w+) \w+\t(.+)$/.exec(line);
+    if (!match) continue;
+    const [, oldBlob, newBlob, path] = match;
+    if (!accept(path)) continue;
+    for (const blob of [oldBlob, newBlob]) {
+      if (!EMPTY_BLOB.test(blob)) blobs.set(blob, path);
+    }
+  }
+  return { revisions: revisions.size, blobs };
+}
+
+/**
+ * Streams blob contents through a single `git cat-file --batch` process
+ * @param {string} root - Repository root
+ * @param {string[]} ids - Blob ids
+ * @returns {AsyncGenerator<{id: string, content: string}>}
+ */
+export async function* readBlobs(root, ids) {
+  const child = spawn('git', ['cat-file', '--batch'], {
+    cwd: root,
+    stdio: ['pipe', 'pipe', 'inherit'],
+  });
+  child.stdin.end(ids.map(id => `${id}\n`).join(''));
+
+  let pending = Buffer.alloc(0);
+  let header = null;
+  let parts = [];
+  let partsLength = 0;
+
+  for await (const chunk of child.stdout) {
+    let data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    pending = Buffer.alloc(0);
+
+    while (data.length > 0) {
+      if (!header) {
+        const newline = data.indexOf(10);
+        if (newline === -1) {
+          pending = data;
+          break;
+        }
+        const [id, type, size] = data.subarray(0, newline).toString().split(' ');
+        data = data.subarray(newline + 1);
+        if (type === 'missing') continue;
+        header = { id, size: Number(size) };
+        parts = [];
+        partsLength = 0;
+      }
+
+      // Content is followed by a newline
+      const needed = header.size + 1 - partsLength;
+      if (data.length < needed) {
+        parts.push(data);
+        partsLength += data.length;
+        break;
+      }
+      parts.push(data.subarray(0, needed));
+      const content = Buffer.concat(parts).subarray(0, header.size);
+      yield { id: header.id, content: content.toString('utf-8') };
+      data = data.subarray(needed);
+      header = null;
+    }
+  }
+
+  const code = await new Promise(done => {
+    if (child.exitCode !== null) done(child.exitCode);
+    else child.on('close', done);
+  });
+  if (code !== 0) {
+    throw new Error(`git cat-file exited with code ${code}`);
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * History Store
+ * Reads and writes the monthly history shards and their manifest
+ * (see shards.js) and the closed/missing interval log (see intervals.js),
+ * and migrates the legacy single-file history.
+ *
+ * Usage: node history.js migrate
+ */
+
+import { mkdir, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { gymConfigs, loadConfig, readGymTimeZone } from './config.js';
+import { readJsonFile, writeJsonAtomic } from './storage.js';
+import {
+  MANIFEST_FILE,
+  describeShard,
+  shardFileName,
+  shardKey,
+  splitIntoShards,
+} from './shards.js';
+import { emptyIntervals } from './intervals.js';
+import { getEntrySource } from './provenance.js';
+import { SCHEMA_VERSIONS, shardEnvelope, upgrade } from './schema.js';
+import { GYM_TIMEZONE } from './time.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the shard manifest
+ * @param {string} dir - History directory
+ * @returns {Promise<{updatedAt?: string, shards: Object[]}>} Empty when missing
+ * @throws {Error} When the manifest exists but is unreadable, so callers never
+ *   rewrite it from scratch
+ */
+export async function readManifest(dir) {
+  const file = join(dir, MANIFEST_FILE);
+  const manifest = upgrade(
+    'manifest',
+    await readJsonFile(file, { shards: [] })
+  );
+  if (!Array.isArray(manifest?.shards)) {
+    throw new Error(`Cannot parse ${file}: expected a shards array`);
+  }
+  return manifest;
+}
+
+async function writeManifest(dir, shards, now = new Date()) {
+  const manifest = {
+    schemaVersion: SCHEMA_VERSIONS.manifest,
+    updatedAt: now.toISOString(),
+    shards: [...shards].sort((a, b) => a.month.localeCompare(b.month)),
+  };
+  await writeJsonAtomic(join(dir, MANIFEST_FILE), manifest);
+  return manifest;
+}
+
+/**
+ * Reads one shard, upgrading older schemas (see schema.js)
+ * @param {string} dir - History directory
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Promise<Object[]>} Entries; empty when the shard doesn't exist
+ * @throws {Error} When the shard exists but is unreadable, so an append never
+ *   replaces a month of data with a single entry
+ */
+export async function readShard(dir, month) {
+  const file = join(dir, shardFileName(month));
+  const data = await readJsonFile(file, []);
+  const { entries } = upgrade('shard', data);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Cannot parse ${file}: expected an array of entries`);
+  }
+  return entries;
+}
+
+async function writeShard(dir, month, entries) {
+  await writeJsonAtomic(
+    join(dir, shardFileName(month)),
+    shardEnvelope(entries)
+  );
+  return describeShard(month, entries);
+}
+
+/**
+ * Merges entry lists, keeping the first entry seen for each timestamp
+ * @param {...Object[]} lists
+ * @returns {Object[]} Entries, oldest first
+ */
+export function mergeByTimestamp(...lists) {
+  const byTimestamp = new Map();
+  for (const entry of lists.flat()) {
+    if (!byTimestamp.has(entry.timestamp)) {
+      byTimestamp.set(entry.timestamp, entry);
+    }
+  }
+  return [...byTimestamp.values()].sort((a, b) =>
+    a.timestamp.localeCompare(b.timestamp)
+  );
+}
+
+/**
+ * Rewrites the history as the given shards and a fresh manifest listing
+ * exactly those shards
+ * @param {string} dir - History directory
+ * @param {Map<string, Object[]>} shards - Entries per month (see splitIntoShards)
+ * @returns {Promise<Object>} The new manifest
+ */
+export async function writeHistory(dir, shards) {
+  await mkdir(dir, { recursive: true });
+  const records = [];
+  for (const [month, entries] of shards) {
+    records.push(await writeShard(dir, month, entries));
+  }
+  return writeManifest(dir, records);
+}
+
+/**
+ * Reads entries from all shards, optionally limited to a time range
+ * @param {string} dir - History directory
+ * @param {Object} [range]
+ * @param {string} [range.from] - ISO timestamp, inclusive
+ * @param {string} [range.to] - ISO timestamp, inclusive
+ * @returns {Promise<Object[]>} Entries, oldest first
+ */
+export async function readEntries(dir, { from, to } = {}) {
+  const { shards } = await readManifest(dir);
+  const entries = [];
+  for (const shard of shards) {
+    if ((from && shard.to < from) || (to && shard.from > to)) continue;
+    for (const entry of await readShard(dir, shard.month)) {
+      if ((from && entry.timestamp < from) || (to && entry.timestamp > to)) {
+        continue;
+      }
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Most recent entry in the history
+ * @param {string} dir - History directory
+ * @returns {Promise<Object|undefined>}
+ */
+export async function readLastEntry(dir) {
+  const { shards } = await readManifest(dir);
+  for (const shard of [...shards].reverse()) {
+    const entries = await readShard(dir, shard.month);
+    if (entries.length > 0) return entries[entries.length - 1];
+  }
+  return undefined;
+}
+
+/**
+ * Whether a reading repeats the last recorded entry and can be left out.
+ * Entries are only recorded when the values change, plus a heartbeat at
+ * least every `heartbeatMs` so an unchanged gym can be told apart from a
+ * collector that stopped; each entry holds until the next one.
+ * @param {Object|undefined} previous - Last recorded entry
+ * @param {Object} entry - New reading
+ * @param {number} heartbeatMs - Longest gap between entries; 0 records all
+ * @returns {boolean}
+ */
+export function isRepeatReading(previous, entry, heartbeatMs) {
+  if (!previous) return false;
+  const gap = Date.parse(entry.timestamp) - Date.parse(previous.timestamp);
+  return (
+    gap < heartbeatMs &&
+    previous.lead === entry.lead &&
+    previous.boulder === entry.boulder &&
+    JSON.stringify(previous.sectors) === JSON.stringify(entry.sectors) &&
+    getEntrySource(previous) === getEntrySource(entry)
+  );
+}
+
+/**
+ * Splits shards into those to keep and those entirely older than maxDays
+ * @param {Object[]} shards - Manifest records
+ * @param {number} maxDays
+ * @param {Date} [now=new Date()]
+ * @returns {{kept: Object[], dropped: Object[]}}
+ */
+export function pruneShards(shards, maxDays, now = new Date()) {
+  const cutoff = new Date(now.getTime() - maxDays * DAY_MS).toISOString();
+  const kept = [];
+  const dropped = [];
+  for (const shard of shards) {
+    (shard.to && shard.to > cutoff ? kept : dropped).push(shard);
+  }
+  return { kept, dropped };
+}
+
+/**
+ * Appends an entry to its monthly shard, then drops shards older than
+ * maxDays. Only the entry's own shard and the manifest are rewritten.
+ * @param {string} dir - History directory
+ * @param {Object} entry - History entry with an ISO timestamp
+ * @param {Object} options
+ * @param {number} options.maxDays - Retention in days
+ * @param {Date} [options.now=new Date()]
+ * @param {string} [options.timeZone=GYM_TIMEZONE] - The gym's, for the month
+ * @returns {Promise<Object>} Updated manifest
+ */
+export async function appendEntry(
+  dir,
+  entry,
+  { maxDays, now = new Date(), timeZone = GYM_TIMEZONE }
+) {
+  await mkdir(dir, { recursive: true });
+  const month = shardKey(entry.timestamp, timeZone);
+  const { shards } = await readManifest(dir);
+
+  const entries = await readShard(dir, month);
+  entries.push(entry);
+  const record = await writeShard(dir, month, entries);
+
+  const { kept, dropped } = pruneShards(
+    [...shards.filter(s => s.month !== month), record],
+    maxDays,
+    now
+  );
+  for (const shard of dropped) {
+    await unlink(join(dir, shard.file)).catch(() => {});
+  }
+  return writeManifest(dir, kept, now);
+}
+
+/**
+ * Merges entries into the shards of a directory, keeping existing entries on
+ * timestamp clashes. Only months that receive entries are rewritten.
+ * @param {string} dir - History (or archive) directory
+ * @param {Object[]} entries
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, for the months
+ * @returns {Promise<{added: number, manifest: Object}>} Number of new entries
+ *   and the updated manifest
+ */
+export async function mergeIntoShards(dir, entries, timeZone = GYM_TIMEZONE) {
+  await mkdir(dir, { recursive: true });
+  const { shards } = await readManifest(dir);
+  const records = new Map(shards.map(shard => [shard.month, shard]));
+
+  let added = 0;
+  for (const [month, monthEntries] of splitIntoShards(entries, timeZone)) {
+    const existing = await readShard(dir, month);
+    const merged = mergeByTimestamp(existing, monthEntries);
+    if (merged.length === existing.length) continue;
+
+    added += merged.length - existing.length;
+    records.set(month, await writeShard(dir, month, merged));
+  }
+
+  if (added === 0) {
+    return { added, manifest: { shards } };
+  }
+  return { added, manifest: await writeManifest(dir, records.values()) };
+}
+
+/**
+ * Reads the closed/missing interval log
+ * @param {string} file
+ * @returns {Promise<Object>} Empty log when missing
+ * @throws {Error} When the file exists but is unreadable
+ */
+export async function readIntervals(file) {
+  const log = upgrade('intervals', await readJsonFile(file, emptyIntervals()));
+  if (!Array.isArray(log?.intervals)) {
+    throw new Error(`Cannot parse ${file}: expected an intervals array`);
+  }
+  return log;
+}
+
+/**
+ * Writes the closed/missing interval log
+ * @param {string} file
+ * @param {Object} log - Interval log (updatedAt is set)
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<void>}
+ */
+export async function writeIntervals(file, log, now = new Date()) {
+  log.updatedAt = now.toISOString();
+  await writeJsonAtomic(file, log);
+}
+
+/**
+ * Splits a legacy single-file history into monthly shards, merging with any
+ * existing shards (entries are de-duplicated by timestamp), then removes the
+ * legacy file
+ * @param {string} legacyFile - Path of the old history.json
+ * @param {string} dir - History directory
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, for the months
+ * @returns {Promise<{migrated: number, manifest: Object}|null>} Null when
+ *   there is no legacy file
+ */
+export async function migrateLegacyHistory(
+  legacyFile,
+  dir,
+  timeZone = GYM_TIMEZONE
+) {
+  if (!existsSync(legacyFile)) return null;
+
+  const legacy = await readJsonFile(legacyFile);
+  if (!Array.isArray(legacy)) {
+    throw new Error(`${legacyFile} is not a history array`);
+  }
+
+  const { entries } = upgrade('shard', legacy);
+  const { manifest } = await mergeIntoShards(dir, entries, timeZone);
+  await unlink(legacyFile);
+  return { migrated: legacy.length, manifest };
+}
+
+// Run the migration if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const command = process.argv[2];
+  if (command !== 'migrate') {
+    console.error('Usage: node history.js migrate');
+    process.exit(1);
+  }
+
+  try {
+    for (const config of gymConfigs(await loadConfig())) {
+      const result = await migrateLegacyHistory(
+        config.historyFile,
+        config.historyDir,
+        await readGymTimeZone(config)
+      );
+      if (!result) {
+        console.log(`No legacy history at ${config.historyFile}`);
+      } else {
+        console.log(
+          `Migrated ${result.migrated} entries into ${result.manifest.shards.length} shards in ${config.historyDir}`
+        );
+        for (const shard of result.manifest.shards) {
+          console.log(`  ${shard.file}: ${shard.count} entries`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Opening Hours
+ * Resolves the gym's opening window for a given local date from a
+ * data-driven schedule: weekday windows, seasons, Austrian public holidays,
+ * fixed-date exceptions and ad-hoc closures.
+ *
+ * Shared by collect.js (Node) and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ *
+ * Dates are local calendar dates in the gym's timezone ('YYYY-MM-DD'),
+ * times are local wall-clock strings ('HH:MM').
+ */
+
+import {
+  GYM_TIMEZONE,
+  addDays,
+  getWeekday,
+  getWindowBounds,
+  toDateKey,
+} from './time.js';
+
+const NEXT_OPENING_MAX_DAYS = 14;
+
+/**
+ * Built-in schedule, used when data/opening-hours.json is missing. Public
+ * holidays only get their own window from a `holidays` key; a schedule
+ * without one treats them like any other day of the week.
+ */
+export const DEFAULT_OPENING_HOURS = {
+  timezone: 'Europe/Vienna',
+  weekdays: {
+    default: { start: '09:00', end: '22:00' },
+  },
+  holidays: { start: '09:00', end: '22:00', note: 'Public holiday' },
+  seasons: [],
+  dates: {
+    '12-24': { start: '09:00', end: '14:00', note: 'Christmas Eve' },
+    '12-25': { start: '14:00', end: '22:00', note: 'Christmas Day' },
+    '12-31': { start: '09:00', end: '14:00', note: "New Year's Eve" },
+    '01-01': { start: '14:00', end: '22:00', note: "New Year's Day" },
+  },
+  closures: [],
+};
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PUBLISHED_MAX_AGE_DAYS = 7;
+
+/**
+ * Converts 'HH:MM' to minutes after midnight
+ * @param {string} time
+ * @returns {number}
+ */
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  if (!match) {
+    throw new Error(`Invalid time "${time}", expected HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Calculates Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year
+ * @returns {string} Date key 'YYYY-MM-DD'
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the Austrian public holidays (gesetzliche Feiertage) of a year.
+ * Easter and Whit Sunday aren't among them: they are Sundays anyway.
+ * @param {number} year
+ * @returns {Array<{date: string, name: string}>} Sorted by date
+ */
+export function austrianPublicHolidays(year) {
+  const easter = easterSunday(year);
+  const fixed = (month, day) =>
+    `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  return [
+    { date: fixed(1, 1), name: 'Neujahr' },
+    { date: fixed(1, 6), name: 'Heilige Drei Könige' },
+    { date: addDays(easter, 1), name: 'Ostermontag' },
+    { date: fixed(5, 1), name: 'Staatsfeiertag' },
+    { date: addDays(easter, 39), name: 'Christi Himmelfahrt' },
+    { date: addDays(easter, 50), name: 'Pfingstmontag' },
+    { date: addDays(easter, 60), name: 'Fronleichnam' },
+    { date: fixed(8, 15), name: 'Mariä Himmelfahrt' },
+    { date: fixed(10, 26), name: 'Nationalfeiertag' },
+    { date: fixed(11, 1), name: 'Allerheiligen' },
+    { date: fixed(12, 8), name: 'Mariä Empfängnis' },
+    { date: fixed(12, 25), name: 'Christtag' },
+    { date: fixed(12, 26), name: 'Stefanitag' },
+  ].sort((x, y) => x.date.localeCompare(y.date));
+}
+
+/**
+ * Returns the public holiday name for a date, or null
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {string|null}
+ */
+export function getPublicHoliday(dateKey) {
+  const year = Number(dateKey.slice(0, 4));
+  const holiday = austrianPublicHolidays(year).find(h => h.date === dateKey);
+  return holiday ? holiday.name : null;
+}
+
+// 'MM-DD' ranges may wrap around the new year (e.g. 11-01 to 02-28)
+function inMonthDayRange(monthDay, from, to) {
+  return from <= to
+    ? monthDay >= from && monthDay <= to
+    : monthDay >= from || monthDay <= to;
+}
+
+function inDateRange(dateKey, from, to) {
+  if (from.length === 5) {
+    return inMonthDayRange(dateKey.slice(5), from, to || from);
+  }
+  return dateKey >= from && dateKey <= (to || from);
+}
+
+function weekdayWindow(weekdays, weekdayKey) {
+  if (!weekdays) return undefined;
+  if (weekdayKey in weekdays) return weekdays[weekdayKey];
+  return weekdays.default;
+}
+
+function toWindow(window, reason) {
+  if (!window) return null;
+  return {
+    start: window.start,
+    end: window.end,
+    reason: window.note || reason,
+  };
+}
+
+// Returns the configured window plus whether it came from the regular
+// (weekday or seasonal) schedule rather than a date-specific rule
+function resolveConfigured(hours, dateKey) {
+  const closure = (hours.closures || []).find(c =>
+    inDateRange(dateKey, c.from, c.to)
+  );
+  if (closure) {
+    return { window: null, regular: false };
+  }
+
+  const dates = hours.dates || {};
+  if (dateKey in dates) {
+    return { window: toWindow(dates[dateKey], 'Exception'), regular: false };
+  }
+  if (dateKey.slice(5) in dates) {
+    return {
+      window: toWindow(dates[dateKey.slice(5)], 'Exception'),
+      regular: false,
+    };
+  }
+
+  const holiday = getPublicHoliday(dateKey);
+  if (holiday && hours.holidays !== undefined) {
+    return { window: toWindow(hours.holidays, holiday), regular: false };
+  }
+
+  const weekdayKey = WEEKDAY_KEYS[getWeekday(dateKey)];
+  const season = (hours.seasons || []).find(s =>
+    inDateRange(dateKey, s.from, s.to)
+  );
+  const seasonal = season && weekdayWindow(season.weekdays, weekdayKey);
+  if (seasonal !== undefined) {
+    return { window: toWindow(seasonal, season.name), regular: true };
+  }
+
+  const regular = weekdayWindow(hours.weekdays, weekdayKey);
+  return { window: toWindow(regular, 'Regular hours'), regular: true };
+}
+
+/**
+ * Resolves the opening window for a local date.
+ * Precedence: closures, exact-date exceptions ('YYYY-MM-DD'), recurring
+ * exceptions ('MM-DD'), public holidays (only with a `holidays` window),
+ * seasonal weekday windows, weekday windows. A null window means closed.
+ * @param {Object} hours - Opening hours config (see DEFAULT_OPENING_HOURS)
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @returns {{start: string, end: string, reason: string}|null}
+ */
+export function getOpeningWindow(hours, dateKey) {
+  return resolveConfigured(hours, dateKey).window;
+}
+
+/**
+ * Looks up hours the gym itself published (see parseOpeningHours in
+ * scraper.js). A record for the date itself wins; otherwise the weekly
+ * schedule from the most recent record of the past week is used.
+ * @param {Object} published - Records keyed by local date 'YYYY-MM-DD'
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @returns {Object|null|undefined} Window, null when closed, undefined when unknown
+ */
+export function getPublishedWindow(published, dateKey) {
+  const record = published?.[dateKey];
+  if (record && record.today !== undefined) {
+    return toWindow(record.today, 'Published by the gym');
+  }
+
+  const weekdayKey = WEEKDAY_KEYS[getWeekday(dateKey)];
+  const oldest = addDays(dateKey, -PUBLISHED_MAX_AGE_DAYS);
+  const recent = Object.keys(published || {})
+    .filter(key => key <= dateKey && key >= oldest)
+    .sort()
+    .reverse();
+  for (const key of recent) {
+    const weekdays = published[key].weekdays || {};
+    if (weekdayKey in weekdays) {
+      return toWindow(weekdays[weekdayKey], 'Published weekly hours');
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Opening window used to decide whether to poll. Hours published for the
+ * date win; published weekly hours replace the configured regular schedule
+ * but not configured exceptions, holidays or closures.
+ * @param {Object} hours - Opening hours config
+ * @param {Object} published - Published hours records (may be empty)
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @returns {{start: string, end: string, reason: string}|null}
+ */
+export function getEffectiveWindow(hours, published, dateKey) {
+  const record = published?.[dateKey];
+  if (record && record.today !== undefined) {
+    return getPublishedWindow(published, dateKey);
+  }
+
+  const configured = resolveConfigured(hours, dateKey);
+  if (!configured.regular) {
+    return configured.window;
+  }
+  const weekly = getPublishedWindow(published, dateKey);
+  return weekly !== undefined ? weekly : configured.window;
+}
+
+/**
+ * Checks whether local minutes after midnight fall inside a window
+ * @param {{start: string, end: string}|null} window
+ * @param {number} minutes
+ * @returns {boolean}
+ */
+export function isWithinWindow(window, minutes) {
+  if (!window) return false;
+  return minutes >= parseTime(window.start) && minutes < parseTime(window.end);
+}
+
+/**
+ * First instant at or after `date` when the gym is open by the effective
+ * window (see getEffectiveWindow): `date` itself while open, else the next
+ * opening within two weeks
+ * @param {Object} hours - Opening hours config
+ * @param {Object} published - Published hours records (may be empty)
+ * @param {Date} date
+ * @returns {Date|null} Null when nothing opens within two weeks
+ */
+export function getNextOpening(hours, published, date) {
+  const timeZone = hours.timezone || GYM_TIMEZONE;
+  const today = toDateKey(date, timeZone);
+  for (let offset = 0; offset <= NEXT_OPENING_MAX_DAYS; offset++) {
+    const dateKey = addDays(today, offset);
+    const window = getEffectiveWindow(hours, published, dateKey);
+    if (!window) continue;
+    const { start, end } = getWindowBounds(dateKey, window, timeZone);
+    if (end > date) return start > date ? start : date;
+  }
+  return null;
+}
+
+/**
+ * Checks whether the gym is open at a local date and time
+ * @param {Object} hours - Opening hours config
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @param {number} minutes - Local minutes after midnight
+ * @returns {boolean}
+ */
+export function isOpenAt(hours, dateKey, minutes) {
+  return isWithinWindow(getOpeningWindow(hours, dateKey), minutes);
+}
+
+/**
+ * Window used for chart axes: the opening window, or on closed days the
+ * widest regular weekday span so empty days still get a sensible axis
+ * @param {Object} hours - Opening hours config
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @returns {{start: string, end: string}}
+ */
+export function getDisplayWindow(hours, dateKey) {
+  const window = getOpeningWindow(hours, dateKey);
+  if (window) return window;
+
+  const regular = Object.values(hours.weekdays || {}).filter(Boolean);
+  if (regular.length === 0) {
+    return { start: '00:00', end: '24:00' };
+  }
+  const byMinutes = (key, pick) =>
+    regular.map(w => w[key]).sort((a, b) => parseTime(a) - parseTime(b))[pick];
+  return {
+    start: byMinutes('start', 0),
+    end: byMinutes('end', regular.length - 1),
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Intervals
+ * Spans without readings, recorded explicitly instead of as zero entries:
+ * `closed` while the gym is shut and `missing` while collection fails. The
+ * log (data/intervals.json) is `{ schemaVersion, updatedAt, intervals }`,
+ * oldest first, each interval `{ type, from, to, reason }` with ISO
+ * timestamps. Only the last interval may still be ongoing (`to: null`).
+ *
+ * Shared by the collector and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+import { isClosedMarker } from './provenance.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+
+export const INTERVAL_TYPES = {
+  CLOSED: 'closed',
+  MISSING: 'missing',
+};
+
+/**
+ * Interval log with nothing recorded yet
+ * @returns {Object}
+ */
+export function emptyIntervals() {
+  return {
+    schemaVersion: SCHEMA_VERSIONS.intervals,
+    updatedAt: null,
+    intervals: [],
+  };
+}
+
+/**
+ * The ongoing interval, if any
+ * @param {Object} log - Interval log
+ * @returns {Object|null}
+ */
+export function getOpenInterval(log) {
+  const last = log.intervals[log.intervals.length - 1];
+  return last && last.to === null ? last : null;
+}
+
+/**
+ * When the gym closed, if it is closed now: the closure in the log is still
+ * ongoing or the status of the last run reports it closed
+ * @param {Object} log - Interval log
+ * @param {Object|null} [status] - Contents of status.json
+ * @returns {string|null} ISO timestamp, null while open or unknown
+ */
+export function closedSince(log, status = null) {
+  const ongoing = getOpenInterval(log);
+  if (ongoing?.type === INTERVAL_TYPES.CLOSED) return ongoing.from;
+  return status?.closed ? status.lastRun : null;
+}
+
+/**
+ * Starts an interval (mutates the log). An ongoing interval of another type
+ * ends where the new one starts.
+ * @param {Object} log - Interval log
+ * @param {string} type - One of INTERVAL_TYPES
+ * @param {string} at - ISO timestamp
+ * @param {string|null} [reason=null]
+ * @returns {boolean} False when an interval of this type is already ongoing
+ */
+export function openInterval(log, type, at, reason = null) {
+  const current = getOpenInterval(log);
+  if (current?.type === type) return false;
+  if (current) current.to = at;
+  log.intervals.push({ type, from: at, to: null, reason });
+  return true;
+}
+
+/**
+ * Ends the ongoing interval (mutates the log)
+ * @param {Object} log - Interval log
+ * @param {string} at - ISO timestamp
+ * @returns {boolean} False when nothing was ongoing
+ */
+export function closeOpenInterval(log, at) {
+  const current = getOpenInterval(log);
+  if (!current) return false;
+  current.to = at;
+  return true;
+}
+
+/**
+ * Intervals overlapping a time range
+ * @param {Object} log - Interval log
+ * @param {string} from - ISO timestamp
+ * @param {string} to - ISO timestamp
+ * @returns {Object[]}
+ */
+export function intervalsInRange(log, from, to) {
+  return log.intervals.filter(
+    interval =>
+      interval.from < to && (interval.to === null || interval.to > from)
+  );
+}
+
+/**
+ * Sorts intervals and merges overlapping ones of the same type. An interval
+ * left ongoing before a later one ends where the later one starts.
+ * @param {Object[]} intervals
+ * @returns {Object[]} New interval objects, oldest first
+ */
+export function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(interval => ({ ...interval }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      last.type === interval.type &&
+      (last.to === null || last.to >= interval.from)
+    ) {
+      if (last.to !== null && (interval.to === null || interval.to > last.to)) {
+        last.to = interval.to;
+      }
+      continue;
+    }
+    if (last && last.to === null) last.to = interval.from;
+    merged.push(interval);
+  }
+  return merged;
+}
+
+/**
+ * Turns closed zero markers into closed intervals lasting until the next
+ * real reading
+ * @param {Object[]} entries - History entries, oldest first
+ * @returns {{entries: Object[], intervals: Object[]}} The entries without
+ *   markers, and the closures they stood for
+ */
+export function closedMarkersToIntervals(entries) {
+  const kept = [];
+  const intervals = [];
+  let current = null;
+  for (const entry of entries) {
+    if (isClosedMarker(entry)) {
+      if (!current) {
+        current = {
+          type: INTERVAL_TYPES.CLOSED,
+          from: entry.timestamp,
+          to: null,
+          reason: null,
+        };
+        intervals.push(current);
+      }
+      continue;
+    }
+    if (current) {
+      current.to = entry.timestamp;
+      current = null;
+    }
+    kept.push(entry);
+  }
+  return { entries: kept, intervals };
+}
+
+/**
+ * Turns failed collection runs into missing intervals, each lasting from the
+ * first failed run to the next run that succeeded
+ * @param {Object[]} runs - Status records (`lastRun`, `success`, `message`,
+ *   `error` when the run threw), in any order
+ * @returns {Object[]} Missing intervals, oldest first
+ */
+export function failedRunsToIntervals(runs) {
+  const log = emptyIntervals();
+  const sorted = [...runs].sort((a, b) => a.lastRun.localeCompare(b.lastRun));
+  for (const run of sorted) {
+    if (run.success === false || run.error) {
+      openInterval(log, INTERVAL_TYPES.MISSING, run.lastRun, run.message);
+    } else {
+      closeOpenInterval(log, run.lastRun);
+    }
+  }
+  return log.intervals;
+}
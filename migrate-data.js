@@ -0,0 +1,116 @@
+/**
+ * Data Migration
+ * Rewrites every data file in the current schema (see schema.js): history
+ * and archive shards, their manifests, the aggregates, the interval log, the
+ * run log, the health summary, the circuit breaker state and the quarantine
+ * log.
+ * Readers upgrade older files on the fly, so this only saves that work and
+ * keeps the files in one format. Files already current are left untouched.
+ * Every gym's data directory is migrated (see config.js).
+ *
+ * Usage: node migrate-data.js
+ */
+
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { gymConfigs, loadConfig } from './config.js';
+import { getSchemaVersion, SCHEMA_VERSIONS, upgrade } from './schema.js';
+import { acquireLock, readJsonFile, writeJsonAtomic } from './storage.js';
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Upgrades one data file to the current schema
+ * @param {string} file
+ * @param {string} kind - One of the SCHEMA_VERSIONS keys
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty=true] - Indent with 2 spaces
+ * @returns {Promise<Object|null>} `{file, kind, from, to}`, or null when the
+ *   file doesn't exist
+ */
+export async function migrateFile(file, kind, { pretty = true } = {}) {
+  const data = await readJsonFile(file, null);
+  if (data === null) return null;
+
+  const from = getSchemaVersion(data);
+  const to = SCHEMA_VERSIONS[kind];
+  if (from !== to) {
+    await writeJsonAtomic(file, upgrade(kind, data), { pretty });
+  }
+  return { file, kind, from, to };
+}
+
+async function listJsonFiles(dir) {
+  try {
+    return (await readdir(dir)).filter(name => name.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Upgrades every data file to the current schema
+ * @param {Object} config - Resolved config (see config.js)
+ * @returns {Promise<Object[]>} One `{file, kind, from, to}` per file found
+ */
+export async function migrateData(config) {
+  const results = [];
+  for (const dir of [config.historyDir, config.archiveDir]) {
+    for (const name of await listJsonFiles(dir)) {
+      const kind = name === MANIFEST_FILE ? 'manifest' : 'shard';
+      results.push(await migrateFile(join(dir, name), kind));
+    }
+  }
+  results.push(
+    await migrateFile(config.aggregatesFile, 'aggregates', { pretty: false }),
+    await migrateFile(config.intervalsFile, 'intervals'),
+    await migrateFile(config.runLogFile, 'runs', { pretty: false }),
+    await migrateFile(config.healthFile, 'health'),
+    await migrateFile(config.breakerFile, 'breaker'),
+    await migrateFile(config.quarantineFile, 'quarantine')
+  );
+  return results.filter(Boolean);
+}
+
+/**
+ * Formats a migration report for the console
+ * @param {Object[]} results - See migrateData
+ * @returns {string}
+ */
+export function formatMigrationReport(results) {
+  const upgraded = results.filter(result => result.from !== result.to);
+  const lines = upgraded.map(
+    ({ file, kind, from, to }) => `${file} (${kind}): v${from} -> v${to}`
+  );
+  lines.push(
+    `Upgraded ${upgraded.length} of ${results.length} data files to the current schema`
+  );
+  return lines.join('\n');
+}
+
+// Run the migration if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let releaseLock;
+  try {
+    for (const config of gymConfigs(await loadConfig())) {
+      releaseLock = await acquireLock(config.lockFile, {
+        staleMs: config.lockStaleMs,
+      });
+      if (!releaseLock) {
+        throw new Error(
+          `A collection holds ${config.lockFile}; try again later`
+        );
+      }
+
+      console.log(formatMigrationReport(await migrateData(config)));
+      await releaseLock();
+      releaseLock = null;
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await releaseLock?.();
+  }
+}
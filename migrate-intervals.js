@@ -0,0 +1,163 @@
+/**
+ * Interval Migration
+ * Moves closures and outages into the interval log (see intervals.js):
+ * closed zero markers are taken out of the history shards and become closed
+ * intervals, and the failed runs found in the git history of status.json
+ * become missing intervals. Safe to run more than once.
+ *
+ * Usage: node migrate-intervals.js
+ */
+
+import { unlink } from 'fs/promises';
+import { join } from 'path';
+import { gymConfigs, loadConfig, readGymTimeZone } from './config.js';
+import {
+  readEntries,
+  readIntervals,
+  readManifest,
+  writeHistory,
+  writeIntervals,
+} from './history.js';
+import { splitIntoShards } from './shards.js';
+import {
+  closedMarkersToIntervals,
+  failedRunsToIntervals,
+  mergeIntervals,
+} from './intervals.js';
+import { acquireLock, readJsonFile } from './storage.js';
+import { listBlobs, readBlobs, repoRoot, toGitPath } from './git.js';
+import { GYM_TIMEZONE } from './time.js';
+
+/**
+ * Removes closed zero markers from the history shards
+ * @param {string} dir - History directory
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, for the months
+ * @returns {Promise<{removed: number, intervals: Object[]}>} Number of
+ *   markers removed and the closed intervals they stood for
+ */
+export async function migrateClosedMarkers(dir, timeZone = GYM_TIMEZONE) {
+  const { shards } = await readManifest(dir);
+  const entries = await readEntries(dir);
+  const { entries: kept, intervals } = closedMarkersToIntervals(entries);
+  const removed = entries.length - kept.length;
+  if (removed === 0) return { removed, intervals };
+
+  const byMonth = splitIntoShards(kept, timeZone);
+  await writeHistory(dir, byMonth);
+  for (const shard of shards) {
+    if (!byMonth.has(shard.month)) {
+      await unlink(join(dir, shard.file)).catch(() => {});
+    }
+  }
+  return { removed, intervals };
+}
+
+/**
+ * Every collection run found in the git history of the status file, plus
+ * the current one. Outside a git repository only the current status is read.
+ * @param {Object} config - Resolved config (see config.js)
+ * @returns {Promise<Object[]>} Status records, one per run
+ */
+export async function readStatusRuns(config) {
+  const runs = new Map();
+  const addRun = status => {
+    if (typeof status?.lastRun === 'string') runs.set(status.lastRun, status);
+  };
+
+  let root = null;
+  try {
+    root = await repoRoot(config.dataDir);
+  } catch {
+    console.warn(
+      `${config.dataDir} is not in a git repository; reading the current status only`
+    );
+  }
+
+  if (root) {
+    const { blobs } = await listBlobs(root, [
+      toGitPath(root, config.statusFile),
+    ]);
+    for await (const { content } of readBlobs(root, [...blobs.keys()])) {
+      try {
+        addRun(JSON.parse(content));
+      } catch {
+        // Damaged revision: nothing to learn from it
+      }
+    }
+  }
+
+  addRun(await readJsonFile(config.statusFile, null));
+  return [...runs.values()];
+}
+
+/**
+ * Migrates closed markers and failed runs into the interval log
+ * @param {Object} config - Resolved config (see config.js)
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>} Report: markers removed, runs read, intervals
+ *   derived and the size of the log
+ */
+export async function migrateIntervals(config, { now = new Date() } = {}) {
+  const log = await readIntervals(config.intervalsFile);
+  const markers = await migrateClosedMarkers(
+    config.historyDir,
+    await readGymTimeZone(config)
+  );
+  const runs = await readStatusRuns(config);
+  const outages = failedRunsToIntervals(runs);
+
+  log.intervals = mergeIntervals([
+    ...log.intervals,
+    ...markers.intervals,
+    ...outages,
+  ]);
+  await writeIntervals(config.intervalsFile, log, now);
+
+  return {
+    markers: markers.removed,
+    closures: markers.intervals.length,
+    runs: runs.length,
+    outages: outages.length,
+    intervals: log.intervals.length,
+  };
+}
+
+/**
+ * Formats a migration report for the console
+ * @param {Object} report - See migrateIntervals
+ * @returns {string}
+ */
+export function formatMigrationReport(report) {
+  return [
+    `Moved ${report.markers} zero markers out of the history as ${report.closures} closed intervals`,
+    `Found ${report.outages} missing intervals in ${report.runs} recorded runs`,
+    `The interval log now has ${report.intervals} intervals`,
+  ].join('\n');
+}
+
+// Run the migration if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let releaseLock;
+  try {
+    for (const config of gymConfigs(await loadConfig())) {
+      releaseLock = await acquireLock(config.lockFile, {
+        staleMs: config.lockStaleMs,
+      });
+      if (!releaseLock) {
+        throw new Error(
+          `A collection holds ${config.lockFile}; try again later`
+        );
+      }
+
+      console.log(formatMigrationReport(await migrateIntervals(config)));
+      await releaseLock();
+      releaseLock = null;
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await releaseLock?.();
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Outbound Network
+ * Builds the undici dispatchers the scraper's requests go through. By
+ * default requests honour the standard proxy variables (`HTTP_PROXY`,
+ * `HTTPS_PROXY`, `NO_PROXY`, also lowercase) unless `httpProxy`,
+ * `httpsProxy` or `noProxy` are configured. `sourceProxies` picks a proxy
+ * URL, or `direct`, per request kind: `main-page` (also used by the AJAX
+ * source to get its nonce), `ajax` and `mirror`. `caFile` adds a PEM bundle
+ * to the trusted CAs, e.g. for a TLS-intercepting proxy, and `localAddress`
+ * binds outgoing connections to a source IP or a network interface's
+ * address on multi-homed machines.
+ */
+
+import { readFile } from 'fs/promises';
+import { isIP } from 'net';
+import { networkInterfaces } from 'os';
+import { rootCertificates } from 'tls';
+import { Agent, EnvHttpProxyAgent, Pool, ProxyAgent } from 'undici';
+
+// sourceProxies value for connecting without a proxy
+export const DIRECT = 'direct';
+
+/**
+ * Resolves a configured local address: an IP address as is, or the first
+ * address of the named interface (IPv4 preferred)
+ * @param {string} value - IP address or interface name, e.g. 'eth1'
+ * @param {Object} [interfaces=networkInterfaces()]
+ * @returns {string} IP address
+ * @throws {Error} When it is neither an IP nor an interface with an address
+ */
+export function resolveLocalAddress(value, interfaces = networkInterfaces()) {
+  if (isIP(value)) return value;
+  const addresses = interfaces[value] ?? [];
+  const address =
+    addresses.find(({ family }) => family === 'IPv4') ?? addresses[0];
+  if (!address) {
+    throw new Error(`No address for network interface "${value}"`);
+  }
+  return address.address;
+}
+
+async function agentOptions(config) {
+  const options = {};
+  if (config.caFile) {
+    const bundle = await readFile(config.caFile, 'utf-8').catch(error => {
+      throw new Error(
+        `Cannot read CA bundle ${config.caFile}: ${error.message}`
+      );
+    });
+    const ca = [...rootCertificates, bundle];
+    options.connect = { ca }; // direct TLS connections
+    options.requestTls = { ca }; // TLS to the site through a proxy tunnel
+    options.proxyTls = { ca }; // TLS to an https:// proxy
+  }
+  if (config.localAddress) {
+    const localAddress = resolveLocalAddress(config.localAddress);
+    options.localAddress = localAddress;
+    // Connections to the proxy itself
+    options.clientFactory = (origin, opts) =>
+      new Pool(origin, { ...opts, localAddress });
+  }
+  return options;
+}
+
+/**
+ * Dispatchers for one scrape, one per distinct route
+ * @param {Object} config - Resolved config (see config.js)
+ * @returns {Promise<{dispatcherFor: (kind: string) => Object, close: () => Promise<void>}>}
+ *   `dispatcherFor` takes a request kind ('main-page', 'ajax' or 'mirror');
+ *   `close` releases every connection
+ * @throws {Error} When the CA bundle can't be read or the local address
+ *   doesn't resolve
+ */
+export async function createNetwork(config) {
+  const options = await agentOptions(config);
+  const routes = new Map();
+  const route = (key, create) => {
+    if (!routes.has(key)) routes.set(key, create());
+    return routes.get(key);
+  };
+
+  const byDefault = () =>
+    new EnvHttpProxyAgent({
+      ...options,
+      httpProxy: config.httpProxy ?? undefined,
+      httpsProxy: config.httpsProxy ?? undefined,
+      noProxy: config.noProxy ?? undefined,
+    });
+
+  return {
+    dispatcherFor(kind) {
+      const proxy = config.sourceProxies?.[kind];
+      if (!proxy) return route('default', byDefault);
+      if (proxy === DIRECT) return route(DIRECT, () => new Agent(options));
+      return route(proxy, () => new ProxyAgent({ ...options, uri: proxy }));
+    },
+    async close() {
+      await Promise.all([...routes.values()].map(agent => agent.close()));
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Provenance
+ * Where a history entry came from and how much to trust its lead/boulder
+ * split. Entries written since provenance was added carry `source`,
+ * `scraperVersion` and `latencyMs`; older entries are classified by shape.
+ *
+ * Shared by the collector and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+export const SOURCES = {
+  MAIN_PAGE: 'main-page',
+  AJAX: 'ajax',
+  MIRROR: 'mirror',
+  CLOSED: 'closed',
+  MANUAL: 'manual',
+  IMPORTED: 'imported',
+};
+
+// Sources whose lead/boulder values are not a real split reading
+const LOW_FIDELITY = new Set([
+  SOURCES.MIRROR,
+  SOURCES.CLOSED,
+  SOURCES.MANUAL,
+  SOURCES.IMPORTED,
+]);
+
+/**
+ * Source of an entry. Entries from before provenance was recorded are
+ * recognised as closed markers or mirror readings by shape, otherwise their
+ * source is unknown (null).
+ * @param {Object} entry - History entry
+ * @returns {string|null} One of SOURCES, or null when unknown
+ */
+export function getEntrySource(entry) {
+  if (entry.source) return entry.source;
+  if (entry.overall === 0 && entry.sectors?.total === 0) {
+    return SOURCES.CLOSED;
+  }
+  if (
+    entry.lead != null &&
+    entry.lead === entry.boulder &&
+    entry.lead === entry.overall &&
+    entry.sectors === null
+  ) {
+    return SOURCES.MIRROR;
+  }
+  return null;
+}
+
+/**
+ * Whether an entry is a zero marker written while the gym was closed
+ * rather than a real reading
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isClosedMarker(entry) {
+  return getEntrySource(entry) === SOURCES.CLOSED;
+}
+
+/**
+ * Whether an entry is less trustworthy than a real split reading: mirror
+ * readings (one number copied into lead and boulder), closed markers, and
+ * manual or imported values. Legacy entries of unknown source and custom
+ * source adapters count as real readings.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isLowFidelity(entry) {
+  return LOW_FIDELITY.has(getEntrySource(entry));
+}
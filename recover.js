@@ -0,0 +1,263 @@
+/**
+ * History Recovery
+ * Salvages every complete entry from damaged or truncated history files and
+ * merges them back into the shards together with any `.corrupt.*` backups.
+ *
+ * Usage: node recover.js [extra-file ...]
+ */
+
+import { copyFile, readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { gymConfigs, loadConfig, readGymTimeZone } from './config.js';
+import { mergeByTimestamp, readIntervals, writeHistory } from './history.js';
+import { splitIntoShards } from './shards.js';
+import { buildAggregates } from './aggregates.js';
+import { acquireLock, writeJsonAtomic } from './storage.js';
+import { isClosedMarker } from './provenance.js';
+import { upgrade, upgradeEntry } from './schema.js';
+
+const SHARD_FILE = /^\d{4}-\d{2}\.json$/;
+
+function isEntry(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.timestamp === 'string' &&
+    !Number.isNaN(Date.parse(value.timestamp))
+  );
+}
+
+/**
+ * Extracts every complete, parseable entry object from history file text,
+ * however damaged the surrounding array or shard envelope is
+ * @param {string} text - File contents
+ * @returns {{entries: Object[], dropped: Array<{at: string, reason: string}>}}
+ */
+export function salvageEntries(text) {
+  try {
+    const data = parseShard(text);
+    if (Array.isArray(data)) {
+      const entries = data.filter(isEntry);
+      const dropped = data
+        .map((value, index) => ({ value, index }))
+        .filter(({ value }) => !isEntry(value))
+        .map(({ index }) => ({ at: `item ${index}`, reason: 'not an entry' }));
+      return { entries, dropped };
+    }
+  } catch {
+    // Damaged: fall through to the object scanner
+  }
+
+  const entries = [];
+  const dropped = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  // Entries are the objects inside the first array, whether the file is a
+  // bare array (schema 1) or a shard envelope
+  for (let i = text.indexOf('[') + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (char === '}' && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        try {
+          const value = JSON.parse(text.slice(start, i + 1));
+          if (isEntry(value)) entries.push(upgradeEntry(value));
+          else dropped.push({ at: `byte ${start}`, reason: 'not an entry' });
+        } catch {
+          dropped.push({ at: `byte ${start}`, reason: 'invalid JSON' });
+        }
+      }
+    }
+  }
+
+  if (depth > 0) {
+    dropped.push({ at: `byte ${start}`, reason: 'truncated' });
+  }
+  return { entries, dropped };
+}
+
+async function listFiles(dir, pattern) {
+  if (!existsSync(dir)) return [];
+  return (await readdir(dir))
+    .filter(name => pattern.test(name))
+    .sort()
+    .map(name => join(dir, name));
+}
+
+/**
+ * Rebuilds the history from the shards, the legacy history file, every
+ * `.corrupt.*` backup and any extra files, keeping the first entry seen per
+ * timestamp. Unparseable shards are copied to a `.corrupt.<ts>` backup
+ * before being rewritten.
+ * @param {Object} config - Resolved config (see config.js)
+ * @param {Object} [options]
+ * @param {string[]} [options.files=[]] - Extra files to salvage
+ * @returns {Promise<Object>} Report: per-file results, totals and the manifest
+ */
+export async function recoverHistory(config, { files = [] } = {}) {
+  const { historyDir, historyFile } = config;
+  const legacyName = basename(historyFile);
+  const escaped = legacyName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const shardFiles = await listFiles(historyDir, SHARD_FILE);
+  const sources = [
+    ...shardFiles,
+    ...(await listFiles(historyDir, /\.corrupt\./)),
+    ...(existsSync(historyFile) ? [historyFile] : []),
+    ...(await listFiles(
+      dirname(historyFile),
+      new RegExp(`^${escaped}\\.corrupt\\.`)
+    )),
+    ...files,
+  ];
+
+  // Entries in intact shards are already in the history; everything else
+  // found is reported as recovered
+  const texts = new Map();
+  const known = new Set();
+  for (const file of sources) {
+    const text = await readFile(file, 'utf-8');
+    texts.set(file, text);
+    if (shardFiles.includes(file) && isParseable(text)) {
+      parseShard(text).forEach(entry => known.add(entry?.timestamp));
+    }
+  }
+
+  const report = { files: [], recovered: 0, dropped: 0 };
+  let merged = [];
+  for (const file of sources) {
+    const text = texts.get(file);
+    const { entries, dropped } = salvageEntries(text);
+    const intact = dropped.length === 0 && isParseable(text);
+    const added = entries.filter(entry => !known.has(entry.timestamp));
+    added.forEach(entry => known.add(entry.timestamp));
+
+    if (!intact && shardFiles.includes(file)) {
+      await copyFile(file, `${file}.corrupt.${Date.now()}`);
+    }
+
+    // Closures live in the intervals file (see migrate-intervals.js)
+    merged = mergeByTimestamp(
+      merged,
+      entries.filter(entry => !isClosedMarker(entry))
+    );
+    report.files.push({
+      file,
+      intact,
+      entries: entries.length,
+      added: added.length,
+      dropped,
+    });
+    report.recovered += added.length;
+    report.dropped += dropped.length;
+  }
+
+  const timeZone = await readGymTimeZone(config);
+  report.manifest = await writeHistory(
+    historyDir,
+    splitIntoShards(merged, timeZone)
+  );
+  report.total = merged.length;
+
+  const aggregates = buildAggregates(
+    merged,
+    timeZone,
+    await readIntervals(config.intervalsFile)
+  );
+  aggregates.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(config.aggregatesFile, aggregates, { pretty: false });
+  return report;
+}
+
+// Entries of an intact history file of any schema version, else undefined
+function parseShard(text) {
+  try {
+    return upgrade('shard', JSON.parse(text)).entries;
+  } catch {
+    return undefined;
+  }
+}
+
+function isParseable(text) {
+  return Array.isArray(parseShard(text));
+}
+
+/**
+ * Formats a recovery report for the console
+ * @param {Object} report - See recoverHistory
+ * @returns {string}
+ */
+export function formatRecoveryReport(report) {
+  const lines = [];
+  for (const { file, intact, entries, added, dropped } of report.files) {
+    const state = intact ? 'ok' : 'damaged';
+    lines.push(
+      `  ${file} (${state}): ${entries} entries, ${added} new, ${dropped.length} dropped`
+    );
+    for (const { at, reason } of dropped) {
+      lines.push(`    dropped ${at}: ${reason}`);
+    }
+  }
+  lines.push(
+    `Recovered ${report.recovered} new entries, dropped ${report.dropped} fragments; history now has ${report.total} entries in ${report.manifest.shards.length} shards`
+  );
+  return lines.join('\n');
+}
+
+// Run recovery if executed directly: every gym, or the one picked with
+// --gym=<id>, which extra files need when there are several
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let releaseLock;
+  try {
+    const args = process.argv.slice(2);
+    const gymArg = args.find(arg => arg.startsWith('--gym='));
+    const files = args.filter(arg => arg !== gymArg);
+    let gyms = gymConfigs(await loadConfig());
+    if (gymArg) {
+      const id = gymArg.slice('--gym='.length);
+      gyms = gyms.filter(gym => gym.gymId === id);
+      if (gyms.length === 0) throw new Error(`No gym "${id}" configured`);
+    }
+    if (files.length > 0 && gyms.length > 1) {
+      throw new Error('Pick the gym the files belong to with --gym=<id>');
+    }
+
+    for (const config of gyms) {
+      releaseLock = await acquireLock(config.lockFile, {
+        staleMs: config.lockStaleMs,
+      });
+      if (!releaseLock) {
+        throw new Error(
+          `A collection holds ${config.lockFile}; try again later`
+        );
+      }
+
+      console.log(
+        formatRecoveryReport(await recoverHistory(config, { files }))
+      );
+      await releaseLock();
+      releaseLock = null;
+    }
+  } catch (error) {
+    console.error('Recovery failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await releaseLock?.();
+  }
+}
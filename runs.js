@@ -0,0 +1,173 @@
+/**
+ * Run Log
+ * One record per collection attempt, kept for a rolling window in
+ * data/runs.json (`{ schemaVersion, runs }`, oldest first), and the health
+ * summary derived from it in data/health.json: success rates per day and
+ * per source, the current failure streak and the longest outage.
+ *
+ * A run record is `{ startedAt, durationMs, outcome, errorCategory, message,
+ * attempts }`, where `attempts` are the source attempts reported by
+ * scrapeOccupancy (`{ source, round, ok, latencyMs, httpStatuses, error,
+ * category }`).
+ *
+ * Shared by the collector and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+import { INTERVAL_TYPES } from './intervals.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+import { GYM_TIMEZONE, addDays, toDateKey } from './time.js';
+
+export const RUN_OUTCOMES = {
+  SUCCESS: 'success', // a reading was recorded
+  CLOSED: 'closed', // the gym was closed; nothing was scraped
+  SKIPPED: 'skipped', // the circuit breaker was open (see breaker.js)
+  FAILED: 'failed',
+};
+
+/**
+ * Run log with nothing recorded yet
+ * @returns {Object}
+ */
+export function emptyRunLog() {
+  return { schemaVersion: SCHEMA_VERSIONS.runs, runs: [] };
+}
+
+/**
+ * Appends a run and drops runs older than the retention window (mutates the log)
+ * @param {Object} log - Run log
+ * @param {Object} run - Run record
+ * @param {number} maxDays - Days of runs to keep
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, for the days
+ * @returns {Object} The log
+ */
+export function appendRun(log, run, maxDays, timeZone = GYM_TIMEZONE) {
+  const cutoffKey = addDays(
+    toDateKey(new Date(run.startedAt), timeZone),
+    -maxDays
+  );
+  log.runs = [...log.runs, run].filter(
+    ({ startedAt }) => toDateKey(new Date(startedAt), timeZone) > cutoffKey
+  );
+  return log;
+}
+
+const rate = (successes, total) =>
+  total > 0 ? Math.round((successes / total) * 1000) / 1000 : null;
+
+// Runs that didn't try to scrape
+const isIdle = run =>
+  run.outcome === RUN_OUTCOMES.CLOSED || run.outcome === RUN_OUTCOMES.SKIPPED;
+
+// The failed runs at the end of the log; idle runs neither extend nor end it
+function failureStreak(runs) {
+  let failures = 0;
+  let since = null;
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const run = runs[i];
+    if (isIdle(run)) continue;
+    if (run.outcome !== RUN_OUTCOMES.FAILED) break;
+    failures += 1;
+    since = run.startedAt;
+  }
+  return { failures, since };
+}
+
+function longestOutage(intervals, now) {
+  let longest = null;
+  for (const interval of intervals) {
+    if (interval.type !== INTERVAL_TYPES.MISSING) continue;
+    const to = interval.to ?? now.toISOString();
+    const durationMs = Date.parse(to) - Date.parse(interval.from);
+    if (!longest || durationMs > longest.durationMs) {
+      longest = { ...interval, durationMs };
+    }
+  }
+  return longest;
+}
+
+/**
+ * Summarizes collection health
+ * @param {Object} log - Run log
+ * @param {Object} intervalLog - Interval log (see intervals.js), for outages
+ *   older than the run log
+ * @param {Date} [now=new Date()]
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's
+ * @returns {Object} `{ schemaVersion, updatedAt, runs, successRate, days,
+ *   sources, streak, currentOutage, longestOutage }`; days are gym-local
+ *   dates
+ */
+export function summarizeRuns(
+  log,
+  intervalLog,
+  now = new Date(),
+  timeZone = GYM_TIMEZONE
+) {
+  const days = {};
+  const sources = {};
+  let successes = 0;
+  let scraped = 0;
+
+  for (const run of log.runs) {
+    const day = (days[toDateKey(new Date(run.startedAt), timeZone)] ??= {
+      runs: 0,
+      successes: 0,
+      failures: 0,
+      closed: 0,
+      skipped: 0,
+    });
+    day.runs += 1;
+    if (run.outcome === RUN_OUTCOMES.CLOSED) {
+      day.closed += 1;
+    } else if (run.outcome === RUN_OUTCOMES.SKIPPED) {
+      day.skipped += 1;
+    } else {
+      scraped += 1;
+      if (run.outcome === RUN_OUTCOMES.SUCCESS) {
+        day.successes += 1;
+        successes += 1;
+      } else {
+        day.failures += 1;
+      }
+    }
+
+    for (const attempt of run.attempts || []) {
+      const source = (sources[attempt.source] ??= {
+        attempts: 0,
+        successes: 0,
+        lastHttpStatus: null,
+        lastError: null,
+      });
+      source.attempts += 1;
+      if (attempt.ok) source.successes += 1;
+      else source.lastError = attempt.error ?? null;
+      const statuses = attempt.httpStatuses || [];
+      if (statuses.length > 0) {
+        source.lastHttpStatus = statuses[statuses.length - 1];
+      }
+    }
+  }
+
+  for (const day of Object.values(days)) {
+    day.successRate = rate(day.successes, day.successes + day.failures);
+  }
+  for (const source of Object.values(sources)) {
+    source.successRate = rate(source.successes, source.attempts);
+  }
+
+  const last = intervalLog.intervals[intervalLog.intervals.length - 1];
+  const currentOutage =
+    last?.to === null && last.type === INTERVAL_TYPES.MISSING ? last : null;
+
+  return {
+    schemaVersion: SCHEMA_VERSIONS.health,
+    updatedAt: now.toISOString(),
+    runs: log.runs.length,
+    successRate: rate(successes, scraped),
+    days,
+    sources,
+    streak: failureStreak(log.runs),
+    currentOutage,
+    longestOutage: longestOutage(intervalLog.intervals, now),
+  };
+}
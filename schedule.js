@@ -0,0 +1,150 @@
+/**
+ * Poll Schedule
+ * Picks the time to the next poll from how occupancy behaves: how fast the
+ * recent readings changed and how much the usual weekday/hour averages (see
+ * aggregates.js) rise over the next hour. Busy, rising periods such as the
+ * run-up to the evening peak are polled at the minimum interval; flat
+ * stretches and the last hour before closing at the maximum, though the next
+ * poll lands no later than closing unless the minimum interval forbids it.
+ * Without readings or statistics to go on, it polls at the minimum.
+ *
+ * Must not import anything platform specific.
+ */
+
+import { GYM_TIMEZONE, getLocalHour, getWeekday, toDateKey } from './time.js';
+
+// The site asks for no more than one poll every 5 minutes
+export const MIN_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+const RECENT_WINDOW_MS = 60 * 60 * 1000;
+const NEAR_CLOSING_MS = 60 * 60 * 1000;
+// Change rates (percentage points per hour) that call for the minimum interval
+const FAST_CHANGE_PER_HOUR = 20;
+const FAST_RISE_PER_HOUR = 10;
+// A poll a little early still counts, so cron jitter doesn't skip a slot
+const DUE_TOLERANCE_MS = 60 * 1000;
+
+const occupancy = entry => (entry.lead + entry.boulder) / 2;
+
+/**
+ * How fast occupancy changed over the last hour of readings
+ * @param {Object[]} entries - History entries, oldest first
+ * @param {Date} now
+ * @returns {number|null} Percentage points per hour (lead and boulder
+ *   averaged), or null with fewer than two readings
+ */
+export function recentChangeRate(entries, now) {
+  const since = new Date(now.getTime() - RECENT_WINDOW_MS).toISOString();
+  const until = now.toISOString();
+  const recent = entries.filter(
+    entry =>
+      entry.timestamp >= since &&
+      entry.timestamp <= until &&
+      typeof entry.lead === 'number' &&
+      typeof entry.boulder === 'number'
+  );
+  if (recent.length < 2) return null;
+
+  let change = 0;
+  for (let i = 1; i < recent.length; i++) {
+    change += Math.abs(occupancy(recent[i]) - occupancy(recent[i - 1]));
+  }
+  const hours =
+    (Date.parse(recent[recent.length - 1].timestamp) -
+      Date.parse(recent[0].timestamp)) /
+    RECENT_WINDOW_MS;
+  return hours > 0 ? change / hours : null;
+}
+
+function typicalOccupancy(aggregates, weekday, hour) {
+  const slot = aggregates?.hourly?.[weekday]?.[hour];
+  const averages = [slot?.lead?.avg, slot?.boulder?.avg].filter(
+    value => typeof value === 'number'
+  );
+  return averages.length > 0
+    ? averages.reduce((sum, value) => sum + value, 0) / averages.length
+    : null;
+}
+
+/**
+ * How much occupancy usually rises from this hour to the next on this weekday
+ * @param {Object|null} aggregates - See aggregates.js
+ * @param {Date} now
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, as in the aggregates
+ * @returns {number|null} Percentage points per hour (negative when it
+ *   usually falls), or null without statistics for both hours
+ */
+export function expectedChangeRate(aggregates, now, timeZone = GYM_TIMEZONE) {
+  const weekday = getWeekday(toDateKey(now, timeZone));
+  const hour = getLocalHour(now, timeZone);
+  const current = typicalOccupancy(aggregates, weekday, hour);
+  const next = typicalOccupancy(aggregates, weekday, hour + 1);
+  return current === null || next === null ? null : next - current;
+}
+
+/**
+ * Interval until the next poll
+ * @param {Object} options
+ * @param {Object[]} options.entries - Recent history entries, oldest first
+ * @param {Object|null} options.aggregates - See aggregates.js
+ * @param {Date|null} options.closesAt - End of today's opening window
+ * @param {Date} options.now
+ * @param {number} options.minIntervalMs - Raised to MIN_POLL_INTERVAL_MS
+ * @param {number} options.maxIntervalMs
+ * @param {string} [options.timeZone=GYM_TIMEZONE] - The gym's
+ * @returns {{intervalMs: number, reason: string}}
+ */
+export function planPollInterval({
+  entries,
+  aggregates,
+  closesAt,
+  now,
+  minIntervalMs,
+  maxIntervalMs,
+  timeZone = GYM_TIMEZONE,
+}) {
+  const min = Math.max(minIntervalMs, MIN_POLL_INTERVAL_MS);
+  const max = Math.max(maxIntervalMs, min);
+  const change = recentChangeRate(entries, now);
+  const rise = expectedChangeRate(aggregates, now, timeZone);
+
+  let activity = Math.max(
+    (change ?? 0) / FAST_CHANGE_PER_HOUR,
+    (rise ?? 0) / FAST_RISE_PER_HOUR
+  );
+  const rate = value => (value === null ? 'n/a' : `${Math.round(value)} pts/h`);
+  let reason = `recent change ${rate(change)}, usual change ${rate(rise)}`;
+  if (change === null && rise === null) {
+    // Nothing to go on yet: poll as often as allowed until there is
+    activity = 1;
+    reason = 'no recent readings';
+  }
+  if (closesAt && closesAt.getTime() - now.getTime() <= NEAR_CLOSING_MS) {
+    activity = 0;
+    reason = 'closing soon';
+  }
+
+  activity = Math.min(Math.max(activity, 0), 1);
+  const rounded = Math.round((max - activity * (max - min)) / 60000) * 60000;
+  let intervalMs = Math.min(Math.max(rounded, min), max);
+  if (closesAt) {
+    // Land no later than closing, so the closure is recorded on time
+    const untilClosing =
+      Math.floor((closesAt.getTime() - now.getTime()) / 60000) * 60000;
+    intervalMs = Math.max(Math.min(intervalMs, untilClosing), min);
+  }
+  return { intervalMs, reason };
+}
+
+/**
+ * Whether a scheduled run should poll, given the last status
+ * @param {Object|null} status - data/status.json
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isPollDue(status, now) {
+  const nextPollAt = status?.nextPollAt ? Date.parse(status.nextPollAt) : NaN;
+  return (
+    Number.isNaN(nextPollAt) || now.getTime() + DUE_TOLERANCE_MS >= nextPollAt
+  );
+}
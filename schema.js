@@ -0,0 +1,162 @@
+/**
+ * Data Schema
+ * Every versioned data file carries a top-level `schemaVersion`; history
+ * shards are wrapped as `{ schemaVersion, entries }`. Files without one are
+ * version 1 (shards were bare arrays then). `upgrade` brings a parsed file
+ * up to the current version one step at a time, so readers accept every
+ * older schema and writers always write the current one.
+ *
+ * To change a format: bump its version in SCHEMA_VERSIONS and add a step
+ * from the previous version to MIGRATIONS. Keep steps pure.
+ *
+ * Shared by the collector and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+export const SCHEMA_VERSIONS = {
+  shard: 3,
+  manifest: 2,
+  aggregates: 3,
+  intervals: 2,
+  runs: 1,
+  health: 1,
+  breaker: 1,
+  quarantine: 1,
+  gyms: 1,
+};
+
+// Shard 3 replaced the `openSectors: "29/31"` string with structured
+// `sectors: { open, total, list }` (null when unknown), in the same position
+function structureSectors(entry) {
+  return Object.fromEntries(
+    Object.entries(entry).map(([key, value]) => {
+      if (key !== 'openSectors') return [key, value];
+      const match = /^(\d+)\/(\d+)$/.exec(value ?? '');
+      const sectors = match
+        ? { open: Number(match[1]), total: Number(match[2]), list: null }
+        : null;
+      return ['sectors', sectors];
+    })
+  );
+}
+
+// Aggregates 3 weight readings by the minutes they held instead of counting
+// them (`count` became `minutes`). Older counts are taken as one 5-minute
+// poll each, the collector's cadence before adaptive polling.
+const LEGACY_SAMPLE_MINUTES = 5;
+
+function weighStats(value) {
+  if (!value || typeof value !== 'object') return value;
+  if (!('count' in value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, weighStats(inner)])
+    );
+  }
+  const { count, sum, histogram, ...rest } = value;
+  const weighed = {
+    minutes: count * LEGACY_SAMPLE_MINUTES,
+    sum: sum * LEGACY_SAMPLE_MINUTES,
+    ...rest,
+  };
+  if (histogram) {
+    weighed.histogram = Object.fromEntries(
+      Object.entries(histogram).map(([bucket, occurrences]) => [
+        bucket,
+        occurrences * LEGACY_SAMPLE_MINUTES,
+      ])
+    );
+  }
+  return weighed;
+}
+
+// kind -> { fromVersion: data => data at fromVersion + 1 }
+const MIGRATIONS = {
+  shard: {
+    1: entries => ({ schemaVersion: 2, entries }),
+    2: ({ entries, ...shard }) => ({
+      ...shard,
+      schemaVersion: 3,
+      entries: entries.map(structureSectors),
+    }),
+  },
+  manifest: {
+    1: manifest => ({ schemaVersion: 2, ...manifest }),
+  },
+  aggregates: {
+    1: aggregates => ({ schemaVersion: 2, ...aggregates }),
+    2: ({ days, hourly, ...aggregates }) => ({
+      ...aggregates,
+      schemaVersion: 3,
+      pending: null,
+      days: weighStats(days),
+      hourly: weighStats(hourly),
+    }),
+  },
+  intervals: {
+    1: log => ({ schemaVersion: 2, ...log }),
+  },
+  runs: {},
+  health: {},
+  breaker: {},
+  quarantine: {},
+  gyms: {},
+};
+
+/**
+ * Schema version of a parsed data file
+ * @param {*} data
+ * @returns {number}
+ */
+export function getSchemaVersion(data) {
+  if (data && !Array.isArray(data) && typeof data === 'object') {
+    return data.schemaVersion ?? 1;
+  }
+  return 1;
+}
+
+/**
+ * Upgrades a parsed data file to the current schema
+ * @param {string} kind - One of the SCHEMA_VERSIONS keys
+ * @param {*} data - Parsed file contents
+ * @returns {*} The data at the current version (the input when already current)
+ * @throws {Error} For unknown kinds and files newer than this code
+ */
+export function upgrade(kind, data) {
+  const current = SCHEMA_VERSIONS[kind];
+  if (!current) throw new Error(`Unknown data kind "${kind}"`);
+
+  let version = getSchemaVersion(data);
+  if (version > current) {
+    throw new Error(
+      `${kind} schema version ${version} is newer than supported (${current})`
+    );
+  }
+  while (version < current) {
+    const step = MIGRATIONS[kind][version];
+    if (!step) {
+      throw new Error(`No ${kind} migration from version ${version}`);
+    }
+    data = step(data);
+    version += 1;
+  }
+  return data;
+}
+
+/**
+ * Upgrades a single history entry found outside a readable shard (e.g.
+ * salvaged from a damaged file) to the current shard schema
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function upgradeEntry(entry) {
+  return 'openSectors' in entry ? structureSectors(entry) : entry;
+}
+
+/**
+ * Wraps shard entries in the current shard envelope
+ * @param {Object[]} entries
+ * @returns {{schemaVersion: number, entries: Object[]}}
+ */
+export function shardEnvelope(entries) {
+  return { schemaVersion: SCHEMA_VERSIONS.shard, entries };
+}
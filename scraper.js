@@ -1,96 +1,174 @@
 /**
  * KI Occupancy Scraper
- * Extracts live utilization data from Kletterzentrum Innsbruck website
+ * Extracts live utilization data from Kletterzentrum Innsbruck website, or
+ * any gym running a similar WordPress occupancy widget (see PARSER_PROFILES)
  */
 
 import * as cheerio from 'cheerio';
-
-const BASE_URL = 'https://www.kletterzentrum-innsbruck.at';
-const MAIN_PAGES = [`${BASE_URL}/en/`, `${BASE_URL}/`, `${BASE_URL}/de/`];
-const MIRROR_PAGE = 'https://r.jina.ai/http://www.kletterzentrum-innsbruck.at/en/';
-const AJAX_URL = `${BASE_URL}/wp-admin/admin-ajax.php`;
-const REQUEST_TIMEOUT_MS = 10000;
-const RETRY_DELAY_MS = 1200;
-
-const HEADER_PROFILES = [
-  {
-    'User-Agent':
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
-    Accept:
-      'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-    'Accept-Language': 'de-AT,de;q=0.9,en-US;q=0.8,en;q=0.7',
-    'Cache-Control': 'no-cache',
-    Pragma: 'no-cache',
-    Referer: `${BASE_URL}/`,
-  },
-  {
-    'User-Agent':
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
-    Accept:
-      'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
-    'Cache-Control': 'no-cache',
-    Pragma: 'no-cache',
-    Referer: `${BASE_URL}/`,
+import { fetch } from 'undici';
+import { loadConfig, resolveConfig } from './config.js';
+import { createNetwork } from './network.js';
+import {
+  InvalidDataError,
+  MarkupChangedError,
+  NetworkError,
+  NonceMissingError,
+  ScrapeError,
+  SourcesFailedError,
+  TimeoutError,
+  getErrorCategory,
+  httpError,
+  mostSevereError,
+} from './errors.js';
+
+// Recorded on every entry; bump when parsing changes what gets stored
+export const SCRAPER_VERSION = '1.2.0';
+
+// What differs between sites running the occupancy widget: the script
+// variable holding the AJAX nonce, the AJAX action, the bar labels and the
+// mirror's utilization label. `sources` limits the source ids tried (null
+// tries every registered source).
+export const PARSER_PROFILES = {
+  ki: {
+    nonceVariable: 'ki_ajax',
+    ajaxAction: 'ki_get_opening_hours_desktop',
+    leadLabels: ['seil', 'lead'],
+    boulderLabels: ['boulder'],
+    mirrorLabel: 'Utilization',
+    sources: null,
   },
-];
+};
+
+/**
+ * Resolves a gym's `parser` setting into a full profile
+ * @param {string|Object} [parser='ki'] - Profile name, or `{ profile, ...overrides }`
+ *   to adapt a profile to a similar site
+ * @returns {Object} Profile (see PARSER_PROFILES)
+ * @throws {Error} For unknown profile names
+ */
+export function resolveParserProfile(parser = 'ki') {
+  const { profile = 'ki', ...overrides } =
+    typeof parser === 'string' ? { profile: parser } : parser;
+  if (!Object.hasOwn(PARSER_PROFILES, profile)) {
+    throw new Error(`Unknown parser profile "${profile}"`);
+  }
+  return { ...PARSER_PROFILES[profile], ...overrides };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function fetchWithTimeout(url, options = {}) {
+// `statuses` collects the HTTP status of every response for the run log.
+// Failed requests throw a TimeoutError or NetworkError (see errors.js).
+async function fetchWithTimeout(url, options, timeoutMs, statuses = []) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
-    return await fetch(url, {
+    const response = await fetch(url, {
       ...options,
       signal: controller.signal,
     });
+    statuses.push(response.status);
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(`Request timed out after ${timeoutMs} ms`, {
+        url,
+        cause: error,
+      });
+    }
+    throw new NetworkError(`Request failed: ${error.message}`, {
+      url,
+      cause: error,
+    });
   } finally {
     clearTimeout(timeoutId);
   }
 }
 
+// Keeps the raw body of a successful response with its request metadata, so
+// a failed parse can be snapshotted and re-run later (see snapshots.js)
+async function readResponse(response, request, responses = []) {
+  const body = await response.text();
+  responses.push({
+    source: request.source,
+    url: request.url,
+    method: request.method || 'GET',
+    requestHeaders: request.headers,
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    fetchedAt: new Date().toISOString(),
+    body,
+  });
+  return body;
+}
+
 /**
  * Fetches the main page and extracts the WordPress nonce token
+ * @param {Object} context - Fetch context (see createFetchContext)
  * @returns {Promise<string>} The HTML content
  */
-async function fetchMainPageHtml() {
+async function fetchMainPageHtml(context) {
+  const { config, httpStatuses, responses, network } = context;
+  const dispatcher = network.dispatcherFor('main-page');
   const failures = [];
+  const errors = [];
 
-  for (const pageUrl of MAIN_PAGES) {
-    for (const headers of HEADER_PROFILES) {
+  for (const pageUrl of config.mainPages) {
+    for (const headers of config.headerProfiles) {
       try {
-        const response = await fetchWithTimeout(pageUrl, { headers });
+        const response = await fetchWithTimeout(
+          pageUrl,
+          { headers, dispatcher },
+          config.requestTimeoutMs,
+          httpStatuses
+        );
         if (!response.ok) {
           failures.push(`${pageUrl} -> HTTP ${response.status}`);
+          errors.push(httpError(response.status, pageUrl, failures.at(-1)));
           if (response.status === 403 || response.status === 429) {
-            await delay(RETRY_DELAY_MS);
+            await delay(config.retryDelayMs);
           }
           continue;
         }
-        return await response.text();
+        return await readResponse(
+          response,
+          { source: 'main-page', url: pageUrl, headers },
+          responses
+        );
       } catch (error) {
         failures.push(`${pageUrl} -> ${error.name || 'Error'}`);
-        await delay(RETRY_DELAY_MS);
+        errors.push(error);
+        await delay(config.retryDelayMs);
       }
     }
   }
 
-  throw new Error(
-    `Failed to fetch main page: all attempts failed (${failures.join(' | ')})`
+  const primary = mostSevereError(errors);
+  throw new ScrapeError(
+    `Failed to fetch main page: all attempts failed (${failures.join(' | ')})`,
+    {
+      category: getErrorCategory(primary),
+      status: primary?.status ?? null,
+      url: primary?.url ?? null,
+      cause: primary,
+    }
   );
 }
 
-function extractNonce(html) {
+function extractNonce(html, profile) {
   const nonceMatch = html.match(
-    /ki_ajax\s*=\s*\{[^}]*nonce["']?\s*:\s*["']([^"']+)["']/
+    new RegExp(
+      `${escapeRegExp(profile.nonceVariable)}\\s*=\\s*\\{[^}]*nonce["']?\\s*:\\s*["']([^"']+)["']`
+    )
   );
 
   if (!nonceMatch) {
-    throw new Error('Could not find nonce token in page');
+    throw new NonceMissingError('Could not find nonce token in page');
   }
 
   return nonceMatch[1];
@@ -99,131 +177,471 @@ function extractNonce(html) {
 /**
  * Calls the WordPress AJAX endpoint to get occupancy data
  * @param {string} nonce - The security token
+ * @param {Object} context - Fetch context (see createFetchContext)
  * @returns {Promise<string>} The HTML response
  */
-async function fetchOccupancyData(nonce) {
+async function fetchOccupancyData(nonce, context) {
+  const { config, profile, httpStatuses, responses, network } = context;
   const params = new URLSearchParams();
-  params.append('action', 'ki_get_opening_hours_desktop');
+  params.append('action', profile.ajaxAction);
   params.append('nonce', nonce);
 
   const headers = {
-    ...HEADER_PROFILES[0],
+    ...config.headerProfiles[0],
     'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
     'X-Requested-With': 'XMLHttpRequest',
-    Origin: BASE_URL,
+    Origin: config.baseUrl,
   };
 
-  const response = await fetchWithTimeout(AJAX_URL, {
-    method: 'POST',
-    headers,
-    body: params.toString(),
-  });
+  const response = await fetchWithTimeout(
+    config.ajaxUrl,
+    {
+      method: 'POST',
+      headers,
+      body: params.toString(),
+      dispatcher: network.dispatcherFor('ajax'),
+    },
+    config.requestTimeoutMs,
+    httpStatuses
+  );
 
   if (!response.ok) {
-    throw new Error(`AJAX request failed: ${response.status}`);
+    throw httpError(
+      response.status,
+      config.ajaxUrl,
+      `AJAX request failed: ${response.status}`
+    );
   }
 
-  return response.text();
+  return readResponse(
+    response,
+    { source: 'ajax', url: config.ajaxUrl, method: 'POST', headers },
+    responses
+  );
 }
 
 function hasOccupancyData(data) {
   return data.lead !== null || data.boulder !== null;
 }
 
-export function parseMirrorOccupancy(markdown) {
-  const overallMatch = markdown.match(/Utilization\s+(\d{1,3})%/i);
+export function parseMirrorOccupancy(markdown, profile = PARSER_PROFILES.ki) {
+  const overallMatch = markdown.match(
+    new RegExp(`${escapeRegExp(profile.mirrorLabel)}\\s+(\\d{1,3})%`, 'i')
+  );
   if (!overallMatch) {
-    throw new Error('Mirror fallback missing utilization percentage');
+    throw new MarkupChangedError(
+      'Mirror fallback missing utilization percentage'
+    );
   }
 
   const overall = Number.parseInt(overallMatch[1], 10);
-  const sectorsMatch = markdown.match(/(\d+)\s*\/\s*(\d+)/);
+  if (overall > 100) {
+    throw new InvalidDataError(`Mirror utilization out of range: ${overall}%`);
+  }
   return {
     lead: overall,
     boulder: overall,
     overall,
-    openSectors: sectorsMatch ? `${sectorsMatch[1]}/${sectorsMatch[2]}` : null,
+    sectors: findSectorCount(markdown.split('\n')),
   };
 }
 
-async function scrapeFromMirror() {
-  const response = await fetchWithTimeout(MIRROR_PAGE, {
-    headers: HEADER_PROFILES[0],
-  });
+async function fetchMirrorPage(context) {
+  const { config, httpStatuses, responses, network } = context;
+  const headers = config.headerProfiles[0];
+  const response = await fetchWithTimeout(
+    config.mirrorUrl,
+    { headers, dispatcher: network.dispatcherFor('mirror') },
+    config.requestTimeoutMs,
+    httpStatuses
+  );
   if (!response.ok) {
-    throw new Error(`Mirror request failed: ${response.status}`);
+    throw httpError(
+      response.status,
+      config.mirrorUrl,
+      `Mirror request failed: ${response.status}`
+    );
   }
-  const markdown = await response.text();
-  return parseMirrorOccupancy(markdown);
+  return readResponse(
+    response,
+    { source: 'mirror', url: config.mirrorUrl, headers },
+    responses
+  );
 }
 
-async function scrapeFromMainPage() {
-  const html = await fetchMainPageHtml();
-  const data = parseOccupancyData(html);
+// Source adapters
+//
+// Each adapter declares how to fetch its raw response and how to parse it.
+// Sources are tried in ranked order (see rankSources) until one yields
+// occupancy data. Adapters receive a per-round context so that sources built
+// on the same page (main page + AJAX) share a single fetch, and which carries
+// the resolved config, the gym's parser `profile` (also passed to `parse`),
+// the `network` to send requests through (see
+// network.js), an `httpStatuses` array adapters push the status of each
+// response to, for the run log, and a `responses` array for the raw bodies
+// (see readResponse).
+
+const SOURCE_DEMOTE_AFTER_FAILURES = 3;
+const SOURCE_REPROBE_AFTER_MS = 60 * 60 * 1000;
 
-  if (hasOccupancyData(data)) {
-    return data;
+const sourceRegistry = new Map();
+
+/**
+ * Registers a source adapter, replacing any adapter with the same id
+ * @param {Object} adapter
+ * @param {string} adapter.id - Unique source identifier, e.g. 'main-page'
+ * @param {number} adapter.priority - Lower values are tried first
+ * @param {boolean} adapter.splits - Whether the source reports real lead/boulder values
+ * @param {boolean} [adapter.retry=true] - Whether the source is tried again in later rounds
+ * @param {(context: Object) => Promise<string>} adapter.fetch - Fetches the raw response
+ * @param {(body: string, profile: Object) => Object} adapter.parse - Parses the raw response
+ *   into occupancy data, given the gym's parser profile
+ * @param {(body: string) => Object|null} [adapter.parseHours] - Extracts published opening hours
+ */
+export function registerSource(adapter) {
+  if (
+    !adapter?.id ||
+    typeof adapter.fetch !== 'function' ||
+    typeof adapter.parse !== 'function'
+  ) {
+    throw new Error('Source adapter needs an id, a fetch and a parse function');
   }
 
-  const nonce = extractNonce(html);
-  const ajaxHtml = await fetchOccupancyData(nonce);
-  const ajaxData = parseOccupancyData(ajaxHtml);
+  sourceRegistry.set(adapter.id, {
+    priority: 100,
+    splits: false,
+    retry: true,
+    ...adapter,
+  });
+}
+
+/**
+ * Removes a source adapter from the registry
+ * @param {string} id - The source identifier
+ * @returns {boolean} Whether an adapter was removed
+ */
+export function unregisterSource(id) {
+  return sourceRegistry.delete(id);
+}
 
-  if (hasOccupancyData(ajaxData)) {
-    return ajaxData;
+/**
+ * Lists all registered source adapters in registration order
+ * @returns {Object[]}
+ */
+export function getSources() {
+  return [...sourceRegistry.values()];
+}
+
+function isDemoted(record, now) {
+  if (!record || record.consecutiveFailures < SOURCE_DEMOTE_AFTER_FAILURES) {
+    return false;
   }
+  // Give demoted sources another chance at the front of the queue once in a while
+  const lastFailure = record.lastFailure ? Date.parse(record.lastFailure) : 0;
+  return now - lastFailure < SOURCE_REPROBE_AFTER_MS;
+}
 
-  throw new Error('Failed to parse occupancy data: No known selectors matched');
+/**
+ * Orders sources by health history, then by declared priority.
+ * Sources that failed repeatedly are moved behind healthy ones until
+ * SOURCE_REPROBE_AFTER_MS has passed since their last failure.
+ * @param {Object[]} sources - Source adapters
+ * @param {Object} [health={}] - Health records keyed by source id
+ * @param {Date} [now=new Date()]
+ * @returns {Object[]} A new, ranked array
+ */
+export function rankSources(sources, health = {}, now = new Date()) {
+  const time = now.getTime();
+  const successRate = record =>
+    record && record.successes + record.failures > 0
+      ? record.successes / (record.successes + record.failures)
+      : 0;
+
+  return [...sources].sort((a, b) => {
+    const demotedA = isDemoted(health[a.id], time);
+    const demotedB = isDemoted(health[b.id], time);
+    if (demotedA !== demotedB) {
+      return demotedA ? 1 : -1;
+    }
+    if (a.priority !== b.priority) {
+      return a.priority - b.priority;
+    }
+    return successRate(health[b.id]) - successRate(health[a.id]);
+  });
 }
 
 /**
- * Main scraping function - fetches and parses current occupancy
- * @returns {Promise<Object>} Complete occupancy data with timestamp
+ * Records the outcome of a source attempt in the health map
+ * @param {Object} health - Health records keyed by source id (mutated)
+ * @param {string} id - The source identifier
+ * @param {Error|null} error - The failure, or null on success
+ * @param {Date} [now=new Date()]
+ * @returns {Object} The updated record
  */
-export async function scrapeOccupancy() {
-  let lastError = null;
-
-  for (let attempt = 1; attempt <= 2; attempt += 1) {
-    try {
-      const data = await scrapeFromMainPage();
-      return {
-        timestamp: new Date().toISOString(),
-        ...data,
-      };
-    } catch (error) {
-      lastError = error;
-      if (attempt < 2) {
-        await delay(RETRY_DELAY_MS);
-      }
+export function recordSourceResult(health, id, error, now = new Date()) {
+  const record = health[id] || {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccess: null,
+    lastFailure: null,
+    lastError: null,
+  };
+
+  if (error) {
+    record.failures += 1;
+    record.consecutiveFailures += 1;
+    record.lastFailure = now.toISOString();
+    record.lastError = error.message;
+  } else {
+    record.successes += 1;
+    record.consecutiveFailures = 0;
+    record.lastSuccess = now.toISOString();
+  }
+
+  health[id] = record;
+  return record;
+}
+
+function createFetchContext(config, profile, network, responses = []) {
+  let mainPage = null;
+  let mainPageBody = null;
+  const context = {
+    config,
+    profile,
+    network,
+    httpStatuses: [],
+    responses,
+    // Memoized so the main page is fetched at most once per round
+    mainPageHtml() {
+      mainPage =
+        mainPage ||
+        fetchMainPageHtml(context).then(html => (mainPageBody = html));
+      return mainPage;
+    },
+    // The main page if it was already fetched this round, without fetching it
+    fetchedMainPageHtml() {
+      return mainPageBody;
+    },
+  };
+  return context;
+}
+
+function mergeOpeningHours(results) {
+  if (results.length === 0) {
+    return null;
+  }
+
+  const merged = { weekdays: {}, notices: [] };
+  for (const result of results) {
+    if (merged.today === undefined && result.today !== undefined) {
+      merged.today = result.today;
     }
+    merged.weekdays = { ...result.weekdays, ...merged.weekdays };
+    merged.notices.push(
+      ...result.notices.filter(notice => !merged.notices.includes(notice))
+    );
   }
+  return merged;
+}
 
+// Opening hours are a by-product of a successful scrape and must never fail
+// it: a parse failure is noted on the attempt for the caller to report
+function extractOpeningHours(source, body, context, attempt) {
   try {
-    const data = await scrapeFromMirror();
-    return {
-      timestamp: new Date().toISOString(),
-      ...data,
-    };
-  } catch (mirrorError) {
-    throw new Error(
-      `Primary scraping failed (${lastError?.message || 'unknown'}); mirror fallback failed (${mirrorError.message})`
+    const results = [];
+    if (source.parseHours) {
+      results.push(source.parseHours(body));
+    }
+    const mainHtml = context.fetchedMainPageHtml();
+    if (mainHtml && mainHtml !== body) {
+      results.push(parseOpeningHours(mainHtml));
+    }
+    return mergeOpeningHours(results.filter(Boolean));
+  } catch (error) {
+    attempt.openingHoursError = error.message;
+    return null;
+  }
+}
+
+function parseWithSelectors(html, profile) {
+  const data = parseOccupancyData(html, profile);
+  if (!hasOccupancyData(data)) {
+    throw new MarkupChangedError(
+      'Failed to parse occupancy data: No known selectors matched'
     );
   }
+  for (const type of ['lead', 'boulder']) {
+    const value = data[type];
+    if (value !== null && !(value >= 0 && value <= 100)) {
+      throw new InvalidDataError(`${type} utilization out of range: ${value}`);
+    }
+  }
+  return data;
+}
+
+registerSource({
+  id: 'main-page',
+  priority: 10,
+  splits: true,
+  fetch: context => context.mainPageHtml(),
+  parse: parseWithSelectors,
+  parseHours: parseOpeningHours,
+});
+
+registerSource({
+  id: 'ajax',
+  priority: 20,
+  splits: true,
+  fetch: async context => {
+    const nonce = extractNonce(await context.mainPageHtml(), context.profile);
+    return fetchOccupancyData(nonce, context);
+  },
+  parse: parseWithSelectors,
+  parseHours: parseOpeningHours,
+});
+
+registerSource({
+  id: 'mirror',
+  priority: 30,
+  splits: false,
+  retry: false,
+  fetch: fetchMirrorPage,
+  parse: parseMirrorOccupancy,
+});
+
+/**
+ * Main scraping function - fetches and parses current occupancy
+ * @param {Object} [options]
+ * @param {Object} [options.health] - Source health records, updated in place
+ * @param {Object[]} [options.attempts] - Receives one record per source tried:
+ *   `{ source, round, ok, latencyMs, httpStatuses, error, category }`, also
+ *   when every source fails. The successful one carries `openingHoursError`
+ *   when its opening hours couldn't be parsed
+ * @param {Object[]} [options.responses] - Receives every successful response
+ *   with its raw body and request metadata, `{ source, url, method,
+ *   requestHeaders, status, contentType, fetchedAt, body }`, plus the
+ *   `result` of parsing it: `{ ok: true, data }` or `{ ok: false, error,
+ *   category }`
+ * @param {Object} [options.config] - Resolved config of one gym (see
+ *   config.js); defaults to the built-in settings
+ * @returns {Promise<Object>} Complete occupancy data with timestamp and
+ *   provenance (`source` id, `scraperVersion`, fetch `latencyMs`), plus
+ *   `openingHours` when the responses published them (see parseOpeningHours)
+ * @throws {SourcesFailedError} When every source failed (see errors.js)
+ * @throws {Error} When the network settings are unusable (see network.js) or
+ *   the parser profile is unknown
+ */
+export async function scrapeOccupancy({
+  health = {},
+  attempts = [],
+  responses = [],
+  config = resolveConfig({}),
+} = {}) {
+  const profile = resolveParserProfile(config.parser);
+  const network = await createNetwork(config);
+  try {
+    return await scrapeRounds(config, profile, network, {
+      health,
+      attempts,
+      responses,
+    });
+  } finally {
+    await network.close();
+  }
+}
+
+// Tries the ranked sources for up to `scrapeAttempts` rounds
+async function scrapeRounds(
+  config,
+  profile,
+  network,
+  { health, attempts, responses }
+) {
+  // A probe ignores the health history (see probeConfig in breaker.js)
+  const sources = rankSources(
+    getSources().filter(
+      ({ id }) => !profile.sources || profile.sources.includes(id)
+    ),
+    config.probe ? {} : health
+  );
+  const failures = new Map();
+
+  for (let round = 1; round <= config.scrapeAttempts; round += 1) {
+    const context = createFetchContext(config, profile, network, responses);
+
+    for (const source of sources) {
+      if (round > 1 && !source.retry) {
+        continue;
+      }
+
+      const attempt = { source: source.id, round, ok: false, latencyMs: null };
+      const seenStatuses = context.httpStatuses.length;
+      attempts.push(attempt);
+      let response;
+      try {
+        const startedAt = Date.now();
+        const body = await source.fetch(context);
+        const latencyMs = Date.now() - startedAt;
+        attempt.latencyMs = latencyMs;
+        attempt.httpStatuses = context.httpStatuses.slice(seenStatuses);
+        response = responses.findLast(record => record.body === body);
+        const data = source.parse(body, profile);
+        if (response) response.result = { ok: true, data };
+        attempt.ok = true;
+        recordSourceResult(health, source.id, null);
+        const openingHours = extractOpeningHours(
+          source,
+          body,
+          context,
+          attempt
+        );
+        return {
+          timestamp: new Date().toISOString(),
+          ...data,
+          source: source.id,
+          scraperVersion: SCRAPER_VERSION,
+          latencyMs,
+          ...(openingHours && { openingHours }),
+        };
+      } catch (error) {
+        attempt.httpStatuses ??= context.httpStatuses.slice(seenStatuses);
+        attempt.error = error.message;
+        attempt.category = getErrorCategory(error);
+        if (response) {
+          response.result = {
+            ok: false,
+            error: error.message,
+            category: attempt.category,
+          };
+        }
+        recordSourceResult(health, source.id, error);
+        failures.set(source.id, error);
+      }
+    }
+
+    if (round < config.scrapeAttempts) {
+      await delay(config.retryDelayMs);
+    }
+  }
+
+  throw new SourcesFailedError(failures);
 }
 
 /**
  * Parses the HTML response to extract occupancy percentages
  * @param {string} html - The HTML response from the AJAX call
+ * @param {Object} [profile=PARSER_PROFILES.ki] - Parser profile, for the bar labels
  * @returns {Object} Parsed occupancy data
  */
-export function parseOccupancyData(html) {
+export function parseOccupancyData(html, profile = PARSER_PROFILES.ki) {
   const $ = cheerio.load(html);
 
   const result = {
     lead: null,
     boulder: null,
     overall: null,
-    openSectors: null,
+    sectors: null,
   };
 
   // The HTML structure is:
@@ -242,9 +660,9 @@ export function parseOccupancyData(html) {
       const percentage = parseInt($bar.attr('data-percentage'), 10);
       const labelText = $label.text().toLowerCase().trim();
 
-      if (labelText.includes('seil') || labelText.includes('lead')) {
+      if (matchesLabel(labelText, profile.leadLabels)) {
         result.lead = percentage;
-      } else if (labelText.includes('boulder')) {
+      } else if (matchesLabel(labelText, profile.boulderLabels)) {
         result.boulder = percentage;
       }
     }
@@ -256,9 +674,9 @@ export function parseOccupancyData(html) {
       const percentage = parseInt($(el).attr('data-percentage'), 10);
       const parentText = $(el).parent().text().toLowerCase();
 
-      if (parentText.includes('seil') || parentText.includes('lead')) {
+      if (matchesLabel(parentText, profile.leadLabels)) {
         result.lead = result.lead ?? percentage;
-      } else if (parentText.includes('boulder')) {
+      } else if (matchesLabel(parentText, profile.boulderLabels)) {
         result.boulder = result.boulder ?? percentage;
       }
     });
@@ -271,19 +689,222 @@ export function parseOccupancyData(html) {
     result.overall = result.lead ?? result.boulder;
   }
 
-  // Try to find open sectors info (pattern: "29/31" or similar)
-  const sectorsMatch = html.match(/(\d+)\s*\/\s*(\d+)/);
-  if (sectorsMatch) {
-    result.openSectors = `${sectorsMatch[1]}/${sectorsMatch[2]}`;
-  }
+  result.sectors = parseSectors($);
 
   return result;
 }
 
+function matchesLabel(text, labels) {
+  return labels.some(label => text.includes(label.toLowerCase()));
+}
+
+const SECTOR_LABEL = /sektor|sector/i;
+const SECTOR_COUNT = /(\d+)\s*\/\s*(\d+)/;
+const SECTOR_BLOCK =
+  '[class*="sector"], [id*="sector"], [class*="sektor"], [id*="sektor"]';
+const SECTOR_ITEM = '[data-sector], [data-name], li';
+const CLOSED_STATE = /closed|geschlossen|gesperrt|inactive|disabled/i;
+
+function sectorCount(open, total, list = null) {
+  return total > 0 && open <= total ? { open, total, list } : null;
+}
+
+// First "open/total" count on a line that mentions sectors; a bare fraction
+// elsewhere is more likely a date or something unrelated
+function findSectorCount(lines) {
+  for (const line of lines) {
+    const match = SECTOR_LABEL.test(line) && line.match(SECTOR_COUNT);
+    if (match) return sectorCount(Number(match[1]), Number(match[2]));
+  }
+  return null;
+}
+
+function parseSectorItem($, item) {
+  const $item = $(item);
+  const name = (
+    $item.attr('data-name') ||
+    $item.find('.name').first().text() ||
+    $item.text()
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+  const flag = $item.attr('data-open');
+  const state = [$item.attr('class'), $item.attr('data-status')].join(' ');
+  const open =
+    flag !== undefined
+      ? flag === 'true' || flag === '1'
+      : !CLOSED_STATE.test(state);
+  return { name, open };
+}
+
+/**
+ * Reads the sector block: each sector's name and state when the markup lists
+ * them, otherwise its open/total count. Without a sector block, only a count
+ * labelled as sectors is taken.
+ * @param {cheerio.CheerioAPI} $ - Loaded occupancy HTML; scripts and styles
+ *   are removed from it
+ * @returns {{open: number, total: number, list: {name: string, open: boolean}[]|null}|null}
+ *   Null when no (plausible) sector data was found
+ */
+export function parseSectors($) {
+  const blocks = $(SECTOR_BLOCK).filter(
+    (_, el) => $(el).parents(SECTOR_BLOCK).length === 0
+  );
+
+  for (const block of blocks.toArray()) {
+    const list = $(block)
+      .find(SECTOR_ITEM)
+      .toArray()
+      .map(item => parseSectorItem($, item))
+      .filter(sector => sector.name);
+    if (list.length > 0) {
+      const open = list.filter(sector => sector.open).length;
+      return sectorCount(open, list.length, list);
+    }
+
+    const match = $(block).text().match(SECTOR_COUNT);
+    if (match) return sectorCount(Number(match[1]), Number(match[2]));
+  }
+
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr').append('\n');
+  return findSectorCount($.root().text().split('\n'));
+}
+
+const TIME_RANGE =
+  /(\d{1,2})(?:[:.](\d{2}))?\s*(uhr|h)?\s*(?:-|–|—|bis|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(uhr|h)?/i;
+const TODAY_PATTERN = /\b(heute|today)\b/i;
+const CLOSED_PATTERN = /geschlossen|closed/i;
+// A closure naming one of these is partial ("Sauna geschlossen") and leaves
+// the gym open
+const PARTIAL_CLOSURE_PATTERN =
+  /sektor|sector|bereich|area|sauna|boulder|seil|lead|wand|wall|route|kurs|course|training|fitness|shop|caf[eé]|bistro|garderobe|dusche|shower/i;
+const NOTICE_PATTERN =
+  /geschlossen|closed|schlie(?:ß|ss)|closure|sonderöffnungszeit|special opening/i;
+const WEEKDAY_TOKENS = [
+  ['mon', ['mo', 'mon', 'montag', 'monday']],
+  ['tue', ['di', 'tue', 'dienstag', 'tuesday']],
+  ['wed', ['mi', 'wed', 'mittwoch', 'wednesday']],
+  ['thu', ['do', 'thu', 'donnerstag', 'thursday']],
+  ['fri', ['fr', 'fri', 'freitag', 'friday']],
+  ['sat', ['sa', 'sat', 'samstag', 'saturday']],
+  ['sun', ['so', 'sun', 'sonntag', 'sunday']],
+];
+const WEEKDAY_ORDER = WEEKDAY_TOKENS.map(([key]) => key);
+
+function weekdayKey(token) {
+  const entry = WEEKDAY_TOKENS.find(([, names]) =>
+    names.includes(token.toLowerCase())
+  );
+  return entry ? entry[0] : null;
+}
+
+// A label made of a day list only, ending in ":" or a dash at most ("Mo - Fr:",
+// "Sa, So", "Sonntag"), with the closed word of "Sonntag geschlossen" removed
+const DAY_LIST =
+  /^\s*([a-zä]+\.?(?:\s*(?:,|&|\/|-|–|—|\bbis\b|\bto\b|\bund\b|\band\b)\s*[a-zä]+\.?)*)\s*(?:[:–—-]\s*)?$/i;
+const DAY_LIST_CONNECTORS = new Set(['bis', 'to', 'und', 'and']);
+const TRAILING_CLOSED = /\b(?:geschlossen|closed)\b\.?\s*$/i;
+
+// "Mo - Fr" -> mon..fri, "Sa, So" / "Sa & So" -> sat, sun. Day names count
+// only as the whole label, so the "so" of "… so ab 18:00 Uhr geschlossen"
+// isn't read as Sunday.
+function parseWeekdays(text) {
+  const list = text.replace(TRAILING_CLOSED, '').match(DAY_LIST)?.[1];
+  const tokens = (list?.match(/[a-zä]+/gi) || []).filter(
+    token => !DAY_LIST_CONNECTORS.has(token.toLowerCase())
+  );
+  if (tokens.length === 0 || !tokens.every(weekdayKey)) return [];
+
+  const range = list.match(/([a-zä]+)\.?\s*(?:-|–|—|bis|to)\s*([a-zä]+)/i);
+  if (range && weekdayKey(range[1]) && weekdayKey(range[2])) {
+    const from = WEEKDAY_ORDER.indexOf(weekdayKey(range[1]));
+    const to = WEEKDAY_ORDER.indexOf(weekdayKey(range[2]));
+    return from <= to
+      ? WEEKDAY_ORDER.slice(from, to + 1)
+      : [...WEEKDAY_ORDER.slice(from), ...WEEKDAY_ORDER.slice(0, to + 1)];
+  }
+  return tokens.map(weekdayKey);
+}
+
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${minutes || '00'}`;
+}
+
+function parseTimeRange(line) {
+  const match = line.match(TIME_RANGE);
+  // Bare "9 - 22" is too ambiguous; require minutes or an "Uhr" suffix
+  if (!match || !(match[2] || match[5] || match[3] || match[6])) {
+    return null;
+  }
+  const start = formatTime(match[1], match[2]);
+  const end = formatTime(match[4], match[5]);
+  // Rejects things like dates ("24.12. - 26.12.") that look like times
+  if (start >= end || end > '24:00' || /:[6-9]/.test(start + end)) {
+    return null;
+  }
+  return { index: match.index, window: { start, end } };
+}
+
+/**
+ * Parses published opening times and closure notices from KI HTML
+ * (main page or the ki_get_opening_hours_desktop AJAX response). Only
+ * whole-gym closures close a day; one naming a sector or area is just a
+ * notice.
+ * @param {string} html
+ * @returns {Object|null} `{ today, weekdays, notices }` or null if nothing was
+ *   found. `today` is a `{ start, end }` window, null when closed today, or
+ *   absent when unknown; `weekdays` maps 'mon'..'sun' to windows (null = closed)
+ */
+export function parseOpeningHours(html) {
+  const $ = cheerio.load(html);
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr, h1, h2, h3, h4, h5, h6').append('\n');
+
+  const lines = $.root()
+    .text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const result = { weekdays: {}, notices: [] };
+
+  for (const line of lines) {
+    const range = parseTimeRange(line);
+    const label = range ? line.slice(0, range.index) : line;
+    const isToday = TODAY_PATTERN.test(label);
+    const isClosed =
+      !range &&
+      CLOSED_PATTERN.test(line) &&
+      !PARTIAL_CLOSURE_PATTERN.test(line);
+    const days = parseWeekdays(label);
+
+    if (isToday && (range || isClosed)) {
+      result.today = range ? range.window : null;
+    } else if (days.length && (range || isClosed)) {
+      for (const day of days) {
+        result.weekdays[day] = range ? range.window : null;
+      }
+    }
+
+    if (NOTICE_PATTERN.test(line) && line.length <= 200) {
+      result.notices.push(line);
+    }
+  }
+
+  const found =
+    result.today !== undefined ||
+    Object.keys(result.weekdays).length > 0 ||
+    result.notices.length > 0;
+  return found ? result : null;
+}
+
 // Run directly if executed as main module
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
-    const data = await scrapeOccupancy();
+    const data = await scrapeOccupancy({ config: await loadConfig() });
     console.log('Current occupancy:');
     console.log(JSON.stringify(data, null, 2));
   } catch (error) {
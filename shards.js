@@ -0,0 +1,81 @@
+/**
+ * History Shards
+ * History is stored as one file per gym-local month (data/history/YYYY-MM.json)
+ * plus a manifest listing the shards, their entry counts and time ranges.
+ *
+ * Shared by history.js (Node) and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+import { GYM_TIMEZONE, toDateKey } from './time.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Shard (gym-local month) an entry belongs to
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {string} 'YYYY-MM'
+ */
+export function shardKey(timestamp, timeZone = GYM_TIMEZONE) {
+  return toDateKey(timestamp, timeZone).slice(0, 7);
+}
+
+/**
+ * File name of a shard inside the history directory
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string}
+ */
+export function shardFileName(month) {
+  return `${month}.json`;
+}
+
+/**
+ * Manifest record describing a shard
+ * @param {string} month - 'YYYY-MM'
+ * @param {Object[]} entries - Shard entries, oldest first
+ * @returns {{month: string, file: string, count: number, from: string|null, to: string|null}}
+ */
+export function describeShard(month, entries) {
+  return {
+    month,
+    file: shardFileName(month),
+    count: entries.length,
+    from: entries.length > 0 ? entries[0].timestamp : null,
+    to: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+  };
+}
+
+/**
+ * Groups entries into shards
+ * @param {Object[]} entries
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {Map<string, Object[]>} Entries per month, sorted by timestamp
+ */
+export function splitIntoShards(entries, timeZone = GYM_TIMEZONE) {
+  const shards = new Map();
+  const sorted = [...entries].sort((a, b) =>
+    a.timestamp.localeCompare(b.timestamp)
+  );
+  for (const entry of sorted) {
+    const month = shardKey(entry.timestamp, timeZone);
+    if (!shards.has(month)) shards.set(month, []);
+    shards.get(month).push(entry);
+  }
+  return new Map([...shards].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Shards from the manifest that hold entries for a range of local dates
+ * @param {{shards: Object[]}} manifest
+ * @param {string} fromKey - First local date 'YYYY-MM-DD'
+ * @param {string} toKey - Last local date 'YYYY-MM-DD'
+ * @returns {Object[]} Manifest records, oldest first
+ */
+export function shardsForRange(manifest, fromKey, toKey) {
+  const fromMonth = fromKey.slice(0, 7);
+  const toMonth = toKey.slice(0, 7);
+  return (manifest?.shards || []).filter(
+    shard => shard.month >= fromMonth && shard.month <= toMonth
+  );
+}
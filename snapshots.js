@@ -0,0 +1,247 @@
+/**
+ * Response Snapshots
+ * Keeps the raw main-page, AJAX and mirror responses of runs whose parse
+ * failed or broke, and of every `snapshotEveryRuns`-th scraping run, in a bounded
+ * directory (`snapshotMaxFiles`). `npm run reparse-snapshots` re-runs the
+ * current parsers against every stored snapshot and reports where the result
+ * differs from the one recorded at capture time, so selector fixes can be
+ * checked offline. A snapshot's `body` can be copied into `test/fixtures/`
+ * as a regression fixture.
+ *
+ * Usage: node snapshots.js [snapshot-dir] (every gym's directory by default)
+ */
+
+import { mkdir, readFile, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { isDeepStrictEqual } from 'util';
+import { ERROR_CATEGORIES, getErrorCategory } from './errors.js';
+import { gymConfigs, loadConfig } from './config.js';
+import {
+  SCRAPER_VERSION,
+  getSources,
+  resolveParserProfile,
+} from './scraper.js';
+import { writeJsonAtomic } from './storage.js';
+
+export const SNAPSHOT_REASONS = {
+  PARSE_FAILED: 'parse-failed',
+  SAMPLED: 'sampled',
+};
+
+// Failures that mean a response arrived but could not be read
+const PARSE_CATEGORIES = new Set([
+  ERROR_CATEGORIES.MARKUP_CHANGED,
+  ERROR_CATEGORIES.NONCE_MISSING,
+  ERROR_CATEGORIES.INVALID_DATA,
+]);
+
+const SNAPSHOT_FILE = /^\d{8}T\d{9}Z-\d{2}-[\w-]+\.json$/;
+
+// Sources whose last attempt before this run parsed but whose attempt in this
+// run didn't. A source that never parses (the main page usually only carries
+// the AJAX nonce) doesn't count.
+function newlyBrokenSources(run, runs) {
+  const broken = new Set(
+    run.attempts
+      .filter(attempt => PARSE_CATEGORIES.has(attempt.category))
+      .map(attempt => attempt.source)
+  );
+  const found = new Set();
+  for (let i = runs.length - 1; i >= 0 && found.size < broken.size; i--) {
+    for (const attempt of [...(runs[i].attempts ?? [])].reverse()) {
+      if (!broken.has(attempt.source) || found.has(attempt.source)) continue;
+      found.add(attempt.source);
+      if (attempt.ok) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Why a run's responses should be kept, if at all: the run failed to parse,
+ * a source that parsed last time failed to, or the run is due for a sample
+ * @param {Object} run - The current run record (see runs.js)
+ * @param {Object[]} runs - Earlier runs from the run log, oldest first
+ * @param {number} everyRuns - Keep every Nth scraping run; 0 disables sampling
+ * @returns {string|null} One of SNAPSHOT_REASONS, or null
+ */
+export function snapshotReason(run, runs, everyRuns) {
+  if (
+    PARSE_CATEGORIES.has(run.errorCategory) ||
+    newlyBrokenSources(run, runs)
+  ) {
+    return SNAPSHOT_REASONS.PARSE_FAILED;
+  }
+  if (everyRuns <= 0 || run.attempts.length === 0) return null;
+
+  // Count the scraping runs since the last snapshot, this one included
+  let since = 1;
+  for (let i = runs.length - 1; i >= 0 && since < everyRuns; i--) {
+    if (runs[i].snapshot) break;
+    if (runs[i].attempts?.length > 0) since += 1;
+  }
+  return since >= everyRuns ? SNAPSHOT_REASONS.SAMPLED : null;
+}
+
+const fileStamp = date => date.toISOString().replace(/[-:.]/g, '');
+
+/**
+ * Writes one snapshot file per response and drops the oldest files beyond
+ * `maxFiles`
+ * @param {string} dir - Snapshot directory
+ * @param {Object[]} responses - From scrapeOccupancy's `responses` option
+ * @param {Object} options
+ * @param {string} options.reason - One of SNAPSHOT_REASONS
+ * @param {Date} options.now - Start of the run, used in the file names
+ * @param {number} options.maxFiles
+ * @param {string|Object} [options.parser] - The gym's parser setting, so the
+ *   snapshot is re-parsed with the same profile
+ * @returns {Promise<string[]>} Names of the files written
+ */
+export async function saveSnapshots(
+  dir,
+  responses,
+  { reason, now, maxFiles, parser }
+) {
+  await mkdir(dir, { recursive: true });
+  const files = [];
+  for (const [index, { body, result, ...request }] of responses.entries()) {
+    const file = `${fileStamp(now)}-${String(index + 1).padStart(2, '0')}-${request.source}.json`;
+    await writeJsonAtomic(join(dir, file), {
+      capturedAt: now.toISOString(),
+      reason,
+      scraperVersion: SCRAPER_VERSION,
+      parser: parser ?? null,
+      ...request,
+      result: result ?? null,
+      body,
+    });
+    files.push(file);
+  }
+  await pruneSnapshots(dir, maxFiles);
+  return files;
+}
+
+async function listSnapshotFiles(dir) {
+  try {
+    return (await readdir(dir)).filter(file => SNAPSHOT_FILE.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function pruneSnapshots(dir, maxFiles) {
+  const files = await listSnapshotFiles(dir);
+  for (const file of files.slice(0, Math.max(files.length - maxFiles, 0))) {
+    await rm(join(dir, file), { force: true });
+  }
+}
+
+function parseWith(source, body, parser) {
+  try {
+    return {
+      ok: true,
+      data: source.parse(body, resolveParserProfile(parser ?? undefined)),
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      category: getErrorCategory(error),
+    };
+  }
+}
+
+/**
+ * Parses a snapshot's body with the current parser of its source, using the
+ * parser profile it was captured with
+ * @param {Object} snapshot - Contents of a snapshot file
+ * @param {Object[]} [sources=getSources()] - Source adapters (see scraper.js)
+ * @returns {{before: Object|null, after: Object, changed: boolean}}
+ *   `before` is the result recorded at capture time, null if the response
+ *   was never parsed (e.g. a main page only fetched for the AJAX nonce);
+ *   such snapshots never count as changed
+ */
+export function reparseSnapshot(snapshot, sources = getSources()) {
+  const source = sources.find(({ id }) => id === snapshot.source);
+  const after = source
+    ? parseWith(source, snapshot.body, snapshot.parser)
+    : {
+        ok: false,
+        error: `Unknown source ${snapshot.source}`,
+        category: ERROR_CATEGORIES.INTERNAL,
+      };
+  const before = snapshot.result ?? null;
+  return {
+    before,
+    after,
+    changed: before !== null && !isDeepStrictEqual(before, after),
+  };
+}
+
+/**
+ * Re-runs the current parsers against every snapshot in the directory
+ * @param {string} dir - Snapshot directory
+ * @param {Object} [options]
+ * @param {Object[]} [options.sources] - Source adapters (see scraper.js)
+ * @returns {Promise<Object[]>} `{ file, source, reason, capturedAt, before,
+ *   after, changed }` per snapshot, oldest first
+ */
+export async function reparseSnapshots(dir, { sources } = {}) {
+  const results = [];
+  for (const file of await listSnapshotFiles(dir)) {
+    const snapshot = JSON.parse(await readFile(join(dir, file), 'utf-8'));
+    results.push({
+      file,
+      source: snapshot.source,
+      reason: snapshot.reason,
+      capturedAt: snapshot.capturedAt,
+      ...reparseSnapshot(snapshot, sources),
+    });
+  }
+  return results;
+}
+
+function describeResult(result) {
+  if (!result) return 'not parsed';
+  if (!result.ok) return `${result.category}: ${result.error}`;
+  const { lead, boulder, sectors } = result.data;
+  const sectorLabel = sectors
+    ? `, sectors ${sectors.open}/${sectors.total}`
+    : '';
+  return `lead ${lead}%, boulder ${boulder}%${sectorLabel}`;
+}
+
+/**
+ * Human readable summary of reparseSnapshots
+ * @param {Object[]} results
+ * @returns {string}
+ */
+export function formatReparseReport(results) {
+  const changed = results.filter(result => result.changed);
+  const lines = changed.map(
+    ({ file, before, after }) =>
+      `${file}\n  was: ${describeResult(before)}\n  now: ${describeResult(after)}`
+  );
+  lines.push(
+    `${results.length} snapshots re-parsed, ${changed.length} with a different result`
+  );
+  return lines.join('\n');
+}
+
+// Re-parse the snapshots if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const dirs = process.argv[2]
+      ? [process.argv[2]]
+      : gymConfigs(await loadConfig()).map(gym => gym.snapshotDir);
+    for (const dir of dirs) {
+      if (dirs.length > 1) console.log(`${dir}:`);
+      console.log(formatReparseReport(await reparseSnapshots(dir)));
+    }
+  } catch (error) {
+    console.error('Re-parse failed:', error.message);
+    process.exitCode = 1;
+  }
+}
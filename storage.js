@@ -0,0 +1,140 @@
+/**
+ * Storage
+ * Crash-safe JSON writes and the lock that keeps collect runs from
+ * overlapping. Writes go to a temp file in the same directory, are flushed
+ * to disk, renamed over the target and read back to verify.
+ */
+
+import { open, readFile, rename, stat, unlink } from 'fs/promises';
+import { basename, dirname, join } from 'path';
+
+/**
+ * Serializes data the way the data files are stored
+ * @param {*} data
+ * @param {boolean} [pretty=true] - Indent with 2 spaces
+ * @returns {string}
+ */
+function serialize(data, pretty = true) {
+  return pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+}
+
+/**
+ * Atomically replaces a JSON file and verifies what landed on disk
+ * @param {string} file - Target path
+ * @param {*} data - JSON-serializable value
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty=true] - Indent with 2 spaces
+ * @returns {Promise<void>}
+ */
+export async function writeJsonAtomic(file, data, { pretty = true } = {}) {
+  const content = serialize(data, pretty);
+  const tempFile = join(
+    dirname(file),
+    `.${basename(file)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const handle = await open(tempFile, 'w');
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await rename(tempFile, file);
+  } catch (error) {
+    await unlink(tempFile).catch(() => {});
+    throw error;
+  }
+
+  const written = await readFile(file, 'utf-8');
+  if (written !== content) {
+    throw new Error(`Verification failed after writing ${file}`);
+  }
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} file
+ * @param {*} [fallback] - Returned when the file doesn't exist
+ * @returns {Promise<*>}
+ * @throws {Error} When the file exists but can't be parsed
+ */
+export async function readJsonFile(file, fallback) {
+  let content;
+  try {
+    content = await readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function isStaleLock(lockFile, staleMs) {
+  try {
+    const holder = JSON.parse(await readFile(lockFile, 'utf-8'));
+    if (Number.isInteger(holder.pid) && !isProcessAlive(holder.pid)) {
+      return true;
+    }
+  } catch {
+    // Unreadable lock: fall back to its age
+  }
+  try {
+    const { mtimeMs } = await stat(lockFile);
+    return Date.now() - mtimeMs > staleMs;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Takes an exclusive lock file. A lock left by a dead process or older than
+ * staleMs is taken over.
+ * @param {string} lockFile
+ * @param {Object} [options]
+ * @param {number} [options.staleMs=600000]
+ * @returns {Promise<Function|null>} Async release function, or null when
+ *   another run holds the lock
+ */
+export async function acquireLock(lockFile, { staleMs = 10 * 60 * 1000 } = {}) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let handle;
+    try {
+      handle = await open(lockFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      if (attempt > 0 || !(await isStaleLock(lockFile, staleMs))) {
+        return null;
+      }
+      console.warn(`Removing stale lock ${lockFile}`);
+      await unlink(lockFile).catch(() => {});
+      continue;
+    }
+
+    try {
+      await handle.writeFile(
+        JSON.stringify({ pid: process.pid, since: new Date().toISOString() })
+      );
+    } finally {
+      await handle.close();
+    }
+    return () => unlink(lockFile).catch(() => {});
+  }
+  return null;
+}
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { addEntry, buildAggregates, emptyAggregates, histogramPercentile, pruneAggregates } from '../aggregates.js';
+
+const entry = (timestamp, lead, boulder) => ({ timestamp, lead, boulder, overall: Math.round((lead + boulder) / 2), sectors: null, source: 'ajax' });
+const closed = timestamp => ({ timestamp, lead: 0, boulder: 0, overall: 0, sectors: { open: 0, total: 0, list: null } });
+
+test('histogramPercentile uses the nearest rank', () => {
+    const histogram = { 10: 1, 20: 2, 40: 1 };
+    assert.strictEqual(histogramPercentile(histogram, 50), 20);
+    assert.strictEqual(histogramPercentile(histogram, 90), 40);
+    assert.strictEqual(histogramPercentile({}, 50), null);
+});
+
+test('buildAggregates tracks daily peaks with their times and open-hour averages', () => {
+    const aggregates = buildAggregates([
+        entry('2026-05-04T08:00:00Z', 20, 40),
+        entry('2026-05-04T16:00:00Z', 60, 30),
+        entry('2026-05-04T17:00:00Z', 60, 50),
+        closed('2026-05-04T21:30:00Z'),
+    ]);
+
+    const day = aggregates.days['2026-05-04'];
+    assert.deepStrictEqual(day.peaks.lead, { value: 60, at: '2026-05-04T16:00:00Z' });
+    assert.deepStrictEqual(day.peaks.boulder, { value: 50, at: '2026-05-04T17:00:00Z' });
+    // The closed marker is not an open-hour sample
+    assert.strictEqual(day.open.samples, 3);
+    // Each reading held for an hour at most
+    assert.strictEqual(day.open.lead.minutes, 180);
+    assert.strictEqual(day.open.lead.avg, 47);
+    assert.strictEqual(aggregates.lastTimestamp, '2026-05-04T21:30:00Z');
+    assert.strictEqual(aggregates.pending, null);
+});
+
+test('low-fidelity samples are kept apart from real readings', () => {
+    const aggregates = buildAggregates([
+        entry('2026-05-04T16:00:00Z', 40, 30),
+        { timestamp: '2026-05-04T16:30:00Z', lead: 70, boulder: 70, overall: 70, sectors: null, source: 'mirror' },
+        // Legacy mirror reading without a source
+        { timestamp: '2026-05-04T16:40:00Z', lead: 60, boulder: 60, overall: 60, sectors: null },
+        closed('2026-05-04T16:50:00Z'),
+    ]);
+
+    const day = aggregates.days['2026-05-04'];
+    assert.deepStrictEqual(day.peaks.lead, { value: 40, at: '2026-05-04T16:00:00Z' });
+    assert.strictEqual(day.open.samples, 1);
+    assert.deepStrictEqual(day.estimated.peaks.lead, { value: 70, at: '2026-05-04T16:30:00Z' });
+    assert.strictEqual(day.estimated.open.samples, 2);
+
+    const slot = aggregates.hourly[1][18];
+    assert.strictEqual(slot.lead.minutes, 30);
+    assert.strictEqual(slot.estimated.lead.minutes, 20);
+    assert.strictEqual(slot.estimated.lead.avg, 65);
+});
+
+test('hourly stats are keyed by Vienna weekday and hour', () => {
+    const aggregates = buildAggregates([
+        entry('2026-05-04T16:10:00Z', 40, 40),
+        closed('2026-05-04T16:40:00Z'),
+        entry('2026-05-11T16:10:00Z', 60, 60),
+        closed('2026-05-11T16:40:00Z'),
+        entry('2026-05-18T16:10:00Z', 80, 80),
+        closed('2026-05-18T16:40:00Z'),
+    ]);
+
+    // Mondays, 18:10 in Vienna
+    const slot = aggregates.hourly[1][18].lead;
+    assert.strictEqual(slot.minutes, 90);
+    assert.strictEqual(slot.avg, 60);
+    assert.strictEqual(slot.p50, 60);
+    assert.strictEqual(slot.p90, 80);
+});
+
+test('readings are weighted by how long they held, not by how often they were recorded', () => {
+    const aggregates = buildAggregates([
+        // A flat hour recorded only as the first reading and a heartbeat
+        entry('2026-05-04T16:00:00Z', 20, 20),
+        entry('2026-05-04T16:30:00Z', 20, 20),
+        // A five-minute spike recorded as often as the flat hour
+        entry('2026-05-04T17:00:00Z', 80, 80),
+        entry('2026-05-04T17:05:00Z', 20, 20),
+        closed('2026-05-04T18:00:00Z'),
+    ]);
+
+    const hours = aggregates.hourly[1];
+    assert.deepStrictEqual(
+        [hours[18].lead.minutes, hours[18].lead.avg, hours[18].lead.p90],
+        [60, 20, 20]
+    );
+    // 80 for 5 minutes and 20 for 55
+    assert.deepStrictEqual(hours[19].lead.histogram, { 20: 55, 80: 5 });
+    assert.deepStrictEqual([hours[19].lead.avg, hours[19].lead.p50, hours[19].lead.p90], [25, 20, 20]);
+    // Counting the four readings instead would give 35
+    assert.strictEqual(aggregates.days['2026-05-04'].open.lead.avg, 23);
+    assert.strictEqual(aggregates.days['2026-05-04'].peaks.lead.value, 80);
+});
+
+test('a held reading is split at the hour and its latest one stays pending', () => {
+    const aggregates = buildAggregates([entry('2026-05-04T16:50:00Z', 40, 40), entry('2026-05-04T17:10:00Z', 60, 60)]);
+
+    assert.strictEqual(aggregates.hourly[1][18].lead.minutes, 10);
+    assert.strictEqual(aggregates.hourly[1][19].lead.minutes, 10);
+    assert.deepStrictEqual(aggregates.pending, { timestamp: '2026-05-04T17:10:00Z', lead: 60, boulder: 60, estimated: false });
+    assert.strictEqual(aggregates.days['2026-05-04'].open.samples, 2);
+});
+
+test('a reading stops holding where a closure or outage starts', () => {
+    const intervals = {
+        intervals: [
+            { type: 'missing', from: '2026-05-04T10:20:00Z', to: '2026-05-04T10:50:00Z', reason: 'HTTP 403' },
+            { type: 'closed', from: '2026-05-04T20:00:00Z', to: '2026-05-05T07:05:00Z', reason: null },
+        ],
+    };
+    const entries = [
+        entry('2026-05-04T10:00:00Z', 40, 40),
+        entry('2026-05-04T10:50:00Z', 50, 50),
+        entry('2026-05-04T19:50:00Z', 60, 60),
+        entry('2026-05-05T07:05:00Z', 20, 20),
+    ];
+    const aggregates = buildAggregates(entries, undefined, intervals);
+
+    // 20 minutes before the outage (plus 10 from the reading ending it);
+    // 10 minutes before closing, none after
+    assert.strictEqual(aggregates.hourly[1][12].lead.minutes, 30);
+    assert.strictEqual(aggregates.hourly[1][12].lead.avg, 43);
+    assert.strictEqual(aggregates.hourly[1][21].lead.minutes, 10);
+    assert.strictEqual(aggregates.hourly[1][22], undefined);
+    assert.strictEqual(aggregates.days['2026-05-04'].open.lead.minutes, 20 + 60 + 10);
+
+    const incremental = emptyAggregates();
+    entries.forEach(e => addEntry(incremental, e, undefined, intervals));
+    assert.deepStrictEqual(incremental, aggregates);
+});
+
+test('days and hours follow the gym timezone', () => {
+    const newYork = buildAggregates([entry('2026-05-04T03:30:00Z', 40, 40), closed('2026-05-04T04:00:00Z')], 'America/New_York');
+    // 23:30 on Sunday in New York
+    assert.deepStrictEqual(Object.keys(newYork.days), ['2026-05-03']);
+    assert.strictEqual(newYork.hourly[0][23].lead.minutes, 30);
+
+    // Readings are split at local hours, also with half-hour offsets
+    const kolkata = buildAggregates([entry('2026-05-04T10:00:00Z', 40, 40), closed('2026-05-04T11:00:00Z')], 'Asia/Kolkata');
+    assert.strictEqual(kolkata.hourly[1][15].lead.minutes, 30);
+    assert.strictEqual(kolkata.hourly[1][16].lead.minutes, 30);
+});
+
+test('addEntry is incremental and ignores entries already folded in', () => {
+    const aggregates = emptyAggregates();
+    addEntry(aggregates, entry('2026-05-04T08:00:00Z', 20, 20));
+    addEntry(aggregates, entry('2026-05-04T08:00:00Z', 20, 20));
+    addEntry(aggregates, entry('2026-05-04T09:00:00Z', 30, 30));
+
+    assert.deepStrictEqual(aggregates, buildAggregates([
+        entry('2026-05-04T08:00:00Z', 20, 20),
+        entry('2026-05-04T09:00:00Z', 30, 30),
+    ]));
+});
+
+test('pruneAggregates drops old days but keeps hourly stats', () => {
+    const aggregates = buildAggregates([entry('2026-01-05T11:00:00Z', 20, 20), entry('2026-05-04T10:00:00Z', 30, 30), closed('2026-05-04T10:30:00Z')]);
+    pruneAggregates(aggregates, '2026-02-01');
+
+    assert.deepStrictEqual(Object.keys(aggregates.days), ['2026-05-04']);
+    assert.strictEqual(aggregates.hourly[1][12].lead.minutes, 90);
+});
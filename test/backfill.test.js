@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveConfig } from '../config.js';
+import { appendEntry, readEntries } from '../history.js';
+import { backfillHistory, formatBackfillReport, summarizeRanges } from '../backfill.js';
+
+const entry = (timestamp, overall = 10) => ({ timestamp, lead: overall, boulder: overall, overall, openSectors: '29/31' });
+
+function commitAll(repo, message) {
+    execFileSync('git', ['add', '-A'], { cwd: repo });
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', 'commit', '-q', '-m', message], { cwd: repo });
+}
+
+test('summarizeRanges merges consecutive Vienna days', () => {
+    assert.deepStrictEqual(summarizeRanges([
+        entry('2026-05-03T10:00:00Z'),
+        entry('2026-05-04T10:00:00Z'),
+        entry('2026-05-04T22:30:00Z'), // May 5 in Vienna
+        entry('2026-05-09T10:00:00Z'),
+    ]), [
+        { from: '2026-05-03', to: '2026-05-05', count: 3 },
+        { from: '2026-05-09', to: '2026-05-09', count: 1 },
+    ]);
+});
+
+test('backfillHistory restores entries from every git revision', async () => {
+    const repo = await mkdtemp(join(tmpdir(), 'ki-backfill-'));
+    const dataDir = join(repo, 'data');
+    const config = resolveConfig({ dataDir });
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: repo });
+        await mkdir(dataDir);
+
+        // Legacy file with an entry beyond retention and one that was pruned later
+        await writeFile(join(dataDir, 'history.json'), JSON.stringify([entry('2026-01-02T10:00:00.000Z'), entry('2026-04-20T10:00:00.000Z')]));
+        commitAll(repo, 'data');
+        // A run that truncated the file, then one that reset it
+        await writeFile(join(dataDir, 'history.json'), '[{"timestamp":"2026-04-21T10:00:00.000Z","lead":5},{"timestamp":"2026-04-21T10:05');
+        commitAll(repo, 'data');
+        await rm(join(dataDir, 'history.json'));
+        await appendEntry(config.historyDir, entry('2026-05-04T10:00:00.000Z'), { maxDays: 365, now: new Date('2026-05-04T10:00:00Z') });
+        commitAll(repo, 'data');
+
+        const report = await backfillHistory(config, { maxDays: 60, now: new Date('2026-05-04T12:00:00Z') });
+
+        assert.strictEqual(report.revisions, 3);
+        assert.strictEqual(report.damaged, 1);
+        assert.strictEqual(report.entries, 4);
+        assert.strictEqual(report.addedToHistory, 2);
+        assert.strictEqual(report.addedToArchive, 1);
+        assert.deepStrictEqual(report.ranges.map(r => [r.from, r.to]), [['2026-01-02', '2026-01-02'], ['2026-04-20', '2026-04-21']]);
+        assert.deepStrictEqual((await readEntries(config.historyDir)).map(e => e.timestamp), [
+            '2026-04-20T10:00:00.000Z',
+            '2026-04-21T10:00:00.000Z',
+            '2026-05-04T10:00:00.000Z',
+        ]);
+        assert.deepStrictEqual((await readEntries(config.archiveDir)).map(e => e.timestamp), ['2026-01-02T10:00:00.000Z']);
+        assert.match(formatBackfillReport(report), /2026-04-20 → 2026-04-21: 2 entries/);
+
+        // Running again finds nothing new
+        const again = await backfillHistory(config, { maxDays: 60, now: new Date('2026-05-04T12:00:00Z') });
+        assert.strictEqual(again.addedToHistory + again.addedToArchive, 0);
+    } finally {
+        await rm(repo, { recursive: true, force: true });
+    }
+});
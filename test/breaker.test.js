@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { emptyBreaker, getBreakerAction, mirrorOnlyBlock, probeConfig, recordBreakerResult } from '../breaker.js';
+import { resolveConfig } from '../config.js';
+import { BlockedError, MarkupChangedError } from '../errors.js';
+
+const options = { threshold: 2, baseDelayMs: 10 * 60 * 1000, maxDelayMs: 30 * 60 * 1000 };
+const at = minutes => new Date(Date.parse('2026-05-04T10:00:00Z') + minutes * 60 * 1000);
+const blocked = new BlockedError('HTTP 403', { status: 403, url: 'https://ki.example/en/' });
+
+test('the breaker opens after repeated blocks and backs off exponentially', () => {
+    const breaker = emptyBreaker();
+    recordBreakerResult(breaker, blocked, at(0), options);
+    assert.strictEqual(getBreakerAction(breaker, at(5)), 'run');
+
+    recordBreakerResult(breaker, blocked, at(5), options);
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(breaker.lastBlock, { at: at(5).toISOString(), category: 'blocked', status: 403, url: 'https://ki.example/en/' });
+    assert.strictEqual(getBreakerAction(breaker, at(10)), 'skip');
+    assert.strictEqual(getBreakerAction(breaker, at(15)), 'probe');
+
+    // Blocked probes double the wait up to the maximum
+    recordBreakerResult(breaker, blocked, at(15), options);
+    assert.strictEqual(breaker.nextProbeAt, at(35).toISOString());
+    recordBreakerResult(breaker, blocked, at(35), options);
+    assert.strictEqual(breaker.nextProbeAt, at(65).toISOString());
+});
+
+test('any outcome other than a block closes the breaker', () => {
+    const breaker = emptyBreaker();
+    recordBreakerResult(breaker, blocked, at(0), options);
+    recordBreakerResult(breaker, blocked, at(5), options);
+
+    recordBreakerResult(breaker, new MarkupChangedError('No known selectors matched'), at(15), options);
+    assert.deepStrictEqual(breaker, emptyBreaker());
+});
+
+test('probeConfig makes a single request per source', () => {
+    const probe = probeConfig(resolveConfig({}));
+    assert.strictEqual(probe.mainPages.length, 1);
+    assert.strictEqual(probe.headerProfiles.length, 1);
+    assert.strictEqual(probe.scrapeAttempts, 1);
+    assert.strictEqual(probe.probe, true);
+});
+
+test('mirrorOnlyBlock keeps the breaker open when only the mirror got through', () => {
+    const attempts = [
+        { source: 'main-page', round: 1, ok: false, httpStatuses: [403], error: 'HTTP 403', category: 'blocked' },
+        { source: 'mirror', round: 1, ok: true, httpStatuses: [200] },
+    ];
+    const block = mirrorOnlyBlock({ source: 'mirror' }, attempts);
+    assert.strictEqual(block.category, 'blocked');
+    assert.strictEqual(block.status, 403);
+    assert.match(block.message, /Only got through via the mirror \(main-page: HTTP 403\)/);
+
+    const breaker = { ...emptyBreaker(), state: 'open', consecutiveBlocks: 2, delayMs: 10 * 60 * 1000 };
+    recordBreakerResult(breaker, block, at(10), options);
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.nextProbeAt, at(30).toISOString());
+
+    // A primary source answering, or failing for another reason, ends the block
+    assert.strictEqual(mirrorOnlyBlock({ source: 'ajax' }, attempts), null);
+    const changed = [{ ...attempts[0], httpStatuses: [200], error: 'No known selectors matched', category: 'markup-changed' }, attempts[1]];
+    assert.strictEqual(mirrorOnlyBlock({ source: 'mirror' }, changed), null);
+});
+
+test('runs that only get through via the mirror open the breaker', () => {
+    const attempts = [
+        { source: 'main-page', round: 1, ok: false, httpStatuses: [403], error: 'HTTP 403', category: 'blocked' },
+        { source: 'ajax', round: 1, ok: false, httpStatuses: [429], error: 'HTTP 429', category: 'rate-limited' },
+        { source: 'mirror', round: 1, ok: true, httpStatuses: [200] },
+    ];
+    const breaker = emptyBreaker();
+    for (let run = 0; run < options.threshold; run++) {
+        recordBreakerResult(breaker, mirrorOnlyBlock({ source: 'mirror' }, attempts), at(run * 5), options);
+    }
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.lastBlock.category, 'rate-limited');
+    assert.strictEqual(getBreakerAction(breaker, at(10)), 'skip');
+});
@@ -0,0 +1,537 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { collect } from '../collect.js';
+import { loadConfig } from '../config.js';
+import { appendEntry, readEntries } from '../history.js';
+import { DEFAULT_OPENING_HOURS } from '../hours.js';
+import { closedSince } from '../intervals.js';
+import { SCRAPER_VERSION } from '../scraper.js';
+import { startMockKiServer } from './mock-ki-server.js';
+
+// 12:00 in Vienna on a regular Monday; 23:30 is after closing
+const OPEN_TIME = new Date('2026-05-04T10:00:00Z');
+const CLOSED_TIME = new Date('2026-05-04T21:30:00Z');
+
+let server;
+let dataDir;
+
+before(async () => {
+    server = await startMockKiServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(async () => {
+    server.setMode('ok');
+    server.setOpeningHours();
+    server.setOccupancy({ lead: 45, boulder: 62, openSectors: '29/31' });
+    server.requests.length = 0;
+    dataDir = await mkdtemp(join(tmpdir(), 'ki-tracker-'));
+});
+
+afterEach(async () => {
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+// Polls on every call unless a test turns adaptive polling back on
+async function runCollect(now = OPEN_TIME, env = {}) {
+    const config = await loadConfig({
+        file: null,
+        env: {
+            KI_BASE_URL: server.url,
+            KI_MIRROR_URL: server.mirrorUrl,
+            KI_REQUEST_TIMEOUT_MS: '100',
+            KI_RETRY_DELAY_MS: '0',
+            KI_DATA_DIR: dataDir,
+            KI_ADAPTIVE_POLLING: 'false',
+            ...env,
+        },
+    });
+    return collect({ config, now });
+}
+
+async function readJson(name) {
+    return JSON.parse(await readFile(join(dataDir, name), 'utf-8'));
+}
+
+async function readHistory() {
+    return readEntries(join(dataDir, 'history'));
+}
+
+test('collect records AJAX occupancy when the site is healthy', async () => {
+    await runCollect();
+
+    const history = await readHistory();
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].lead, 45);
+    assert.strictEqual(history[0].boulder, 62);
+    assert.strictEqual(history[0].overall, 54);
+    assert.deepStrictEqual(history[0].sectors, { open: 29, total: 31, list: null });
+    assert.strictEqual(history[0].openingHours, undefined);
+    assert.strictEqual(history[0].source, 'ajax');
+    assert.strictEqual(history[0].scraperVersion, SCRAPER_VERSION);
+    assert.strictEqual(typeof history[0].latencyMs, 'number');
+
+    const status = await readJson('status.json');
+    assert.strictEqual(status.success, true);
+    assert.strictEqual(status.message, 'Collection successful');
+
+    const aggregates = await readJson('aggregates.json');
+    assert.strictEqual(aggregates.lastTimestamp, history[0].timestamp);
+    assert.strictEqual(Object.values(aggregates.days)[0].peaks.lead.value, 45);
+
+    assert.ok(server.requests.some(r => r.route === 'ajax'));
+});
+
+test('collect falls back to the mirror when the nonce has expired', async () => {
+    server.setMode('nonce-expired');
+    await runCollect();
+
+    const history = await readHistory();
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].overall, 54);
+    assert.strictEqual(history[0].lead, history[0].boulder);
+    assert.strictEqual(history[0].source, 'mirror');
+
+    const sources = await readJson('sources.json');
+    assert.strictEqual(sources.ajax.consecutiveFailures > 0, true);
+    assert.strictEqual(sources.mirror.successes, 1);
+});
+
+for (const mode of ['blocked', 'rate-limited', 'timeout']) {
+    test(`collect keeps history and reports a transient failure when ${mode}`, async () => {
+        const existing = [{ timestamp: new Date().toISOString(), lead: 10, boulder: 20, overall: 15, sectors: null }];
+        await appendEntry(join(dataDir, 'history'), existing[0], { maxDays: 365 });
+        server.setMode(mode);
+
+        await runCollect();
+
+        assert.deepStrictEqual(await readHistory(), existing);
+        const status = await readJson('status.json');
+        assert.strictEqual(status.success, false);
+        assert.match(status.message, /^Upstream scrape blocked temporarily/);
+        assert.strictEqual(status.category, mode);
+        assert.strictEqual(status.httpStatus, { blocked: 403, 'rate-limited': 429, timeout: null }[mode]);
+
+        const { intervals } = await readJson('intervals.json');
+        assert.deepStrictEqual(intervals.map(i => [i.type, i.from, i.to]), [['missing', OPEN_TIME.toISOString(), null]]);
+        assert.strictEqual(intervals[0].reason, status.message);
+    });
+}
+
+test('collect ends an outage with the next reading', async () => {
+    server.setMode('blocked');
+    await runCollect();
+    await runCollect(new Date('2026-05-04T10:05:00Z'));
+    server.setMode('ok');
+    await runCollect(new Date('2026-05-04T10:10:00Z'));
+
+    const [reading] = await readHistory();
+    const { intervals } = await readJson('intervals.json');
+    assert.strictEqual(intervals.length, 1);
+    assert.strictEqual(intervals[0].from, OPEN_TIME.toISOString());
+    assert.strictEqual(intervals[0].to, reading.timestamp);
+});
+
+test('collect logs every run with its source attempts and a health summary', async () => {
+    server.setMode('blocked');
+    await runCollect();
+
+    let health = await readJson('health.json');
+    assert.deepStrictEqual(health.streak, { failures: 1, since: OPEN_TIME.toISOString() });
+    assert.strictEqual(health.currentOutage.from, OPEN_TIME.toISOString());
+    assert.strictEqual(health.sources['main-page'].lastHttpStatus, 403);
+
+    server.setMode('ok');
+    await runCollect(new Date('2026-05-04T10:05:00Z'));
+
+    const { runs } = await readJson('runs.json');
+    assert.deepStrictEqual(runs.map(r => [r.startedAt, r.outcome, r.errorCategory]), [
+        [OPEN_TIME.toISOString(), 'failed', 'blocked'],
+        ['2026-05-04T10:05:00.000Z', 'success', null],
+    ]);
+    assert.strictEqual(typeof runs[0].durationMs, 'number');
+    assert.ok(runs[0].attempts.some(a => a.source === 'main-page' && a.httpStatuses.includes(403)));
+    assert.deepStrictEqual(runs[1].attempts.map(a => [a.source, a.ok]), [['main-page', false], ['ajax', true]]);
+
+    health = await readJson('health.json');
+    assert.strictEqual(health.runs, 2);
+    assert.strictEqual(health.successRate, 0.5);
+    assert.deepStrictEqual(health.streak, { failures: 0, since: null });
+    assert.strictEqual(health.currentOutage, null);
+    const [reading] = await readHistory();
+    assert.deepStrictEqual([health.longestOutage.from, health.longestOutage.to], [OPEN_TIME.toISOString(), reading.timestamp]);
+});
+
+test('collect stops scraping after repeated blocks and probes for recovery', async () => {
+    server.setMode('blocked');
+    const at = minutes => new Date(OPEN_TIME.getTime() + minutes * 60 * 1000);
+    for (const minutes of [0, 5, 10]) {
+        await runCollect(at(minutes));
+    }
+
+    let status = await readJson('status.json');
+    assert.deepStrictEqual(status.breaker, { state: 'open', consecutiveBlocks: 3, nextProbeAt: at(25).toISOString() });
+
+    // Skipped without a request while the breaker is open
+    const requestsBefore = server.requests.length;
+    await runCollect(at(15));
+    assert.strictEqual(server.requests.length, requestsBefore);
+    status = await readJson('status.json');
+    assert.strictEqual(status.success, false);
+    assert.strictEqual(status.category, 'blocked');
+
+    // A blocked probe makes a single request per source and doubles the wait
+    await runCollect(at(25));
+    assert.deepStrictEqual(server.requests.slice(requestsBefore).map(r => r.route), ['main', 'mirror']);
+    assert.strictEqual((await readJson('breaker.json')).nextProbeAt, at(55).toISOString());
+
+    server.setMode('ok');
+    await runCollect(at(55));
+    assert.strictEqual((await readHistory()).length, 1);
+    assert.deepStrictEqual((await readJson('status.json')).breaker, { state: 'closed', consecutiveBlocks: 0, nextProbeAt: null });
+
+    const { runs } = await readJson('runs.json');
+    assert.deepStrictEqual(runs.map(r => r.outcome), ['failed', 'failed', 'failed', 'skipped', 'failed', 'success']);
+});
+
+test('collect fails hard when the markup changed', async () => {
+    server.setMode('changed-markup');
+
+    await assert.rejects(runCollect(), /All sources failed/);
+
+    const status = await readJson('status.json');
+    assert.match(status.message, /No known selectors matched/);
+    assert.match(status.error, /All sources failed/);
+    assert.strictEqual(status.category, 'markup-changed');
+
+    // The responses that broke the parsers are kept for offline fixing
+    const snapshots = await Promise.all((await readdir(join(dataDir, 'snapshots'))).sort().map(file => readJson(join('snapshots', file))));
+    assert.deepStrictEqual(snapshots.map(s => [s.source, s.reason, s.result?.category]), [
+        ['main-page', 'parse-failed', 'markup-changed'],
+        ['mirror', 'parse-failed', 'markup-changed'],
+        ['main-page', 'parse-failed', 'markup-changed']
+    ]);
+    assert.strictEqual(snapshots[0].url, `${server.url}/en/`);
+    assert.strictEqual(snapshots[0].status, 200);
+    assert.match(snapshots[0].body, /<html>/);
+    assert.strictEqual((await readJson('runs.json')).runs[0].snapshot, 'parse-failed');
+});
+
+test('a probe that only gets through via the mirror keeps the breaker open', async () => {
+    server.setMode('blocked');
+    const at = minutes => new Date(OPEN_TIME.getTime() + minutes * 60 * 1000);
+    for (const minutes of [0, 5, 10]) {
+        await runCollect(at(minutes));
+    }
+
+    server.setMode({ main: 'blocked', ajax: 'blocked' });
+    await runCollect(at(25));
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.source), ['mirror']);
+    let breaker = await readJson('breaker.json');
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.nextProbeAt, at(55).toISOString());
+
+    // The healthy mirror doesn't jump the queue of a probe
+    const requestsBefore = server.requests.length;
+    await runCollect(at(55));
+    assert.deepStrictEqual(server.requests.slice(requestsBefore).map(r => r.route), ['main', 'mirror']);
+    breaker = await readJson('breaker.json');
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.nextProbeAt, at(115).toISOString());
+
+    server.setMode('ok');
+    await runCollect(at(115));
+    assert.strictEqual((await readJson('breaker.json')).state, 'closed');
+    assert.strictEqual((await readHistory()).at(-1).source, 'ajax');
+});
+
+test('runs that only get through via the mirror open the breaker', async () => {
+    server.setMode({ main: 'blocked', ajax: 'blocked' });
+    const at = minutes => new Date(OPEN_TIME.getTime() + minutes * 60 * 1000);
+    for (const minutes of [0, 5, 10]) {
+        await runCollect(at(minutes));
+    }
+
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.source), ['mirror']);
+    const status = await readJson('status.json');
+    assert.strictEqual(status.success, true);
+    assert.deepStrictEqual(status.breaker, { state: 'open', consecutiveBlocks: 3, nextProbeAt: at(25).toISOString() });
+
+    // The blocking site isn't asked again until the probe
+    const requestsBefore = server.requests.length;
+    await runCollect(at(15));
+    assert.strictEqual(server.requests.length, requestsBefore);
+});
+
+test('collect runs every gym of the registry into its own data directory', async () => {
+    const other = await startMockKiServer({
+        occupancy: { lead: 20, boulder: 30 },
+        widget: { nonceVariable: 'tivoli_ajax', ajaxAction: 'tivoli_occupancy', leadLabel: 'Vorstieg' }
+    });
+    server.setMode('changed-markup');
+    await mkdir(join(dataDir, 'tivoli'));
+    await writeFile(join(dataDir, 'tivoli', 'opening-hours.json'), JSON.stringify(DEFAULT_OPENING_HOURS));
+
+    try {
+        // The hard failure of the first gym is rethrown after the second ran
+        await assert.rejects(runCollect(OPEN_TIME, {
+            KI_GYMS: JSON.stringify([
+                { id: 'ki', name: 'KI', baseUrl: server.url, mirrorUrl: server.mirrorUrl, dataDir },
+                {
+                    id: 'tivoli',
+                    name: 'Tivoli',
+                    baseUrl: other.url,
+                    parser: { profile: 'ki', nonceVariable: 'tivoli_ajax', ajaxAction: 'tivoli_occupancy', leadLabels: ['vorstieg'] },
+                    timezone: 'Europe/Vienna'
+                }
+            ])
+        }), /All sources failed/);
+    } finally {
+        await other.close();
+    }
+
+    assert.strictEqual((await readJson('status.json')).category, 'markup-changed');
+    const history = await readEntries(join(dataDir, 'tivoli', 'history'));
+    assert.deepStrictEqual(history.map(({ lead, boulder, source }) => [lead, boulder, source]), [[20, 30, 'ajax']]);
+    assert.strictEqual((await readJson(join('tivoli', 'status.json'))).success, true);
+
+    assert.deepStrictEqual(await readJson('gyms.json'), {
+        schemaVersion: 1,
+        gyms: [
+            { id: 'ki', name: 'KI', url: `${server.url}/en/`, timezone: null, path: '' },
+            { id: 'tivoli', name: 'Tivoli', url: `${other.url}/en/`, timezone: 'Europe/Vienna', path: 'tivoli' }
+        ]
+    });
+});
+
+test('a registry gym without its own opening hours fails instead of using the default gym\'s', async () => {
+    const gyms = JSON.stringify([
+        { id: 'ki', name: 'KI', baseUrl: server.url, mirrorUrl: server.mirrorUrl, dataDir },
+        { id: 'tivoli', name: 'Tivoli', baseUrl: server.url }
+    ]);
+
+    await assert.rejects(runCollect(OPEN_TIME, { KI_GYMS: gyms }), /No readable opening hours in .*tivoli\/opening-hours\.json/);
+
+    // The default gym still falls back to the built-in hours
+    assert.strictEqual((await readJson('status.json')).success, true);
+    assert.strictEqual((await readHistory()).length, 1);
+});
+
+test('collect keeps the responses of every Nth scraping run', async () => {
+    const env = { KI_SNAPSHOT_EVERY_RUNS: '2' };
+    await runCollect(OPEN_TIME, env);
+    await runCollect(new Date(OPEN_TIME.getTime() + 5 * 60 * 1000), env);
+
+    // The main page never has the occupancy, so its failed parse doesn't count
+    const files = (await readdir(join(dataDir, 'snapshots'))).sort();
+    assert.deepStrictEqual(files, ['20260504T100500000Z-01-main-page.json', '20260504T100500000Z-02-ajax.json']);
+    const ajax = await readJson(join('snapshots', files[1]));
+    assert.strictEqual(ajax.reason, 'sampled');
+    assert.strictEqual(ajax.method, 'POST');
+    assert.deepStrictEqual(ajax.result.data.sectors, { open: 29, total: 31, list: null });
+
+    const { runs } = await readJson('runs.json');
+    assert.deepStrictEqual(runs.map(run => run.snapshot), [undefined, 'sampled']);
+});
+
+test('collect records only readings that changed, plus a heartbeat', async () => {
+    await runCollect();
+    await runCollect(new Date('2026-05-04T10:05:00Z'));
+    assert.strictEqual((await readHistory()).length, 1);
+    const status = await readJson('status.json');
+    assert.strictEqual(status.recorded, false);
+    assert.strictEqual(status.data.lead, 45);
+
+    server.setOccupancy({ lead: 50 });
+    await runCollect(new Date('2026-05-04T10:10:00Z'));
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.lead), [45, 50]);
+    assert.strictEqual((await readJson('status.json')).recorded, true);
+
+    // Readings are taken at the real clock, so a zero heartbeat stands in for a long gap
+    await runCollect(new Date('2026-05-04T10:15:00Z'), { KI_HISTORY_HEARTBEAT_MS: '0' });
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.lead), [45, 50, 50]);
+});
+
+test('collect quarantines a sudden jump until the next reading confirms it', async () => {
+    server.setOccupancy({ lead: 20, boulder: 25 });
+    await runCollect();
+
+    server.setOccupancy({ lead: 90, boulder: 25 });
+    await runCollect(new Date('2026-05-04T10:05:00Z'));
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.lead), [20]);
+    const { entries } = await readJson('quarantine.json');
+    assert.deepStrictEqual(entries.map(entry => [entry.lead, entry.issues.map(i => i.issue)]), [[90, ['jump']]]);
+
+    const status = await readJson('status.json');
+    assert.strictEqual(status.success, false);
+    assert.strictEqual(status.category, 'invalid-data');
+    assert.strictEqual(status.message, 'Reading quarantined: lead jumped from 20% to 90%');
+    assert.strictEqual(status.quarantine.drift, null);
+
+    await runCollect(new Date('2026-05-04T10:10:00Z'));
+    assert.deepStrictEqual((await readHistory()).map(entry => entry.lead), [20, 90]);
+    assert.strictEqual((await readJson('status.json')).success, true);
+});
+
+test('collect reports parser drift when readings keep getting quarantined', async () => {
+    const env = { KI_DRIFT_THRESHOLD: '2' };
+    server.setOccupancy({ lead: 20, boulder: 20 });
+    await runCollect(OPEN_TIME, env);
+
+    server.setOccupancy({ lead: 90, boulder: 20 });
+    await runCollect(new Date('2026-05-04T10:05:00Z'), env);
+    server.setOccupancy({ lead: 70, boulder: 20 });
+    await runCollect(new Date('2026-05-04T10:10:00Z'), env);
+
+    const status = await readJson('status.json');
+    assert.match(status.message, /^Parser drift: 2 readings in a row quarantined since /);
+    assert.deepStrictEqual(status.quarantine.drift.issues, ['jump']);
+    assert.strictEqual((await readHistory()).length, 1);
+    assert.deepStrictEqual((await readJson('runs.json')).runs.map(run => run.errorCategory), [null, 'invalid-data', 'invalid-data']);
+});
+
+test('collect records a single closed interval while the gym is closed', async () => {
+    await runCollect(CLOSED_TIME);
+    await runCollect(new Date('2026-05-04T21:35:00Z'));
+
+    assert.deepStrictEqual(await readHistory(), []);
+    assert.strictEqual(server.requests.length, 0);
+    const { intervals } = await readJson('intervals.json');
+    assert.deepStrictEqual(intervals, [{ type: 'closed', from: CLOSED_TIME.toISOString(), to: null, reason: null }]);
+
+    const status = await readJson('status.json');
+    assert.strictEqual(status.message, 'Gym closed (closure recorded)');
+    assert.strictEqual(status.closed, true);
+    assert.strictEqual(status.lastRun, CLOSED_TIME.toISOString());
+    // The second run changed nothing, so it isn't logged either
+    assert.deepStrictEqual((await readJson('runs.json')).runs.map(run => run.outcome), ['closed']);
+
+    // The next reading ends the closure
+    await runCollect(new Date('2026-05-05T10:00:00Z'));
+    const [reading] = await readHistory();
+    assert.strictEqual((await readJson('intervals.json')).intervals[0].to, reading.timestamp);
+});
+
+test('a run skipped by the open breaker ends the night\'s closure with an outage', async () => {
+    const lastNight = new Date('2026-05-03T21:30:00Z');
+    await runCollect(lastNight);
+    const nextProbeAt = new Date(OPEN_TIME.getTime() + 10 * 60 * 1000).toISOString();
+    await writeFile(join(dataDir, 'breaker.json'), JSON.stringify({
+        schemaVersion: 1,
+        state: 'open',
+        consecutiveBlocks: 3,
+        openedAt: lastNight.toISOString(),
+        delayMs: 10 * 60 * 1000,
+        nextProbeAt,
+        lastBlock: { at: lastNight.toISOString(), category: 'blocked', status: 403, url: null }
+    }));
+
+    await runCollect();
+    assert.strictEqual(server.requests.length, 0);
+    const log = await readJson('intervals.json');
+    assert.deepStrictEqual(log.intervals, [
+        { type: 'closed', from: lastNight.toISOString(), to: OPEN_TIME.toISOString(), reason: null },
+        { type: 'missing', from: OPEN_TIME.toISOString(), to: null, reason: `Upstream blocked; next probe at ${nextProbeAt}` }
+    ]);
+    assert.strictEqual(closedSince(log, await readJson('status.json')), null);
+});
+
+test('collect stores published opening hours and stops polling on announced closures', async () => {
+    server.setOpeningHours('<div class="today">Heute geschlossen</div>');
+
+    await runCollect();
+    const published = await readJson('published-hours.json');
+    assert.strictEqual(published['2026-05-04'].today, null);
+    assert.deepStrictEqual(published['2026-05-04'].notices, ['Heute geschlossen']);
+
+    const requestsBefore = server.requests.length;
+    await runCollect(new Date('2026-05-04T10:05:00Z'));
+
+    assert.strictEqual((await readHistory()).length, 1);
+    const { intervals } = await readJson('intervals.json');
+    assert.strictEqual(intervals[0].type, 'closed');
+    assert.strictEqual(intervals[0].from, '2026-05-04T10:05:00.000Z');
+    assert.strictEqual(server.requests.length, requestsBefore);
+});
+
+test('collect splits a legacy history.json into shards before appending', async () => {
+    const legacy = [
+        { timestamp: '2026-03-31T22:30:00.000Z', lead: 0, boulder: 0, overall: 0, openSectors: '0/0' },
+        { timestamp: '2026-04-30T18:00:00.000Z', lead: 30, boulder: 40, overall: 35, openSectors: null },
+    ];
+    await writeFile(join(dataDir, 'history.json'), JSON.stringify(legacy));
+
+    await runCollect(new Date('2026-05-01T10:00:00Z'));
+
+    const manifest = await readJson('history/manifest.json');
+    // 22:30Z on March 31 is already April 1 in Vienna
+    assert.deepStrictEqual(manifest.shards.map(s => s.month).slice(0, 1), ['2026-04']);
+    assert.strictEqual(manifest.shards[0].count, 2);
+    const history = await readHistory();
+    assert.strictEqual(history.length, 3);
+    assert.deepStrictEqual(history[0].sectors, { open: 0, total: 0, list: null });
+    await assert.rejects(readFile(join(dataDir, 'history.json')), { code: 'ENOENT' });
+});
+
+test('collect folds new entries into existing aggregates instead of rebuilding', async () => {
+    const recordAll = { KI_HISTORY_HEARTBEAT_MS: '0' };
+    await runCollect(OPEN_TIME, recordAll);
+    const first = await readJson('aggregates.json');
+
+    // An entry the aggregates never saw must not be picked up by the next run
+    await appendEntry(join(dataDir, 'history'), { timestamp: '2026-05-01T10:00:00.000Z', lead: 99, boulder: 99, overall: 99, sectors: null }, { maxDays: 365 });
+    await runCollect(OPEN_TIME, recordAll);
+
+    const second = await readJson('aggregates.json');
+    assert.strictEqual(second.days['2026-05-01'], undefined);
+    const [today] = Object.keys(first.days);
+    assert.strictEqual(second.days[today].open.samples, 2);
+});
+
+test('collect refuses to overwrite a history shard it cannot parse', async () => {
+    await runCollect();
+    const manifest = await readJson('history/manifest.json');
+    const shardFile = join(dataDir, 'history', manifest.shards[0].file);
+    await writeFile(shardFile, '[{"timestamp": "2026-05-04T10:00:00.000Z", "lead"');
+
+    await assert.rejects(runCollect(new Date('2026-05-04T10:05:00Z')), /Cannot parse/);
+
+    assert.strictEqual(await readFile(shardFile, 'utf-8'), '[{"timestamp": "2026-05-04T10:00:00.000Z", "lead"');
+    const status = await readJson('status.json');
+    assert.match(status.message, /Cannot parse/);
+    const { intervals } = await readJson('intervals.json');
+    assert.strictEqual(intervals[0].type, 'missing');
+    assert.match(intervals[0].reason, /Cannot parse/);
+});
+
+test('collect skips the run while another collection holds the lock', async () => {
+    await writeFile(join(dataDir, 'collect.lock'), JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+
+    await runCollect();
+
+    assert.strictEqual(server.requests.length, 0);
+    await assert.rejects(readJson('status.json'), { code: 'ENOENT' });
+});
+
+test('collect waits for the poll time the last run planned when polling adapts', async () => {
+    const adaptive = { KI_ADAPTIVE_POLLING: 'true' };
+    await writeFile(join(dataDir, 'status.json'), JSON.stringify({ success: true, nextPollAt: '2026-05-04T10:10:00.000Z' }));
+
+    await runCollect(OPEN_TIME, adaptive);
+    assert.strictEqual(server.requests.length, 0);
+    await assert.rejects(readJson('runs.json'), { code: 'ENOENT' });
+
+    await runCollect(new Date('2026-05-04T10:10:00Z'), adaptive);
+    assert.ok(server.requests.length > 0);
+    const status = await readJson('status.json');
+    assert.strictEqual(status.success, true);
+    // No readings from the last hour to go on yet, so it polls as often as allowed
+    assert.strictEqual(status.pollIntervalMs, 5 * 60 * 1000);
+    assert.strictEqual(status.nextPollAt, '2026-05-04T10:15:00.000Z');
+});
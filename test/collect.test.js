@@ -1,43 +1,29 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { isTransientUpstreamError, pruneOldData } from '../collect.js';
+import { FAILURE_HANDLING, getFailureHandling } from '../collect.js';
+import { BlockedError, MarkupChangedError, NonceMissingError, SourcesFailedError, TimeoutError } from '../errors.js';
 
-test('pruneOldData removes entries older than maxDays', () => {
-    const now = new Date();
-    // Use fixed time to avoid flakiness with time boundaries if needed, 
-    // but relative calculation usually fine
-    const oneDay = 24 * 60 * 60 * 1000;
-
-    const recent = new Date(now - 2 * oneDay).toISOString();
-    const old = new Date(now - 8 * oneDay).toISOString();
-    const boundary = new Date(now - 7 * oneDay + 1000).toISOString(); // Just inside 7 days
-
-    const data = [
-        { timestamp: recent, val: 1 },
-        { timestamp: old, val: 2 },
-        { timestamp: boundary, val: 3 }
-    ];
-
-    const result = pruneOldData(data, 7);
-
-    // Should keep recent and boundary, remove old
-    assert.strictEqual(result.length, 2);
-    // ordered same way
-    assert.strictEqual(result[0].val, 1);
-    assert.strictEqual(result[1].val, 3);
-});
-
-test('pruneOldData handles empty arrays', () => {
-    const result = pruneOldData([], 7);
-    assert.deepStrictEqual(result, []);
+test('getFailureHandling retries upstream blocks and timeouts', () => {
+    assert.strictEqual(getFailureHandling(new BlockedError('HTTP 403', { status: 403 })), FAILURE_HANDLING.RETRY);
+    assert.strictEqual(getFailureHandling(new TimeoutError('Request timed out')), FAILURE_HANDLING.RETRY);
 });
 
-test('isTransientUpstreamError detects upstream 403 blocks', () => {
-    const err = new Error('Failed to fetch main page: 403');
-    assert.strictEqual(isTransientUpstreamError(err), true);
+test('getFailureHandling does not hide parser/code errors', () => {
+    assert.strictEqual(getFailureHandling(new MarkupChangedError('No known selectors matched')), FAILURE_HANDLING.FAIL);
+    assert.strictEqual(getFailureHandling(new NonceMissingError('Could not find nonce token in page')), FAILURE_HANDLING.WARN);
+    // A message mentioning 403 no longer makes a code error look transient
+    assert.strictEqual(getFailureHandling(new Error('Unexpected token at position 403')), FAILURE_HANDLING.FAIL);
 });
 
-test('isTransientUpstreamError does not hide parser/code errors', () => {
-    const err = new Error('Failed to parse occupancy data: No known selectors matched');
-    assert.strictEqual(isTransientUpstreamError(err), false);
+test('SourcesFailedError reports the most severe source failure', () => {
+    const error = new SourcesFailedError(new Map([
+        ['main-page', new MarkupChangedError('No known selectors matched')],
+        ['mirror', new BlockedError('Mirror request failed: 403', { status: 403, url: 'https://mirror.example/' })],
+    ]));
+
+    assert.strictEqual(error.category, 'blocked');
+    assert.strictEqual(error.status, 403);
+    assert.strictEqual(error.url, 'https://mirror.example/');
+    assert.match(error.message, /^All sources failed \(main-page: No known selectors matched \| mirror: Mirror request failed: 403\)$/);
+    assert.strictEqual(getFailureHandling(error), FAILURE_HANDLING.RETRY);
 });
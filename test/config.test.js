@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gymConfigs, gymIndex, loadConfig, resolveConfig } from '../config.js';
+
+test('resolveConfig derives URLs, headers and file paths from defaults', () => {
+    const config = resolveConfig({});
+
+    assert.strictEqual(config.baseUrl, 'https://www.kletterzentrum-innsbruck.at');
+    assert.deepStrictEqual(config.mainPages, [
+        'https://www.kletterzentrum-innsbruck.at/en/',
+        'https://www.kletterzentrum-innsbruck.at/',
+        'https://www.kletterzentrum-innsbruck.at/de/',
+    ]);
+    assert.strictEqual(config.ajaxUrl, 'https://www.kletterzentrum-innsbruck.at/wp-admin/admin-ajax.php');
+    assert.strictEqual(config.headerProfiles[0].Referer, 'https://www.kletterzentrum-innsbruck.at/');
+    assert.strictEqual(config.historyFile, join('data', 'history.json'));
+    assert.strictEqual(config.historyDir, join('data', 'history'));
+    assert.strictEqual(config.intervalsFile, join('data', 'intervals.json'));
+    assert.strictEqual(config.runLogFile, join('data', 'runs.json'));
+    assert.strictEqual(config.healthFile, join('data', 'health.json'));
+    assert.strictEqual(config.breakerFile, join('data', 'breaker.json'));
+    assert.strictEqual(config.mirrorUrl, 'https://r.jina.ai/http://www.kletterzentrum-innsbruck.at/en/');
+    assert.deepStrictEqual(gymConfigs(config), [config]);
+});
+
+test('loadConfig applies the config file, then environment overrides', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-config-'));
+    const file = join(dir, 'config.json');
+    await writeFile(file, JSON.stringify({
+        baseUrl: 'http://staging.example/',
+        requestTimeoutMs: 2000,
+        dataDir: '/srv/ki/data',
+    }));
+
+    try {
+        const config = await loadConfig({
+            file,
+            env: { KI_REQUEST_TIMEOUT_MS: '500', KI_STATUS_FILE: '/tmp/status.json' },
+        });
+
+        assert.strictEqual(config.baseUrl, 'http://staging.example');
+        assert.strictEqual(config.ajaxUrl, 'http://staging.example/wp-admin/admin-ajax.php');
+        assert.strictEqual(config.requestTimeoutMs, 500);
+        assert.strictEqual(config.historyFile, '/srv/ki/data/history.json');
+        assert.strictEqual(config.statusFile, '/tmp/status.json');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('loadConfig rejects invalid environment values and missing explicit files', async () => {
+    await assert.rejects(
+        loadConfig({ file: null, env: { KI_SCRAPE_ATTEMPTS: '0' } }),
+        /Invalid value for KI_SCRAPE_ATTEMPTS/
+    );
+    await assert.rejects(
+        loadConfig({ env: { KI_CONFIG: '/nonexistent/ki.json' } }),
+        /Invalid config file/
+    );
+});
+
+test('resolveConfig resolves each gym of the registry on top of the shared values', () => {
+    const config = resolveConfig({
+        requestTimeoutMs: 2000,
+        mirrorUrl: 'https://mirror.example/ki/',
+        gyms: [
+            { id: 'ki', name: 'Kletterzentrum Innsbruck', dataDir: 'data' },
+            { id: 'tivoli', name: 'Tivoli', baseUrl: 'https://tivoli.example', parser: { profile: 'ki', ajaxAction: 'occupancy' }, timezone: 'Europe/Vienna' },
+        ],
+    });
+    const [ki, tivoli] = gymConfigs(config);
+
+    assert.strictEqual(ki.gymId, 'ki');
+    assert.strictEqual(ki.statusFile, join('data', 'status.json'));
+    assert.strictEqual(tivoli.requestTimeoutMs, 2000);
+    // Site settings aren't inherited
+    assert.strictEqual(tivoli.mirrorUrl, 'https://r.jina.ai/http://tivoli.example/en/');
+    assert.strictEqual(tivoli.ajaxUrl, 'https://tivoli.example/wp-admin/admin-ajax.php');
+    assert.strictEqual(tivoli.statusFile, join('data', 'tivoli', 'status.json'));
+    assert.deepStrictEqual(tivoli.parser, { profile: 'ki', ajaxAction: 'occupancy' });
+
+    assert.deepStrictEqual(gymIndex(config).gyms.map(({ id, path, timezone }) => [id, path, timezone]), [
+        ['ki', '', null],
+        ['tivoli', 'tivoli', 'Europe/Vienna'],
+    ]);
+});
+
+test('resolveConfig rejects registries with bad or clashing gyms', () => {
+    assert.throws(() => resolveConfig({ gyms: [] }), /expected a non-empty array/);
+    assert.throws(() => resolveConfig({ gyms: [{ name: 'No id' }] }), /Invalid gym id undefined/);
+    assert.throws(() => resolveConfig({ gyms: [{ id: 'ki' }, { id: 'ki' }] }), /Gyms "ki" and "ki"/);
+    assert.throws(
+        () => resolveConfig({ gyms: [{ id: 'ki', dataDir: 'data' }, { id: 'tivoli', dataDir: './data/' }] }),
+        /Gyms "ki" and "tivoli" need their own id and data directory/
+    );
+});
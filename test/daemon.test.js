@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveConfig } from '../config.js';
+import { commitDataFiles, planNextRun, runDaemon } from '../daemon.js';
+import { DEFAULT_OPENING_HOURS } from '../hours.js';
+
+const schedule = { hours: DEFAULT_OPENING_HOURS, published: {}, intervalMs: 5 * 60 * 1000, jitterMs: 60 * 1000, random: () => 0.5 };
+
+test('planNextRun polls every interval plus jitter while open', () => {
+    // 12:00 in Vienna
+    const next = planNextRun(new Date('2026-05-04T10:00:00Z'), schedule);
+    assert.strictEqual(next.toISOString(), '2026-05-04T10:05:30.000Z');
+});
+
+test('planNextRun records the closure once, then sleeps until the next opening', () => {
+    // 21:58 in Vienna: the next run falls after closing and records it
+    assert.strictEqual(planNextRun(new Date('2026-05-04T19:58:00Z'), schedule).toISOString(), '2026-05-04T20:03:30.000Z');
+    // That run saw the gym closed: wait for 09:00 the next morning
+    assert.strictEqual(planNextRun(new Date('2026-05-04T20:03:30Z'), schedule).toISOString(), '2026-05-05T07:00:00.000Z');
+});
+
+test('runDaemon refuses intervals below five minutes', async () => {
+    const config = resolveConfig({ daemonIntervalMs: 60 * 1000 });
+    await assert.rejects(runDaemon({ config, signal: new AbortController().signal }), /at least 5 minutes/);
+});
+
+test('runDaemon keeps collecting until it is stopped', async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'ki-daemon-'));
+    const config = resolveConfig({ dataDir, daemonJitterMs: 0 });
+    const controller = new AbortController();
+    const waits = [];
+    let collected = 0;
+    try {
+        const runs = await runDaemon({
+            config,
+            signal: controller.signal,
+            collectRun: async () => { collected += 1; },
+            wait: async ms => {
+                waits.push(ms);
+                if (waits.length === 2) controller.abort();
+            },
+        });
+
+        assert.strictEqual(runs, 2);
+        assert.strictEqual(collected, 2);
+        assert.strictEqual(waits.length, 2);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('commitDataFiles commits changed data files only', async () => {
+    const repo = await mkdtemp(join(tmpdir(), 'ki-daemon-'));
+    const config = resolveConfig({ dataDir: join(repo, 'data') });
+    const git = args => execFileSync('git', args, { cwd: repo, encoding: 'utf-8' });
+    try {
+        git(['init', '-q']);
+        git(['config', 'user.name', 'test']);
+        git(['config', 'user.email', 'test@example.com']);
+        git(['config', 'commit.gpgsign', 'false']);
+        await mkdir(config.dataDir);
+        await writeFile(config.statusFile, '{}');
+        await writeFile(join(config.dataDir, 'collect.lock'), '{}');
+
+        assert.strictEqual(await commitDataFiles(config, new Date('2026-05-04T10:00:00Z')), true);
+        assert.strictEqual(git(['log', '--format=%s']).trim(), '📊 Update occupancy data [2026-05-04 10:00 UTC]');
+        assert.deepStrictEqual(git(['show', '--name-only', '--format=']).trim().split('\n'), ['data/status.json']);
+
+        assert.strictEqual(await commitDataFiles(config), false);
+    } finally {
+        await rm(repo, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { appendEntry, isRepeatReading, migrateLegacyHistory, pruneShards, readEntries, readLastEntry } from '../history.js';
+import { shardKey, shardsForRange, splitIntoShards } from '../shards.js';
+
+const entry = (timestamp, overall = 10) => ({ timestamp, lead: overall, boulder: overall, overall, sectors: null });
+
+test('shardKey uses the Vienna month', () => {
+    assert.strictEqual(shardKey('2026-01-31T22:59:00Z'), '2026-01');
+    assert.strictEqual(shardKey('2026-01-31T23:00:00Z'), '2026-02');
+});
+
+test('splitIntoShards groups and sorts entries by month', () => {
+    const shards = splitIntoShards([entry('2026-02-02T10:00:00Z'), entry('2026-01-05T10:00:00Z'), entry('2026-02-01T10:00:00Z')]);
+    assert.deepStrictEqual([...shards.keys()], ['2026-01', '2026-02']);
+    assert.deepStrictEqual(shards.get('2026-02').map(e => e.timestamp), ['2026-02-01T10:00:00Z', '2026-02-02T10:00:00Z']);
+});
+
+test('shardsForRange picks only the months a date range touches', () => {
+    const manifest = { shards: ['2026-01', '2026-02', '2026-03'].map(month => ({ month })) };
+    assert.deepStrictEqual(shardsForRange(manifest, '2026-02-25', '2026-03-03').map(s => s.month), ['2026-02', '2026-03']);
+    assert.deepStrictEqual(shardsForRange(manifest, '2026-04-01', '2026-04-02'), []);
+});
+
+test('isRepeatReading leaves out unchanged readings until the heartbeat is due', () => {
+    const heartbeatMs = 30 * 60 * 1000;
+    const reading = (timestamp, value, extra) => ({ ...entry(timestamp, value), sectors: { open: 29, total: 31, list: null }, source: 'ajax', ...extra });
+    const last = reading('2026-05-04T10:00:00.000Z', 40);
+    assert.strictEqual(isRepeatReading(undefined, last, heartbeatMs), false);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:25:00.000Z', 40), heartbeatMs), true);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:30:00.000Z', 40), heartbeatMs), false);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:05:00.000Z', 41), heartbeatMs), false);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:05:00.000Z', 40, { sectors: { open: 28, total: 31, list: null } }), heartbeatMs), false);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:05:00.000Z', 40, { source: 'mirror' }), heartbeatMs), false);
+    assert.strictEqual(isRepeatReading(last, reading('2026-05-04T10:05:00.000Z', 40), 0), false);
+});
+
+test('pruneShards drops only shards that ended before the cutoff', () => {
+    const shards = [
+        { month: '2025-04', to: '2025-04-30T20:00:00Z' },
+        { month: '2025-05', to: '2025-05-31T20:00:00Z' },
+    ];
+    const { kept, dropped } = pruneShards(shards, 365, new Date('2026-05-10T00:00:00Z'));
+    assert.deepStrictEqual(kept.map(s => s.month), ['2025-05']);
+    assert.deepStrictEqual(dropped.map(s => s.month), ['2025-04']);
+});
+
+test('appendEntry touches only the current shard and expires old shards', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-history-'));
+    try {
+        await appendEntry(dir, entry('2025-03-10T10:00:00Z'), { maxDays: 365, now: new Date('2025-03-10T10:00:00Z') });
+        await appendEntry(dir, entry('2026-03-01T10:00:00Z'), { maxDays: 365, now: new Date('2026-03-01T10:00:00Z') });
+        const january = JSON.stringify([entry('2026-01-01T10:00:00Z')]);
+        await writeFile(join(dir, '2026-01.json'), january);
+
+        const manifest = await appendEntry(dir, entry('2026-05-04T10:00:00Z', 42), { maxDays: 365, now: new Date('2026-05-04T10:00:00Z') });
+
+        assert.deepStrictEqual(manifest.shards.map(s => [s.month, s.count]), [['2026-03', 1], ['2026-05', 1]]);
+        assert.deepStrictEqual((await readdir(dir)).sort(), ['2026-01.json', '2026-03.json', '2026-05.json', 'manifest.json']);
+        assert.strictEqual(await readFile(join(dir, '2026-01.json'), 'utf-8'), january);
+        assert.strictEqual((await readLastEntry(dir)).overall, 42);
+        assert.strictEqual((await readEntries(dir, { from: '2026-04-01T00:00:00Z' })).length, 1);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('appendEntry files an entry under the gym-local month', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-history-'));
+    try {
+        // Still February in New York, March in Vienna
+        const manifest = await appendEntry(dir, entry('2026-03-01T03:00:00Z'), { maxDays: 365, now: new Date('2026-03-01T03:00:00Z'), timeZone: 'America/New_York' });
+        assert.deepStrictEqual(manifest.shards.map(s => s.month), ['2026-02']);
+        assert.deepStrictEqual(shardsForRange(manifest, '2026-02-28', '2026-02-28'), manifest.shards);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('migrateLegacyHistory merges into existing shards without duplicates', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-history-'));
+    const legacyFile = join(dir, 'history.json');
+    const historyDir = join(dir, 'history');
+    try {
+        assert.strictEqual(await migrateLegacyHistory(legacyFile, historyDir), null);
+
+        await appendEntry(historyDir, entry('2026-02-10T10:00:00Z'), { maxDays: 365, now: new Date('2026-02-10T10:00:00Z') });
+        await writeFile(legacyFile, JSON.stringify([
+            entry('2026-01-20T10:00:00Z'),
+            entry('2026-02-10T10:00:00Z'),
+            entry('2026-02-11T10:00:00Z'),
+        ]));
+
+        const { migrated, manifest } = await migrateLegacyHistory(legacyFile, historyDir);
+        assert.strictEqual(migrated, 3);
+        assert.deepStrictEqual(manifest.shards.map(s => [s.month, s.count]), [['2026-01', 1], ['2026-02', 2]]);
+        assert.strictEqual(manifest.shards[1].from, '2026-02-10T10:00:00Z');
+        assert.strictEqual(manifest.shards[1].to, '2026-02-11T10:00:00Z');
+        assert.strictEqual((await readEntries(historyDir)).length, 3);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    DEFAULT_OPENING_HOURS,
+    austrianPublicHolidays,
+    easterSunday,
+    getDisplayWindow,
+    getEffectiveWindow,
+    getOpeningWindow,
+    isOpenAt,
+} from '../hours.js';
+
+test('easterSunday matches known dates', () => {
+    assert.strictEqual(easterSunday(2024), '2024-03-31');
+    assert.strictEqual(easterSunday(2025), '2025-04-20');
+    assert.strictEqual(easterSunday(2026), '2026-04-05');
+});
+
+test('austrianPublicHolidays includes the Easter-based holidays', () => {
+    const holidays = Object.fromEntries(austrianPublicHolidays(2026).map(h => [h.name, h.date]));
+    assert.strictEqual(holidays.Ostermontag, '2026-04-06');
+    assert.strictEqual(holidays['Christi Himmelfahrt'], '2026-05-14');
+    assert.strictEqual(holidays.Pfingstmontag, '2026-05-25');
+    assert.strictEqual(holidays.Fronleichnam, '2026-06-04');
+    assert.strictEqual(holidays.Nationalfeiertag, '2026-10-26');
+    // Easter and Whit Sunday are Sundays anyway
+    assert.strictEqual(holidays.Ostersonntag, undefined);
+    assert.strictEqual(holidays.Pfingstsonntag, undefined);
+});
+
+test('default schedule keeps the standard window and Christmas exceptions', () => {
+    assert.deepStrictEqual(getOpeningWindow(DEFAULT_OPENING_HOURS, '2026-05-04'), {
+        start: '09:00', end: '22:00', reason: 'Regular hours'
+    });
+    assert.strictEqual(getOpeningWindow(DEFAULT_OPENING_HOURS, '2026-12-24').end, '14:00');
+    assert.strictEqual(isOpenAt(DEFAULT_OPENING_HOURS, '2026-12-24', 13 * 60 + 59), true);
+    assert.strictEqual(isOpenAt(DEFAULT_OPENING_HOURS, '2026-12-24', 14 * 60), false);
+    assert.deepStrictEqual(getOpeningWindow(DEFAULT_OPENING_HOURS, '2026-05-25'), {
+        start: '09:00', end: '22:00', reason: 'Public holiday'
+    });
+});
+
+test('getOpeningWindow applies closures, exceptions, holidays, seasons and weekdays in order', () => {
+    const hours = {
+        weekdays: {
+            default: { start: '09:00', end: '22:00' },
+            sat: { start: '10:00', end: '21:00' },
+            sun: { start: '10:00', end: '21:00' },
+        },
+        holidays: { start: '10:00', end: '18:00' },
+        seasons: [
+            { name: 'Summer', from: '07-01', to: '08-31', weekdays: { sun: null } },
+        ],
+        dates: {
+            '2026-06-04': null,
+        },
+        closures: [{ from: '2026-08-10', to: '2026-08-16', reason: 'Maintenance' }],
+    };
+
+    assert.strictEqual(getOpeningWindow(hours, '2026-05-02').start, '10:00'); // Saturday
+    assert.strictEqual(getOpeningWindow(hours, '2026-05-25').end, '18:00'); // Whit Monday
+    assert.strictEqual(getOpeningWindow(hours, '2026-04-05').end, '21:00'); // Easter Sunday keeps the Sunday hours
+    assert.strictEqual(getOpeningWindow(hours, '2026-06-04'), null); // one-off exception wins over holiday
+    assert.strictEqual(getOpeningWindow(hours, '2026-07-05'), null); // summer Sunday
+    assert.strictEqual(getOpeningWindow(hours, '2026-07-06').start, '09:00'); // not overridden by the season
+    assert.strictEqual(getOpeningWindow(hours, '2026-08-12'), null); // closure
+});
+
+test('getDisplayWindow falls back to the widest regular span on closed days', () => {
+    const hours = {
+        weekdays: {
+            default: { start: '09:00', end: '22:00' },
+            sun: { start: '08:00', end: '20:00' },
+        },
+        closures: [{ from: '2026-08-10', to: '2026-08-16' }],
+    };
+    assert.deepStrictEqual(getDisplayWindow(hours, '2026-08-12'), { start: '08:00', end: '22:00' });
+});
+
+test('getEffectiveWindow prefers published hours over the regular schedule only', () => {
+    const published = {
+        '2026-05-04': { today: { start: '10:00', end: '20:00' }, weekdays: { tue: { start: '11:00', end: '21:00' } } },
+    };
+
+    assert.strictEqual(getEffectiveWindow(DEFAULT_OPENING_HOURS, published, '2026-05-04').start, '10:00');
+    assert.strictEqual(getEffectiveWindow(DEFAULT_OPENING_HOURS, published, '2026-05-05').start, '11:00');
+    // Older than a week: back to the configured schedule
+    assert.strictEqual(getEffectiveWindow(DEFAULT_OPENING_HOURS, published, '2026-05-19').start, '09:00');
+
+    // Published weekly hours don't override configured exceptions
+    const december = { '2026-12-20': { weekdays: { thu: { start: '09:00', end: '22:00' } } } };
+    assert.strictEqual(getEffectiveWindow(DEFAULT_OPENING_HOURS, december, '2026-12-24').end, '14:00');
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    INTERVAL_TYPES,
+    closeOpenInterval,
+    closedMarkersToIntervals,
+    closedSince,
+    emptyIntervals,
+    failedRunsToIntervals,
+    getOpenInterval,
+    intervalsInRange,
+    mergeIntervals,
+    openInterval,
+} from '../intervals.js';
+
+const reading = (timestamp, lead = 40, boulder = 50) => ({ timestamp, lead, boulder, overall: 45, sectors: { open: 29, total: 31, list: null } });
+const marker = timestamp => ({ timestamp, lead: 0, boulder: 0, overall: 0, sectors: { open: 0, total: 0, list: null } });
+
+test('openInterval keeps one ongoing interval and ends it on a change of type', () => {
+    const log = emptyIntervals();
+    assert.strictEqual(openInterval(log, INTERVAL_TYPES.MISSING, '2026-05-04T10:00:00Z', 'HTTP 403'), true);
+    assert.strictEqual(openInterval(log, INTERVAL_TYPES.MISSING, '2026-05-04T10:05:00Z'), false);
+    assert.strictEqual(openInterval(log, INTERVAL_TYPES.CLOSED, '2026-05-04T21:30:00Z'), true);
+
+    assert.deepStrictEqual(log.intervals, [
+        { type: 'missing', from: '2026-05-04T10:00:00Z', to: '2026-05-04T21:30:00Z', reason: 'HTTP 403' },
+        { type: 'closed', from: '2026-05-04T21:30:00Z', to: null, reason: null },
+    ]);
+    assert.strictEqual(getOpenInterval(log).type, 'closed');
+
+    assert.strictEqual(closeOpenInterval(log, '2026-05-05T07:05:00Z'), true);
+    assert.strictEqual(closeOpenInterval(log, '2026-05-05T07:10:00Z'), false);
+    assert.strictEqual(getOpenInterval(log), null);
+});
+
+test('closedSince reports an ongoing closure, not the last reading before it', () => {
+    const log = emptyIntervals();
+    const closedStatus = { lastRun: '2026-05-04T21:30:00Z', success: true, closed: true, message: 'Gym closed (closure recorded)' };
+    assert.strictEqual(closedSince(log, { lastRun: '2026-05-04T20:00:00Z', success: true, data: {} }), null);
+
+    openInterval(log, INTERVAL_TYPES.CLOSED, '2026-05-04T21:30:00Z');
+    assert.strictEqual(closedSince(log), '2026-05-04T21:30:00Z');
+    // Without the interval log the status still tells
+    assert.strictEqual(closedSince(emptyIntervals(), closedStatus), '2026-05-04T21:30:00Z');
+
+    // A failed run ends the closure
+    openInterval(log, INTERVAL_TYPES.MISSING, '2026-05-05T07:00:00Z', 'HTTP 403');
+    assert.strictEqual(closedSince(log), null);
+    closeOpenInterval(log, '2026-05-05T07:05:00Z');
+    assert.strictEqual(closedSince(log), null);
+});
+
+test('intervalsInRange includes ongoing intervals', () => {
+    const log = emptyIntervals();
+    openInterval(log, INTERVAL_TYPES.CLOSED, '2026-05-03T21:30:00Z');
+    closeOpenInterval(log, '2026-05-04T07:05:00Z');
+    openInterval(log, INTERVAL_TYPES.MISSING, '2026-05-04T12:00:00Z');
+
+    assert.strictEqual(intervalsInRange(log, '2026-05-04T08:00:00Z', '2026-05-04T20:00:00Z').length, 1);
+    assert.strictEqual(intervalsInRange(log, '2026-05-04T06:00:00Z', '2026-05-04T20:00:00Z').length, 2);
+});
+
+test('closedMarkersToIntervals turns runs of markers into closures until the next reading', () => {
+    const { entries, intervals } = closedMarkersToIntervals([
+        reading('2026-05-04T19:00:00Z'),
+        marker('2026-05-04T21:30:00Z'),
+        marker('2026-05-05T21:30:00Z'),
+        reading('2026-05-06T07:05:00Z'),
+        marker('2026-05-06T21:30:00Z'),
+    ]);
+
+    assert.deepStrictEqual(entries.map(e => e.timestamp), ['2026-05-04T19:00:00Z', '2026-05-06T07:05:00Z']);
+    assert.deepStrictEqual(intervals.map(i => [i.type, i.from, i.to]), [
+        ['closed', '2026-05-04T21:30:00Z', '2026-05-06T07:05:00Z'],
+        ['closed', '2026-05-06T21:30:00Z', null],
+    ]);
+});
+
+test('failedRunsToIntervals spans failed runs up to the next successful one', () => {
+    const intervals = failedRunsToIntervals([
+        { lastRun: '2026-05-04T10:10:00Z', success: true, message: 'Collection successful' },
+        { lastRun: '2026-05-04T10:00:00Z', success: false, message: 'Upstream scrape blocked temporarily: HTTP 403' },
+        { lastRun: '2026-05-04T10:05:00Z', success: false, message: 'Upstream scrape blocked temporarily: HTTP 429' },
+        // Non-transient failures report success but carry the error
+        { lastRun: '2026-05-04T12:00:00Z', success: true, message: 'No known selectors matched', error: 'Error: ...' },
+    ]);
+
+    assert.deepStrictEqual(intervals, [
+        { type: 'missing', from: '2026-05-04T10:00:00Z', to: '2026-05-04T10:10:00Z', reason: 'Upstream scrape blocked temporarily: HTTP 403' },
+        { type: 'missing', from: '2026-05-04T12:00:00Z', to: null, reason: 'No known selectors matched' },
+    ]);
+});
+
+test('mergeIntervals joins overlapping intervals of a type and ends stale ongoing ones', () => {
+    const merged = mergeIntervals([
+        { type: 'missing', from: '2026-05-04T12:00:00Z', to: null, reason: null },
+        { type: 'closed', from: '2026-05-04T21:30:00Z', to: null, reason: null },
+        { type: 'missing', from: '2026-05-04T10:00:00Z', to: '2026-05-04T10:10:00Z', reason: 'a' },
+        { type: 'missing', from: '2026-05-04T10:05:00Z', to: '2026-05-04T10:20:00Z', reason: 'b' },
+    ]);
+
+    assert.deepStrictEqual(merged.map(i => [i.type, i.from, i.to, i.reason]), [
+        ['missing', '2026-05-04T10:00:00Z', '2026-05-04T10:20:00Z', 'a'],
+        ['missing', '2026-05-04T12:00:00Z', '2026-05-04T21:30:00Z', null],
+        ['closed', '2026-05-04T21:30:00Z', null, null],
+    ]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveConfig } from '../config.js';
+import { readEntries } from '../history.js';
+import { migrateData } from '../migrate-data.js';
+
+const legacyEntry = timestamp => ({ timestamp, lead: 40, boulder: 50, overall: 45, openSectors: '29/31' });
+const entry = timestamp => ({ timestamp, lead: 40, boulder: 50, overall: 45, sectors: { open: 29, total: 31, list: null } });
+
+test('migrateData upgrades version 1 files and leaves current ones alone', async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'ki-schema-'));
+    const config = resolveConfig({ dataDir });
+    try {
+        await mkdir(config.historyDir);
+        // Version 1: a bare array shard and manifest/aggregates without a version
+        await writeFile(join(config.historyDir, '2026-05.json'), JSON.stringify([legacyEntry('2026-05-04T10:00:00.000Z')]));
+        await writeFile(
+            join(config.historyDir, 'manifest.json'),
+            JSON.stringify({ updatedAt: null, shards: [{ month: '2026-05', file: '2026-05.json', count: 1, from: '2026-05-04T10:00:00.000Z', to: '2026-05-04T10:00:00.000Z' }] })
+        );
+        await writeFile(config.aggregatesFile, JSON.stringify({ updatedAt: null, lastTimestamp: null, days: {}, hourly: {} }));
+        const intervals = JSON.stringify({ schemaVersion: 2, updatedAt: null, intervals: [] });
+        await writeFile(config.intervalsFile, intervals);
+
+        const results = await migrateData(config);
+
+        assert.deepStrictEqual(results.map(r => [r.kind, r.from, r.to]), [
+            ['shard', 1, 3],
+            ['manifest', 1, 2],
+            ['aggregates', 1, 3],
+            ['intervals', 2, 2],
+        ]);
+        const shard = JSON.parse(await readFile(join(config.historyDir, '2026-05.json'), 'utf-8'));
+        assert.deepStrictEqual(shard, { schemaVersion: 3, entries: [entry('2026-05-04T10:00:00.000Z')] });
+        assert.strictEqual((await readEntries(config.historyDir)).length, 1);
+        assert.strictEqual(JSON.parse(await readFile(config.aggregatesFile, 'utf-8')).schemaVersion, 3);
+        assert.strictEqual(await readFile(config.intervalsFile, 'utf-8'), intervals);
+
+        // Running it again changes nothing
+        assert.ok((await migrateData(config)).every(r => r.from === r.to));
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
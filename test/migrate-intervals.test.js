@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveConfig } from '../config.js';
+import { mergeIntoShards, readEntries, readIntervals } from '../history.js';
+import { migrateIntervals } from '../migrate-intervals.js';
+
+const reading = timestamp => ({ timestamp, lead: 40, boulder: 50, overall: 45, sectors: { open: 29, total: 31, list: null } });
+const marker = timestamp => ({ timestamp, lead: 0, boulder: 0, overall: 0, sectors: { open: 0, total: 0, list: null } });
+
+function commitAll(repo, message) {
+    execFileSync('git', ['add', '-A'], { cwd: repo });
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', 'commit', '-q', '-m', message], { cwd: repo });
+}
+
+test('migrateIntervals moves zero markers and failed runs into the interval log', async () => {
+    const repo = await mkdtemp(join(tmpdir(), 'ki-intervals-'));
+    const dataDir = join(repo, 'data');
+    const config = resolveConfig({ dataDir });
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: repo });
+        await mkdir(dataDir);
+        await mergeIntoShards(config.historyDir, [
+            reading('2026-04-30T18:00:00.000Z'),
+            marker('2026-04-30T19:30:00.000Z'),
+            reading('2026-05-04T10:10:00.000Z'),
+        ]);
+        // A month holding only a marker
+        await mergeIntoShards(config.historyDir, [marker('2026-03-15T21:30:00.000Z')]);
+
+        // Status log: two failed runs, then a successful one
+        const runs = [
+            { lastRun: '2026-05-04T10:00:00.000Z', success: false, message: 'Upstream scrape blocked temporarily: HTTP 403' },
+            { lastRun: '2026-05-04T10:05:00.000Z', success: false, message: 'Upstream scrape blocked temporarily: HTTP 403' },
+            { lastRun: '2026-05-04T10:10:00.000Z', success: true, message: 'Collection successful' },
+        ];
+        for (const status of runs) {
+            await writeFile(config.statusFile, JSON.stringify(status));
+            commitAll(repo, 'data');
+        }
+
+        const report = await migrateIntervals(config, { now: new Date('2026-05-04T12:00:00Z') });
+
+        assert.deepStrictEqual(report, { markers: 2, closures: 2, runs: 3, outages: 1, intervals: 3 });
+        assert.deepStrictEqual((await readEntries(config.historyDir)).map(e => e.timestamp), [
+            '2026-04-30T18:00:00.000Z',
+            '2026-05-04T10:10:00.000Z',
+        ]);
+        const log = await readIntervals(config.intervalsFile);
+        assert.deepStrictEqual(log.intervals.map(i => [i.type, i.from, i.to]), [
+            ['closed', '2026-03-15T21:30:00.000Z', '2026-04-30T18:00:00.000Z'],
+            ['closed', '2026-04-30T19:30:00.000Z', '2026-05-04T10:10:00.000Z'],
+            ['missing', '2026-05-04T10:00:00.000Z', '2026-05-04T10:10:00.000Z'],
+        ]);
+        assert.strictEqual(log.updatedAt, '2026-05-04T12:00:00.000Z');
+
+        // Running it again changes nothing
+        const again = await migrateIntervals(config);
+        assert.strictEqual(again.markers, 0);
+        assert.strictEqual(again.intervals, 3);
+        assert.deepStrictEqual((await readdir(config.historyDir)).sort(), ['2026-04.json', '2026-05.json', 'manifest.json']);
+    } finally {
+        await rm(repo, { recursive: true, force: true });
+    }
+});
+
+test('migrateIntervals reads only the current status outside a git repository', async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'ki-intervals-'));
+    const config = resolveConfig({ dataDir });
+    try {
+        await writeFile(config.statusFile, JSON.stringify({ lastRun: '2026-05-04T10:00:00.000Z', success: false, message: 'HTTP 403' }));
+
+        const report = await migrateIntervals(config);
+
+        assert.strictEqual(report.runs, 1);
+        assert.deepStrictEqual((await readIntervals(config.intervalsFile)).intervals, [
+            { type: 'missing', from: '2026-05-04T10:00:00.000Z', to: null, reason: 'HTTP 403' },
+        ]);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,200 @@
+/**
+ * Local stand-in for the Kletterzentrum Innsbruck website
+ * Serves the main page (with the ki_ajax nonce), the admin-ajax.php endpoint
+ * and a text mirror page, with switchable failure modes. The widget option
+ * renames what a parser profile describes, to stand in for another gym.
+ */
+
+import { createServer } from 'node:http';
+
+const VALID_NONCE = 'mock-nonce-1234';
+const EXPIRED_NONCE = 'mock-nonce-expired';
+
+// Per-route behaviour for each named mode
+const MODES = {
+    ok: { main: 'ok', ajax: 'ok', mirror: 'ok' },
+    blocked: { main: 'blocked', ajax: 'blocked', mirror: 'blocked' },
+    'rate-limited': { main: 'rate-limited', ajax: 'rate-limited', mirror: 'rate-limited' },
+    timeout: { main: 'timeout', ajax: 'timeout', mirror: 'timeout' },
+    'changed-markup': { main: 'changed-markup', ajax: 'changed-markup', mirror: 'changed-markup' },
+    'nonce-expired': { main: 'nonce-expired', ajax: 'nonce-expired', mirror: 'ok' },
+};
+
+const MAIN_PATHS = ['/', '/en/', '/de/'];
+const AJAX_PATH = '/wp-admin/admin-ajax.php';
+const MIRROR_PATH = '/mirror/en/';
+
+const KI_WIDGET = {
+    nonceVariable: 'ki_ajax',
+    ajaxAction: 'ki_get_opening_hours_desktop',
+    leadLabel: 'Seil',
+    boulderLabel: 'Boulder',
+};
+
+function mainPageHtml(nonce, widget) {
+    return `<!DOCTYPE html>
+<html lang="de">
+<head><title>Kletterzentrum Innsbruck</title></head>
+<body>
+  <div id="ki-opening-hours"></div>
+  <script>var ${widget.nonceVariable} = {"ajax_url":"/wp-admin/admin-ajax.php","nonce":"${nonce}"};</script>
+</body>
+</html>`;
+}
+
+function occupancyHtml({ lead, boulder, openSectors }, openingHours, widget) {
+    return `<div class="opening-hours">${openingHours}</div>
+<div class="utilization">
+  <div class="bar-container">
+    <div class="bar" data-percentage="${lead}"></div>
+    <span class="label">${widget.leadLabel}</span>
+  </div>
+  <div class="bar-container">
+    <div class="bar" data-percentage="${boulder}"></div>
+    <span class="label">${widget.boulderLabel}</span>
+  </div>
+  <div class="sectors">${openSectors}</div>
+</div>`;
+}
+
+function mirrorText({ lead, boulder, openSectors }) {
+    return `Title: Kletterzentrum Innsbruck
+
+Markdown Content:
+Utilization ${Math.round((lead + boulder) / 2)}%
+
+Open sectors [${openSectors}](http://www.kletterzentrum-innsbruck.at/en/)
+`;
+}
+
+const DEFAULT_OPENING_HOURS = '<div class="today">Heute: 09:00 - 22:00 Uhr</div>';
+
+const CHANGED_MARKUP = '<div class="occupancy-widget"><meter value="0.4"></meter></div>';
+
+/**
+ * Starts the mock server on a random local port
+ * @param {Object} [options]
+ * @param {string|Object} [options.mode='ok'] - Mode name or per-route behaviour
+ * @param {Object} [options.occupancy] - Values served by the healthy routes
+ * @param {string} [options.openingHours] - Opening hours markup in the AJAX response
+ * @param {Object} [options.widget] - Overrides of the nonce variable, AJAX
+ *   action and bar labels (see KI_WIDGET)
+ * @returns {Promise<Object>} Server handle with url, mirrorUrl, requests, setMode and close
+ */
+export async function startMockKiServer({
+    mode = 'ok',
+    occupancy = {},
+    openingHours = DEFAULT_OPENING_HOURS,
+    widget: widgetOverrides = {},
+} = {}) {
+    const widget = { ...KI_WIDGET, ...widgetOverrides };
+    let routes = resolveMode(mode);
+    let hoursHtml = openingHours;
+    const values = { lead: 45, boulder: 62, openSectors: '29/31', ...occupancy };
+    const requests = [];
+
+    const server = createServer(async (req, res) => {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const body = req.method === 'POST' ? await readBody(req) : '';
+        const route = routeFor(path);
+        requests.push({ method: req.method, path, route, body });
+
+        if (!route) {
+            return send(res, 404, 'Not found');
+        }
+
+        const behaviour = routes[route];
+        if (behaviour === 'timeout') {
+            return; // Never answer; the client has to abort
+        }
+        if (behaviour === 'blocked') {
+            return send(res, 403, '<html><body>403 Forbidden</body></html>');
+        }
+        if (behaviour === 'rate-limited') {
+            res.setHeader('Retry-After', '60');
+            return send(res, 429, 'Too Many Requests');
+        }
+
+        if (route === 'main') {
+            if (behaviour === 'changed-markup') {
+                return send(res, 200, `<html><body>${CHANGED_MARKUP}</body></html>`);
+            }
+            const nonce = behaviour === 'nonce-expired' ? EXPIRED_NONCE : VALID_NONCE;
+            return send(res, 200, mainPageHtml(nonce, widget));
+        }
+
+        if (route === 'ajax') {
+            const params = new URLSearchParams(body);
+            if (params.get('action') !== widget.ajaxAction) {
+                return send(res, 400, '0');
+            }
+            if (params.get('nonce') !== VALID_NONCE) {
+                // WordPress answers a failed check_ajax_referer with 403 and "-1"
+                return send(res, 403, '-1');
+            }
+            if (behaviour === 'changed-markup') {
+                return send(res, 200, CHANGED_MARKUP);
+            }
+            return send(res, 200, occupancyHtml(values, hoursHtml, widget));
+        }
+
+        if (behaviour === 'changed-markup') {
+            return send(res, 200, 'Title: Kletterzentrum Innsbruck\n\nWelcome!', 'text/plain');
+        }
+        return send(res, 200, mirrorText(values), 'text/plain');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        mirrorUrl: `${url}${MIRROR_PATH}`,
+        requests,
+        setMode(next) {
+            routes = resolveMode(next);
+        },
+        setOccupancy(next) {
+            Object.assign(values, next);
+        },
+        setOpeningHours(next = DEFAULT_OPENING_HOURS) {
+            hoursHtml = next;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+function resolveMode(mode) {
+    if (typeof mode === 'object') {
+        return { ...MODES.ok, ...mode };
+    }
+    if (!MODES[mode]) {
+        throw new Error(`Unknown mock mode: ${mode}`);
+    }
+    return MODES[mode];
+}
+
+function routeFor(path) {
+    if (MAIN_PATHS.includes(path)) return 'main';
+    if (path === AJAX_PATH) return 'ajax';
+    if (path === MIRROR_PATH) return 'mirror';
+    return null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => (data += chunk));
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, contentType = 'text/html; charset=UTF-8') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
@@ -0,0 +1,49 @@
+/**
+ * Local stand-in for an HTTP proxy
+ * Tunnels CONNECT requests to their target and records each tunnel, so
+ * tests can check which requests went through the proxy and from which
+ * local address.
+ */
+
+import { createServer } from 'node:http';
+import { connect } from 'node:net';
+
+export async function startMockProxy() {
+    const tunnels = [];
+    const sockets = new Set();
+
+    const server = createServer((req, res) => {
+        // Plain forwarding isn't supported; clients must tunnel
+        res.writeHead(405);
+        res.end();
+    });
+
+    server.on('connect', (req, clientSocket, head) => {
+        const [host, port] = req.url.split(':');
+        tunnels.push({ target: req.url, from: clientSocket.remoteAddress });
+        const upstream = connect(Number(port), host, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+        for (const socket of [clientSocket, upstream]) {
+            sockets.add(socket);
+            socket.on('close', () => sockets.delete(socket));
+        }
+        upstream.on('error', () => clientSocket.destroy());
+        clientSocket.on('error', () => upstream.destroy());
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        tunnels,
+        close() {
+            for (const socket of sockets) socket.destroy();
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
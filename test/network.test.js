@@ -0,0 +1,87 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { resolveConfig } from '../config.js';
+import { createNetwork, resolveLocalAddress } from '../network.js';
+import { scrapeOccupancy } from '../scraper.js';
+import { startMockKiServer } from './mock-ki-server.js';
+import { startMockProxy } from './mock-proxy.js';
+
+let server;
+// The mirror runs on its own server so its tunnels can be told apart
+let mirror;
+let proxy;
+
+before(async () => {
+    server = await startMockKiServer();
+    mirror = await startMockKiServer();
+    proxy = await startMockProxy();
+});
+
+after(async () => {
+    await proxy.close();
+    await mirror.close();
+    await server.close();
+});
+
+beforeEach(() => {
+    server.setMode('ok');
+    proxy.tunnels.length = 0;
+});
+
+function config(values = {}) {
+    return resolveConfig({
+        baseUrl: server.url,
+        mirrorUrl: mirror.mirrorUrl,
+        requestTimeoutMs: 500,
+        retryDelayMs: 0,
+        // Empty strings keep the proxy variables of the machine out of it
+        httpProxy: '',
+        httpsProxy: '',
+        ...values
+    });
+}
+
+const hostOf = url => new URL(url).host;
+const tunnelTargets = () => [...new Set(proxy.tunnels.map(tunnel => tunnel.target))];
+
+test('resolveLocalAddress takes an IP or the address of an interface', () => {
+    const interfaces = {
+        eth1: [
+            { address: 'fe80::1', family: 'IPv6', internal: false },
+            { address: '192.0.2.10', family: 'IPv4', internal: false }
+        ],
+        wg0: [{ address: '2001:db8::2', family: 'IPv6', internal: false }]
+    };
+    assert.strictEqual(resolveLocalAddress('198.51.100.7', interfaces), '198.51.100.7');
+    assert.strictEqual(resolveLocalAddress('eth1', interfaces), '192.0.2.10');
+    assert.strictEqual(resolveLocalAddress('wg0', interfaces), '2001:db8::2');
+    assert.throws(() => resolveLocalAddress('eth9', interfaces), /No address for network interface "eth9"/);
+});
+
+test('createNetwork rejects a CA bundle it cannot read', async () => {
+    await assert.rejects(createNetwork(config({ caFile: '/nonexistent/ca.pem' })), /Cannot read CA bundle \/nonexistent\/ca.pem/);
+});
+
+test('the scraper tunnels every request through the configured proxy', async () => {
+    server.setMode('nonce-expired');
+    const data = await scrapeOccupancy({ config: config({ scrapeAttempts: 1, httpProxy: proxy.url, localAddress: '127.0.0.1' }) });
+
+    assert.strictEqual(data.source, 'mirror');
+    assert.deepStrictEqual(tunnelTargets(), [hostOf(server.url), hostOf(mirror.url)]);
+    assert.ok(proxy.tunnels.every(tunnel => tunnel.from === '127.0.0.1'));
+});
+
+test('noProxy and per-source settings pick the route of each request', async () => {
+    server.setMode('nonce-expired');
+    const scrape = values => scrapeOccupancy({ config: config({ scrapeAttempts: 1, ...values }) });
+
+    await scrape({ httpProxy: proxy.url, noProxy: '127.0.0.1' });
+    assert.deepStrictEqual(tunnelTargets(), []);
+
+    await scrape({ httpProxy: proxy.url, sourceProxies: { mirror: 'direct' } });
+    assert.deepStrictEqual(tunnelTargets(), [hostOf(server.url)]);
+
+    proxy.tunnels.length = 0;
+    await scrape({ sourceProxies: { mirror: proxy.url } });
+    assert.deepStrictEqual(tunnelTargets(), [hostOf(mirror.url)]);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SOURCES, getEntrySource, isClosedMarker, isLowFidelity } from '../provenance.js';
+
+test('getEntrySource prefers the recorded source', () => {
+    const entry = { timestamp: '2026-05-04T10:00:00Z', lead: 50, boulder: 50, overall: 50, sectors: null, source: 'ajax' };
+    assert.strictEqual(getEntrySource(entry), SOURCES.AJAX);
+    assert.strictEqual(isLowFidelity(entry), false);
+});
+
+test('legacy entries are classified by shape', () => {
+    const closed = { timestamp: '2026-05-04T21:30:00Z', lead: 0, boulder: 0, overall: 0, sectors: { open: 0, total: 0, list: null } };
+    const mirror = { timestamp: '2026-05-04T10:00:00Z', lead: 54, boulder: 54, overall: 54, sectors: null };
+    const split = { timestamp: '2026-05-04T10:00:00Z', lead: 45, boulder: 62, overall: 54, sectors: { open: 29, total: 31, list: null } };
+
+    assert.strictEqual(getEntrySource(closed), SOURCES.CLOSED);
+    assert.strictEqual(isClosedMarker(closed), true);
+    assert.strictEqual(getEntrySource(mirror), SOURCES.MIRROR);
+    assert.strictEqual(getEntrySource(split), null);
+    assert.strictEqual(isLowFidelity(split), false);
+});
+
+test('mirror, closed, manual and imported entries are low fidelity', () => {
+    for (const source of [SOURCES.MIRROR, SOURCES.CLOSED, SOURCES.MANUAL, SOURCES.IMPORTED]) {
+        assert.strictEqual(isLowFidelity({ source }), true, source);
+    }
+    assert.strictEqual(isLowFidelity({ source: SOURCES.MAIN_PAGE }), false);
+    assert.strictEqual(isLowFidelity({ source: 'custom-adapter' }), false);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveConfig } from '../config.js';
+import { readEntries } from '../history.js';
+import { formatRecoveryReport, recoverHistory, salvageEntries } from '../recover.js';
+
+const entry = (timestamp, overall = 10) => ({ timestamp, lead: overall, boulder: overall, overall, sectors: { open: 29, total: 31, list: null } });
+
+test('salvageEntries keeps complete objects from a truncated file', () => {
+    const text = JSON.stringify([entry('2026-05-04T10:00:00.000Z'), { note: 'a } in a string {' }, entry('2026-05-04T10:05:00.000Z')], null, 2);
+    const truncated = text.slice(0, text.lastIndexOf('"overall"'));
+
+    const { entries, dropped } = salvageEntries(truncated);
+    assert.deepStrictEqual(entries, [entry('2026-05-04T10:00:00.000Z')]);
+    assert.deepStrictEqual(dropped.map(d => d.reason), ['not an entry', 'truncated']);
+});
+
+test('salvageEntries reads shard envelopes, intact or truncated', () => {
+    const text = JSON.stringify({ schemaVersion: 2, entries: [entry('2026-05-04T10:00:00.000Z'), entry('2026-05-04T10:05:00.000Z')] }, null, 2);
+    assert.strictEqual(salvageEntries(text).entries.length, 2);
+
+    const { entries } = salvageEntries(text.slice(0, text.lastIndexOf('"overall"')));
+    assert.deepStrictEqual(entries, [entry('2026-05-04T10:00:00.000Z')]);
+});
+
+test('salvageEntries upgrades entries salvaged from older files', () => {
+    const legacy = ({ sectors, ...rest }) => ({ ...rest, openSectors: `${sectors.open}/${sectors.total}` });
+    const text = JSON.stringify([legacy(entry('2026-05-04T10:00:00.000Z')), legacy(entry('2026-05-04T10:05:00.000Z'))]);
+    assert.deepStrictEqual(salvageEntries(text.slice(0, -30)).entries, [entry('2026-05-04T10:00:00.000Z')]);
+});
+
+test('salvageEntries skips objects broken in the middle', () => {
+    const text = '[{"timestamp":"2026-05-04T10:00:00.000Z","lead":1},{"timestamp":"2026-05-04T10:05:00.000Z","lead":},{"timestamp":"2026-05-04T10:10:00.000Z"}]';
+    const { entries, dropped } = salvageEntries(text);
+    assert.deepStrictEqual(entries.map(e => e.timestamp), ['2026-05-04T10:00:00.000Z', '2026-05-04T10:10:00.000Z']);
+    assert.deepStrictEqual(dropped, [{ at: 'byte 51', reason: 'invalid JSON' }]);
+});
+
+test('recoverHistory merges damaged shards and corrupt backups without duplicates', async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'ki-recover-'));
+    const config = resolveConfig({ dataDir });
+    const historyDir = join(dataDir, 'history');
+    try {
+        await mkdir(historyDir);
+        await writeFile(join(historyDir, '2026-04.json'), JSON.stringify([entry('2026-04-10T10:00:00.000Z')]));
+        const may = JSON.stringify([entry('2026-05-04T10:00:00.000Z'), entry('2026-05-04T10:05:00.000Z')]);
+        await writeFile(join(historyDir, '2026-05.json'), may.slice(0, -20));
+        // Backup left behind by the old single-file collector
+        await writeFile(join(dataDir, 'history.json.corrupt.1767225600000'), JSON.stringify([
+            entry('2026-04-10T10:00:00.000Z'),
+            entry('2026-05-04T10:05:00.000Z', 42),
+        ]).slice(0, -1));
+
+        const report = await recoverHistory(config);
+
+        // One entry salvaged from the damaged shard, one from the backup
+        assert.strictEqual(report.recovered, 2);
+        assert.strictEqual(report.total, 3);
+        assert.deepStrictEqual(report.manifest.shards.map(s => [s.month, s.count]), [['2026-04', 1], ['2026-05', 2]]);
+        assert.strictEqual((await readEntries(historyDir)).at(-1).overall, 42);
+        assert.ok((await readdir(historyDir)).some(name => name.startsWith('2026-05.json.corrupt.')));
+        assert.ok(JSON.parse(await readFile(join(dataDir, 'aggregates.json'), 'utf-8')).days['2026-05-04']);
+        assert.match(formatRecoveryReport(report), /Recovered 2 new entries/);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { appendRun, emptyRunLog, summarizeRuns } from '../runs.js';
+
+const run = (startedAt, outcome, attempts = []) => ({ startedAt, durationMs: 100, outcome, errorCategory: null, message: null, attempts });
+const attempt = (source, ok, httpStatuses = [200]) => ({ source, round: 1, ok, latencyMs: 50, httpStatuses, ...(ok ? {} : { error: `HTTP ${httpStatuses.at(-1)}` }) });
+
+test('appendRun keeps runs within the retention window', () => {
+    const log = emptyRunLog();
+    appendRun(log, run('2026-05-01T10:00:00.000Z', 'success'), 3);
+    appendRun(log, run('2026-05-03T10:00:00.000Z', 'success'), 3);
+    appendRun(log, run('2026-05-04T10:00:00.000Z', 'success'), 3);
+
+    assert.deepStrictEqual(log.runs.map(r => r.startedAt), ['2026-05-03T10:00:00.000Z', '2026-05-04T10:00:00.000Z']);
+});
+
+test('appendRun counts the retention window in gym-local days', () => {
+    const log = emptyRunLog();
+    // 2026-05-01 in New York, already 2026-05-02 in Vienna
+    appendRun(log, run('2026-05-02T03:00:00.000Z', 'success'), 3, 'America/New_York');
+    appendRun(log, run('2026-05-04T10:00:00.000Z', 'success'), 3, 'America/New_York');
+
+    assert.deepStrictEqual(log.runs.map(r => r.startedAt), ['2026-05-04T10:00:00.000Z']);
+});
+
+test('summarizeRuns reports rates per day and source, the failure streak and outages', () => {
+    const log = emptyRunLog();
+    log.runs = [
+        run('2026-05-03T10:00:00.000Z', 'success', [attempt('ajax', true)]),
+        run('2026-05-03T20:00:00.000Z', 'closed'),
+        run('2026-05-04T10:00:00.000Z', 'success', [attempt('main-page', false, [403]), attempt('ajax', true)]),
+        run('2026-05-04T10:05:00.000Z', 'failed', [attempt('main-page', false, [403, 403]), attempt('mirror', false, [403])]),
+        // Closed runs don't end a streak
+        run('2026-05-04T10:07:00.000Z', 'closed'),
+        run('2026-05-04T10:10:00.000Z', 'failed', [attempt('main-page', false, [429])]),
+    ];
+    const intervals = {
+        intervals: [
+            { type: 'missing', from: '2026-05-01T08:00:00.000Z', to: '2026-05-01T09:00:00.000Z', reason: 'HTTP 403' },
+            { type: 'closed', from: '2026-05-03T20:00:00.000Z', to: '2026-05-04T07:00:00.000Z', reason: null },
+            { type: 'missing', from: '2026-05-04T10:05:00.000Z', to: null, reason: 'HTTP 403' },
+        ],
+    };
+
+    const health = summarizeRuns(log, intervals, new Date('2026-05-04T12:05:00Z'));
+
+    assert.strictEqual(health.runs, 6);
+    assert.strictEqual(health.successRate, 0.5);
+    assert.deepStrictEqual(health.days['2026-05-03'], { runs: 2, successes: 1, failures: 0, closed: 1, skipped: 0, successRate: 1 });
+    assert.deepStrictEqual(health.days['2026-05-04'], { runs: 4, successes: 1, failures: 2, closed: 1, skipped: 0, successRate: 0.333 });
+    assert.deepStrictEqual(health.sources['main-page'], { attempts: 3, successes: 0, lastHttpStatus: 429, lastError: 'HTTP 429', successRate: 0 });
+    assert.strictEqual(health.sources.ajax.successRate, 1);
+    assert.deepStrictEqual(health.streak, { failures: 2, since: '2026-05-04T10:05:00.000Z' });
+    assert.strictEqual(health.currentOutage.from, '2026-05-04T10:05:00.000Z');
+    assert.deepStrictEqual(health.longestOutage, { ...intervals.intervals[2], durationMs: 2 * 60 * 60 * 1000 });
+});
+
+test('summarizeRuns groups days in the gym timezone', () => {
+    const log = emptyRunLog();
+    log.runs = [run('2026-05-04T02:00:00.000Z', 'success', [attempt('ajax', true)])];
+
+    const health = summarizeRuns(log, { intervals: [] }, new Date('2026-05-04T03:00:00Z'), 'America/New_York');
+    assert.deepStrictEqual(Object.keys(health.days), ['2026-05-03']);
+});
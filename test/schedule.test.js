@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildAggregates } from '../aggregates.js';
+import { expectedChangeRate, isPollDue, planPollInterval, recentChangeRate } from '../schedule.js';
+
+const MINUTE = 60 * 1000;
+const limits = { minIntervalMs: 5 * MINUTE, maxIntervalMs: 20 * MINUTE };
+// Monday 2026-05-04 closes at 22:00 in Vienna
+const closesAt = new Date('2026-05-04T20:00:00Z');
+
+const entry = (timestamp, value) => ({ timestamp, lead: value, boulder: value, overall: value, sectors: { open: 29, total: 31, list: null } });
+
+// Readings from the Monday before: flat late morning, rising towards the evening
+const aggregates = buildAggregates([
+    entry('2026-04-27T08:00:00.000Z', 20), // 10:00 Vienna
+    entry('2026-04-27T09:00:00.000Z', 21),
+    entry('2026-04-27T14:00:00.000Z', 40), // 16:00 Vienna
+    entry('2026-04-27T15:00:00.000Z', 60),
+    // Ends the 17:00 reading (see aggregates.js)
+    entry('2026-04-27T16:00:00.000Z', 60)
+]);
+
+test('recentChangeRate measures the change over the last hour', () => {
+    const entries = [
+        entry('2026-05-04T08:00:00.000Z', 50), // outside the hour
+        entry('2026-05-04T09:00:00.000Z', 20),
+        entry('2026-05-04T09:15:00.000Z', 25),
+        entry('2026-05-04T09:30:00.000Z', 20)
+    ];
+    assert.strictEqual(recentChangeRate(entries, new Date('2026-05-04T09:30:00Z')), 20);
+    assert.strictEqual(recentChangeRate(entries.slice(0, 2), new Date('2026-05-04T09:30:00Z')), null);
+});
+
+test('expectedChangeRate compares this hour with the next on the same weekday', () => {
+    assert.strictEqual(expectedChangeRate(aggregates, new Date('2026-05-04T14:30:00Z')), 20);
+    assert.strictEqual(expectedChangeRate(aggregates, new Date('2026-05-05T14:30:00Z')), null);
+    assert.strictEqual(expectedChangeRate(null, new Date('2026-05-04T14:30:00Z')), null);
+});
+
+test('expectedChangeRate reads the aggregates in the gym timezone', () => {
+    const newYork = buildAggregates([
+        entry('2026-04-27T14:00:00.000Z', 40), // 10:00 in New York
+        entry('2026-04-27T15:00:00.000Z', 60),
+        entry('2026-04-27T16:00:00.000Z', 60)
+    ], 'America/New_York');
+    const now = new Date('2026-05-04T14:30:00Z');
+
+    assert.strictEqual(expectedChangeRate(newYork, now, 'America/New_York'), 20);
+    // 16:30 in Vienna has no statistics
+    assert.strictEqual(expectedChangeRate(newYork, now), null);
+});
+
+test('polls at the minimum while occupancy usually rises towards the evening', () => {
+    const now = new Date('2026-05-04T14:30:00Z');
+    const entries = [entry('2026-05-04T14:00:00.000Z', 40), entry('2026-05-04T14:20:00.000Z', 40)];
+    const { intervalMs } = planPollInterval({ entries, aggregates, closesAt, now, ...limits });
+    assert.strictEqual(intervalMs, 5 * MINUTE);
+});
+
+test('polls at the minimum while occupancy changes fast', () => {
+    const now = new Date('2026-05-04T09:30:00Z');
+    const entries = [entry('2026-05-04T09:00:00.000Z', 20), entry('2026-05-04T09:30:00.000Z', 35)];
+    const { intervalMs } = planPollInterval({ entries, aggregates, closesAt, now, ...limits });
+    assert.strictEqual(intervalMs, 5 * MINUTE);
+});
+
+test('polls rarely during a flat morning', () => {
+    const now = new Date('2026-05-04T08:30:00Z');
+    const entries = [entry('2026-05-04T08:00:00.000Z', 20), entry('2026-05-04T08:25:00.000Z', 20)];
+    const { intervalMs, reason } = planPollInterval({ entries, aggregates, closesAt, now, ...limits });
+    assert.strictEqual(intervalMs, 19 * MINUTE);
+    assert.strictEqual(reason, 'recent change 0 pts/h, usual change 1 pts/h');
+});
+
+test('polls at the maximum in the last hour before closing', () => {
+    const now = new Date('2026-05-04T19:15:00Z');
+    const entries = [entry('2026-05-04T19:00:00.000Z', 60), entry('2026-05-04T19:10:00.000Z', 40)];
+    assert.deepStrictEqual(planPollInterval({ entries, aggregates, closesAt, now, ...limits }), {
+        intervalMs: 20 * MINUTE,
+        reason: 'closing soon'
+    });
+});
+
+test('the next poll lands no later than closing', () => {
+    const now = new Date('2026-05-04T19:50:00Z');
+    const entries = [entry('2026-05-04T19:40:00.000Z', 40), entry('2026-05-04T19:50:00.000Z', 40)];
+    assert.deepStrictEqual(planPollInterval({ entries, aggregates, closesAt, now, ...limits }), {
+        intervalMs: 10 * MINUTE,
+        reason: 'closing soon'
+    });
+
+    // Never below the minimum, even if that lands after closing
+    const late = planPollInterval({ entries, aggregates, closesAt, now: new Date('2026-05-04T19:57:00Z'), ...limits });
+    assert.strictEqual(late.intervalMs, 5 * MINUTE);
+});
+
+test('polls at the minimum without anything to go on, never below 5 minutes', () => {
+    const now = new Date('2026-05-04T08:30:00Z');
+    const plan = planPollInterval({ entries: [], aggregates: null, closesAt, now, minIntervalMs: MINUTE, maxIntervalMs: 2 * MINUTE });
+    assert.deepStrictEqual(plan, { intervalMs: 5 * MINUTE, reason: 'no recent readings' });
+});
+
+test('isPollDue honours the planned poll time with a minute of tolerance', () => {
+    const status = { nextPollAt: '2026-05-04T10:10:00.000Z' };
+    assert.strictEqual(isPollDue(status, new Date('2026-05-04T10:05:00Z')), false);
+    assert.strictEqual(isPollDue(status, new Date('2026-05-04T10:09:30Z')), true);
+    assert.strictEqual(isPollDue({ success: false }, new Date('2026-05-04T10:05:00Z')), true);
+    assert.strictEqual(isPollDue(null, new Date('2026-05-04T10:05:00Z')), true);
+});
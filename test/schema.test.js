@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SCHEMA_VERSIONS, getSchemaVersion, shardEnvelope, upgrade, upgradeEntry } from '../schema.js';
+
+const legacyEntry = { timestamp: '2026-05-04T10:00:00.000Z', lead: 40, boulder: 50, overall: 45, openSectors: '29/31', source: 'ajax' };
+const entry = { timestamp: '2026-05-04T10:00:00.000Z', lead: 40, boulder: 50, overall: 45, sectors: { open: 29, total: 31, list: null }, source: 'ajax' };
+
+test('getSchemaVersion treats files without a version as version 1', () => {
+    assert.strictEqual(getSchemaVersion([legacyEntry]), 1);
+    assert.strictEqual(getSchemaVersion({ shards: [] }), 1);
+    assert.strictEqual(getSchemaVersion(shardEnvelope([entry])), SCHEMA_VERSIONS.shard);
+});
+
+test('upgrade brings version 1 files to the current schema', () => {
+    assert.deepStrictEqual(upgrade('shard', [legacyEntry]), { schemaVersion: 3, entries: [entry] });
+    assert.deepStrictEqual(upgrade('manifest', { updatedAt: null, shards: [] }), { schemaVersion: 2, updatedAt: null, shards: [] });
+    assert.deepStrictEqual(upgrade('intervals', { updatedAt: null, intervals: [] }), { schemaVersion: 2, updatedAt: null, intervals: [] });
+
+    // Current files come back as they are
+    const current = shardEnvelope([entry]);
+    assert.strictEqual(upgrade('shard', current), current);
+});
+
+test('shard version 3 structures the open sectors string', () => {
+    const unknown = { ...legacyEntry, openSectors: null };
+    const { entries } = upgrade('shard', { schemaVersion: 2, entries: [legacyEntry, unknown] });
+    assert.deepStrictEqual(entries, [entry, { ...entry, sectors: null }]);
+    // Keys stay in place
+    assert.deepStrictEqual(Object.keys(entries[0]), ['timestamp', 'lead', 'boulder', 'overall', 'sectors', 'source']);
+
+    assert.deepStrictEqual(upgradeEntry(legacyEntry), entry);
+    assert.strictEqual(upgradeEntry(entry), entry);
+});
+
+test('aggregates version 3 weighs sample counts as 5-minute polls', () => {
+    const lead = { count: 2, sum: 100, avg: 50, histogram: { 40: 1, 60: 1 }, p50: 40, p90: 60 };
+    const upgraded = upgrade('aggregates', {
+        schemaVersion: 2,
+        updatedAt: null,
+        lastTimestamp: '2026-05-04T16:05:00Z',
+        days: { '2026-05-04': { peaks: { lead: { value: 60, at: '2026-05-04T16:05:00Z' }, boulder: null }, open: { samples: 2, lead: { count: 2, sum: 100, avg: 50 } } } },
+        hourly: { 1: { 18: { lead, estimated: { lead } } } },
+    });
+
+    const weighed = { minutes: 10, sum: 500, avg: 50, histogram: { 40: 5, 60: 5 }, p50: 40, p90: 60 };
+    assert.strictEqual(upgraded.schemaVersion, 3);
+    assert.strictEqual(upgraded.pending, null);
+    assert.deepStrictEqual(upgraded.days['2026-05-04'], {
+        peaks: { lead: { value: 60, at: '2026-05-04T16:05:00Z' }, boulder: null },
+        open: { samples: 2, lead: { minutes: 10, sum: 500, avg: 50 } },
+    });
+    assert.deepStrictEqual(upgraded.hourly[1][18], { lead: weighed, estimated: { lead: weighed } });
+});
+
+test('upgrade rejects unknown kinds and files newer than this code', () => {
+    assert.throws(() => upgrade('status', {}), /Unknown data kind/);
+    assert.throws(() => upgrade('shard', { schemaVersion: 99, entries: [] }), /newer than supported/);
+});
@@ -1,6 +1,20 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { parseMirrorOccupancy, parseOccupancyData } from '../scraper.js';
+import { readFileSync } from 'node:fs';
+import * as cheerio from 'cheerio';
+import {
+    getSources,
+    parseMirrorOccupancy,
+    parseOccupancyData,
+    parseOpeningHours,
+    parseSectors,
+    rankSources,
+    recordSourceResult,
+    registerSource,
+    resolveParserProfile,
+    scrapeOccupancy,
+    unregisterSource,
+} from '../scraper.js';
 
 test('parseOccupancyData extracts correct values from standard layout', () => {
     const html = `
@@ -15,13 +29,13 @@ test('parseOccupancyData extracts correct values from standard layout', () => {
     Some text 25/30 capacity
   `;
 
-    // Note: openSectors regex looks for "29/31", matches "25/30"
     const result = parseOccupancyData(html);
 
     assert.strictEqual(result.lead, 45);
     assert.strictEqual(result.boulder, 30);
     assert.strictEqual(result.overall, 38); // Math.round(37.5) = 38
-    assert.strictEqual(result.openSectors, '25/30');
+    // A fraction that isn't labelled as sectors is not taken for them
+    assert.strictEqual(result.sectors, null);
 });
 
 test('parseOccupancyData handles missing sectors', () => {
@@ -50,15 +64,198 @@ test('parseOccupancyData handles german labels', () => {
     assert.strictEqual(result.lead, 80);
 });
 
+test('parser profiles adapt the labels to another gym', () => {
+    const profile = resolveParserProfile({ profile: 'ki', leadLabels: ['vorstieg'], mirrorLabel: 'Auslastung' });
+    assert.strictEqual(profile.nonceVariable, 'ki_ajax');
+    assert.deepStrictEqual(profile.boulderLabels, ['boulder']);
+    assert.deepStrictEqual(resolveParserProfile('ki'), resolveParserProfile());
+    assert.throws(() => resolveParserProfile('tivoli'), /Unknown parser profile "tivoli"/);
+
+    const html = `
+      <div class="bar-container">
+        <div class="bar" data-percentage="35"></div>
+        <span class="label">Vorstieg</span>
+      </div>
+    `;
+    assert.strictEqual(parseOccupancyData(html, profile).lead, 35);
+    assert.strictEqual(parseOccupancyData(html).lead, null);
+    assert.strictEqual(parseMirrorOccupancy('Auslastung 42%', profile).overall, 42);
+});
+
 test('parseMirrorOccupancy extracts utilization and sectors from mirror markdown', () => {
     const markdown = `
 Utilization 37%
 Some content here.
-[25/31](http://example.com)
+Open sectors [25/31](http://example.com)
 `;
     const result = parseMirrorOccupancy(markdown);
     assert.strictEqual(result.lead, 37);
     assert.strictEqual(result.boulder, 37);
     assert.strictEqual(result.overall, 37);
-    assert.strictEqual(result.openSectors, '25/31');
+    assert.deepStrictEqual(result.sectors, { open: 25, total: 31, list: null });
+});
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8');
+
+test('parseOccupancyData reads the sector count from the sector block, not from dates', () => {
+    const result = parseOccupancyData(fixture('ajax-occupancy.html'));
+    assert.strictEqual(result.lead, 45);
+    assert.strictEqual(result.boulder, 62);
+    assert.deepStrictEqual(result.sectors, { open: 29, total: 31, list: null });
+});
+
+test('parseOccupancyData reads sector names and states when the markup lists them', () => {
+    const result = parseOccupancyData(fixture('ajax-occupancy-sector-list.html'));
+    assert.deepStrictEqual(result.sectors, {
+        open: 3,
+        total: 4,
+        list: [
+            { name: 'Höhle', open: true },
+            { name: 'Dach', open: true },
+            { name: 'Wettkampfwand', open: false },
+            { name: 'Kinderbereich', open: true }
+        ]
+    });
+});
+
+test('parseMirrorOccupancy skips dates before the sector count', () => {
+    const result = parseMirrorOccupancy(fixture('mirror.md'));
+    assert.strictEqual(result.overall, 54);
+    assert.deepStrictEqual(result.sectors, { open: 29, total: 31, list: null });
+});
+
+test('parseSectors falls back to a labelled count and rejects impossible ones', () => {
+    const sectors = html => parseSectors(cheerio.load(html));
+    assert.deepStrictEqual(sectors('<p>Heute 12/24 Routen neu</p><p>Sektoren offen: 30/31</p>'), { open: 30, total: 31, list: null });
+    assert.deepStrictEqual(sectors('<div id="sectors"><li data-name="A" data-open="false">A</li></div>'), { open: 0, total: 1, list: [{ name: 'A', open: false }] });
+    assert.strictEqual(sectors('<div class="sectors">31/29</div>'), null);
+    assert.strictEqual(sectors('<p>Stand 3/5</p>'), null);
+});
+
+test('parseMirrorOccupancy reports changed markup and impossible values by category', () => {
+    assert.throws(() => parseMirrorOccupancy('Auslastung'), { name: 'MarkupChangedError', category: 'markup-changed' });
+    assert.throws(() => parseMirrorOccupancy('Utilization 140%'), { name: 'InvalidDataError', category: 'invalid-data' });
+});
+
+test('registerSource rejects adapters without fetch/parse', () => {
+    assert.throws(() => registerSource({ id: 'broken' }), /needs an id/);
+});
+
+test('built-in sources are registered in priority order', () => {
+    const ids = rankSources(getSources()).map(s => s.id);
+    assert.deepStrictEqual(ids, ['main-page', 'ajax', 'mirror']);
+    assert.strictEqual(getSources().find(s => s.id === 'mirror').splits, false);
+});
+
+test('scrapeOccupancy notes unparseable opening hours on the attempt instead of failing', async () => {
+    registerSource({
+        id: 'hours-test',
+        priority: 0,
+        fetch: async () => 'body',
+        parse: () => ({ lead: 40, boulder: 50, overall: 45, sectors: null }),
+        parseHours: () => {
+            throw new Error('unexpected markup');
+        },
+    });
+    try {
+        const attempts = [];
+        const data = await scrapeOccupancy({ attempts });
+        assert.strictEqual(data.source, 'hours-test');
+        assert.strictEqual(data.openingHours, undefined);
+        assert.deepStrictEqual(attempts.map(a => [a.source, a.ok, a.openingHoursError]), [['hours-test', true, 'unexpected markup']]);
+    } finally {
+        unregisterSource('hours-test');
+    }
+});
+
+test('recordSourceResult tracks counts, streaks and last success', () => {
+    const health = {};
+    const now = new Date('2026-05-04T10:00:00Z');
+    recordSourceResult(health, 'main-page', new Error('HTTP 403'), now);
+    recordSourceResult(health, 'main-page', new Error('HTTP 403'), now);
+    assert.strictEqual(health['main-page'].failures, 2);
+    assert.strictEqual(health['main-page'].consecutiveFailures, 2);
+    assert.strictEqual(health['main-page'].lastError, 'HTTP 403');
+
+    recordSourceResult(health, 'main-page', null, now);
+    assert.strictEqual(health['main-page'].successes, 1);
+    assert.strictEqual(health['main-page'].consecutiveFailures, 0);
+    assert.strictEqual(health['main-page'].lastSuccess, now.toISOString());
+});
+
+test('rankSources moves repeatedly failing sources behind healthy ones', () => {
+    const sources = [
+        { id: 'a', priority: 10 },
+        { id: 'b', priority: 20 },
+    ];
+    const now = new Date('2026-05-04T10:00:00Z');
+    const recent = new Date(now - 5 * 60 * 1000).toISOString();
+    const health = {
+        a: { successes: 5, failures: 3, consecutiveFailures: 3, lastFailure: recent },
+    };
+
+    assert.deepStrictEqual(rankSources(sources, health, now).map(s => s.id), ['b', 'a']);
+
+    // After the reprobe window the declared priority wins again
+    const later = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+    assert.deepStrictEqual(rankSources(sources, health, later).map(s => s.id), ['a', 'b']);
+});
+
+test('parseOpeningHours reads today, weekday ranges and closure notices', () => {
+    const html = `
+    <div class="opening-hours">
+      <div class="today">Heute: 09:00 - 22:00 Uhr</div>
+      <ul>
+        <li>Mo - Fr 9:00 – 22:00</li>
+        <li>Sa, So 10:00 - 21:00</li>
+      </ul>
+      <p>Am 24.12. - 26.12. geschlossen</p>
+    </div>
+  `;
+    const result = parseOpeningHours(html);
+
+    assert.deepStrictEqual(result.today, { start: '09:00', end: '22:00' });
+    assert.deepStrictEqual(result.weekdays.wed, { start: '09:00', end: '22:00' });
+    assert.deepStrictEqual(result.weekdays.sun, { start: '10:00', end: '21:00' });
+    assert.deepStrictEqual(result.notices, ['Am 24.12. - 26.12. geschlossen']);
+});
+
+test('parseOpeningHours keeps the gym open for partial closure notices', () => {
+    const result = parseOpeningHours(fixture('opening-hours-partial-closure.html'));
+
+    assert.deepStrictEqual(result.today, { start: '09:00', end: '22:00' });
+    assert.strictEqual(result.weekdays.sun, undefined);
+    assert.deepStrictEqual(result.notices, [
+        'Heute Sauna geschlossen',
+        'Sektor 12 heute wegen Routenbau geschlossen',
+        'So: Boulderbereich geschlossen',
+    ]);
+});
+
+test('parseOpeningHours closes the day for a whole-gym closure', () => {
+    const result = parseOpeningHours(fixture('opening-hours-closed-today.html'));
+
+    assert.strictEqual(result.today, null);
+    assert.strictEqual(result.notices.length, 2);
+});
+
+test('parseOpeningHours reads weekdays only from day lists', () => {
+    const result = parseOpeningHours(fixture('opening-hours-notice-sentence.html'));
+
+    assert.deepStrictEqual(result.weekdays.fri, { start: '09:00', end: '22:00' });
+    // The "so" in the notice's sentence isn't Sunday
+    assert.deepStrictEqual(result.weekdays.sun, { start: '10:00', end: '21:00' });
+    assert.deepStrictEqual(result.notices, ['Wegen der Vereinsmeisterschaft ist die Halle am 31.10. so ab 18:00 Uhr geschlossen.']);
+
+    assert.deepStrictEqual(parseOpeningHours('<p>Sonntag geschlossen</p>').weekdays, { sun: null });
+    assert.deepStrictEqual(parseOpeningHours('<p>Montag bis Mittwoch: 10:00 - 20:00</p>').weekdays, {
+        mon: { start: '10:00', end: '20:00' },
+        tue: { start: '10:00', end: '20:00' },
+        wed: { start: '10:00', end: '20:00' },
+    });
+});
+
+test('parseOpeningHours detects closed today and ignores plain occupancy markup', () => {
+    assert.strictEqual(parseOpeningHours('<p>Today closed due to maintenance</p>').today, null);
+    assert.strictEqual(parseOpeningHours('<div class="bar" data-percentage="45"></div> 29/31'), null);
 });
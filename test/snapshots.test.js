@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MarkupChangedError } from '../errors.js';
+import { formatReparseReport, reparseSnapshot, reparseSnapshots, saveSnapshots, snapshotReason } from '../snapshots.js';
+
+const scraped = { attempts: [{ source: 'ajax', ok: true }] };
+const failed = { errorCategory: 'markup-changed', attempts: [{ source: 'ajax', ok: false, category: 'markup-changed' }] };
+// The main page only carries the nonce, the AJAX response the occupancy
+const mainPageUnparsed = { source: 'main-page', ok: false, category: 'markup-changed' };
+const closed = { attempts: [] };
+
+const response = (source, body, result) => ({
+    source,
+    url: `http://ki.test/${source}`,
+    method: 'GET',
+    requestHeaders: { 'User-Agent': 'test' },
+    status: 200,
+    contentType: 'text/html',
+    fetchedAt: '2026-05-04T10:00:01.000Z',
+    body,
+    result
+});
+
+// Parses "lead,boulder"; anything else is changed markup
+const sources = [{
+    id: 'ajax',
+    parse: body => {
+        const [lead, boulder] = body.split(',').map(Number);
+        if (!Number.isInteger(lead) || !Number.isInteger(boulder)) throw new MarkupChangedError('No known selectors matched');
+        return { lead, boulder };
+    }
+}];
+
+test('snapshotReason keeps parse failures and every Nth scraping run', () => {
+    assert.strictEqual(snapshotReason(failed, [], 0), 'parse-failed');
+    assert.strictEqual(snapshotReason({ errorCategory: 'blocked', attempts: [{ source: 'ajax', ok: false, category: 'blocked' }] }, [], 0), null);
+
+    // A source that stops parsing counts even when another one got the reading
+    const fellBack = { attempts: [mainPageUnparsed, { source: 'ajax', ok: false, category: 'invalid-data' }, { source: 'mirror', ok: true }] };
+    assert.strictEqual(snapshotReason(fellBack, [{ attempts: [mainPageUnparsed, { source: 'ajax', ok: true }] }], 0), 'parse-failed');
+    assert.strictEqual(snapshotReason(fellBack, [{ attempts: [mainPageUnparsed, { source: 'ajax', ok: false, category: 'invalid-data' }] }], 0), null);
+    assert.strictEqual(snapshotReason({ attempts: [mainPageUnparsed, { source: 'ajax', ok: true }] }, [scraped], 0), null);
+
+    const sampled = { ...scraped, snapshot: 'sampled' };
+    assert.strictEqual(snapshotReason(scraped, [sampled, scraped], 3), null);
+    // Closed runs don't count
+    assert.strictEqual(snapshotReason(scraped, [sampled, scraped, closed], 3), null);
+    assert.strictEqual(snapshotReason(scraped, [sampled, scraped, closed, scraped], 3), 'sampled');
+    // Without an earlier snapshot in the log, count from its start
+    assert.strictEqual(snapshotReason(scraped, [scraped, scraped], 3), 'sampled');
+    assert.strictEqual(snapshotReason(closed, [scraped, scraped], 3), null);
+});
+
+test('saveSnapshots writes one file per response and keeps the newest', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-snapshots-'));
+    try {
+        const options = { reason: 'sampled', maxFiles: 3 };
+        await saveSnapshots(dir, [response('main-page', '<html>'), response('ajax', '45,62', { ok: true, data: { lead: 45, boulder: 62 } })], { ...options, now: new Date('2026-05-04T10:00:00Z') });
+        const files = await saveSnapshots(dir, [response('ajax', '50,60')], { ...options, now: new Date('2026-05-04T10:05:00Z') });
+        await saveSnapshots(dir, [response('ajax', '55,60')], { ...options, now: new Date('2026-05-04T10:10:00Z') });
+
+        assert.deepStrictEqual(files, ['20260504T100500000Z-01-ajax.json']);
+        assert.deepStrictEqual((await readdir(dir)).sort(), [
+            '20260504T100000000Z-02-ajax.json',
+            '20260504T100500000Z-01-ajax.json',
+            '20260504T101000000Z-01-ajax.json'
+        ]);
+
+        const snapshot = JSON.parse(await readFile(join(dir, '20260504T100000000Z-02-ajax.json'), 'utf-8'));
+        assert.strictEqual(snapshot.capturedAt, '2026-05-04T10:00:00.000Z');
+        assert.strictEqual(snapshot.reason, 'sampled');
+        assert.strictEqual(snapshot.url, 'http://ki.test/ajax');
+        assert.strictEqual(snapshot.status, 200);
+        assert.deepStrictEqual(snapshot.result, { ok: true, data: { lead: 45, boulder: 62 } });
+        assert.strictEqual(snapshot.body, '45,62');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('reparseSnapshot compares the current parser with the stored result', () => {
+    const broken = { ok: false, error: 'No known selectors matched', category: 'markup-changed' };
+    const unchanged = reparseSnapshot(response('ajax', 'new markup', broken), sources);
+    assert.deepStrictEqual(unchanged, { before: broken, after: broken, changed: false });
+
+    const fixed = reparseSnapshot(response('ajax', '45,62', broken), sources);
+    assert.deepStrictEqual(fixed.after, { ok: true, data: { lead: 45, boulder: 62 } });
+    assert.strictEqual(fixed.changed, true);
+
+    // Responses nobody parsed have nothing to compare with
+    assert.strictEqual(reparseSnapshot(response('ajax', '45,62'), sources).changed, false);
+});
+
+test('reparseSnapshots reports the snapshots whose result differs', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-snapshots-'));
+    try {
+        const broken = { ok: false, error: 'No known selectors matched', category: 'markup-changed' };
+        await saveSnapshots(dir, [response('ajax', '45,62', broken), response('ajax', 'still broken', broken)], {
+            reason: 'parse-failed',
+            now: new Date('2026-05-04T10:00:00Z'),
+            maxFiles: 10
+        });
+
+        const results = await reparseSnapshots(dir, { sources });
+        assert.deepStrictEqual(results.map(r => [r.file, r.reason, r.changed]), [
+            ['20260504T100000000Z-01-ajax.json', 'parse-failed', true],
+            ['20260504T100000000Z-02-ajax.json', 'parse-failed', false]
+        ]);
+        assert.strictEqual(formatReparseReport(results), [
+            '20260504T100000000Z-01-ajax.json',
+            '  was: markup-changed: No known selectors matched',
+            '  now: lead 45%, boulder 62%',
+            '2 snapshots re-parsed, 1 with a different result'
+        ].join('\n'));
+
+        assert.deepStrictEqual(await reparseSnapshots(join(dir, 'missing')), []);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
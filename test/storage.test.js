@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { acquireLock, readJsonFile, writeJsonAtomic } from '../storage.js';
+
+async function withTempDir(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'ki-storage-'));
+    try {
+        await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('writeJsonAtomic replaces the file without leaving temp files', () => withTempDir(async dir => {
+    const file = join(dir, 'status.json');
+    await writeFile(file, '{"old":true}');
+
+    await writeJsonAtomic(file, { ok: true });
+    await writeJsonAtomic(join(dir, 'compact.json'), { a: [1, 2] }, { pretty: false });
+
+    assert.strictEqual(await readFile(file, 'utf-8'), '{\n  "ok": true\n}');
+    assert.strictEqual(await readFile(join(dir, 'compact.json'), 'utf-8'), '{"a":[1,2]}');
+    assert.deepStrictEqual((await readdir(dir)).sort(), ['compact.json', 'status.json']);
+}));
+
+test('readJsonFile returns the fallback only for missing files', () => withTempDir(async dir => {
+    assert.deepStrictEqual(await readJsonFile(join(dir, 'missing.json'), []), []);
+    await assert.rejects(readJsonFile(join(dir, 'missing.json')), { code: 'ENOENT' });
+
+    await writeFile(join(dir, 'broken.json'), '[{"timestamp":');
+    await assert.rejects(readJsonFile(join(dir, 'broken.json'), []), /Cannot parse/);
+}));
+
+test('acquireLock is exclusive until released', () => withTempDir(async dir => {
+    const lockFile = join(dir, 'collect.lock');
+
+    const release = await acquireLock(lockFile);
+    assert.ok(release);
+    assert.strictEqual(await acquireLock(lockFile), null);
+
+    await release();
+    const again = await acquireLock(lockFile);
+    assert.ok(again);
+    await again();
+}));
+
+test('acquireLock takes over locks left by dead processes', () => withTempDir(async dir => {
+    const lockFile = join(dir, 'collect.lock');
+    // PIDs are capped well below 2^22 on Linux, so this one can't be running
+    await writeFile(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, since: '2026-05-04T10:00:00Z' }));
+
+    const release = await acquireLock(lockFile);
+    assert.ok(release);
+    assert.strictEqual(JSON.parse(await readFile(lockFile, 'utf-8')).pid, process.pid);
+    await release();
+}));
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    addDays,
+    formatLocalTime,
+    getLocalHour,
+    getWeekday,
+    getWindowBounds,
+    toDateKey,
+    zonedTimeToDate,
+} from '../time.js';
+
+test('toDateKey buckets by the Vienna calendar day, not UTC', () => {
+    // 23:30 UTC is already the next day in Vienna (CEST, UTC+2)
+    assert.strictEqual(toDateKey('2026-05-04T23:30:00Z'), '2026-05-05');
+    assert.strictEqual(toDateKey('2026-05-04T21:59:00Z'), '2026-05-04');
+    // Winter time (CET, UTC+1)
+    assert.strictEqual(toDateKey('2026-01-10T23:00:00Z'), '2026-01-11');
+    assert.strictEqual(toDateKey('2026-01-10T22:59:00Z'), '2026-01-10');
+});
+
+test('getLocalHour and formatLocalTime follow daylight saving time', () => {
+    assert.strictEqual(getLocalHour('2026-07-01T07:15:00Z'), 9);
+    assert.strictEqual(getLocalHour('2026-12-01T07:15:00Z'), 8);
+    assert.strictEqual(formatLocalTime('2026-03-29T00:59:00Z'), '01:59');
+    assert.strictEqual(formatLocalTime('2026-03-29T01:00:00Z'), '03:00');
+});
+
+test('zonedTimeToDate converts local times across DST changes', () => {
+    assert.strictEqual(zonedTimeToDate('2026-03-28', '09:00').toISOString(), '2026-03-28T08:00:00.000Z');
+    assert.strictEqual(zonedTimeToDate('2026-03-29', '09:00').toISOString(), '2026-03-29T07:00:00.000Z');
+    assert.strictEqual(zonedTimeToDate('2026-10-25', '22:00').toISOString(), '2026-10-25T21:00:00.000Z');
+    assert.strictEqual(zonedTimeToDate('2026-05-04', '24:00').toISOString(), '2026-05-04T22:00:00.000Z');
+
+    const { start, end } = getWindowBounds('2026-05-04', { start: '09:00', end: '22:00' });
+    assert.strictEqual(end - start, 13 * 60 * 60 * 1000);
+});
+
+test('addDays and getWeekday work on plain date keys', () => {
+    assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+    assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+    assert.strictEqual(getWeekday('2026-05-04'), 1);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { describeIssues, emptyQuarantine, getDrift, quarantineReading, validateReading } from '../validation.js';
+
+const at = minutes => new Date(Date.parse('2026-05-04T10:00:00Z') + minutes * 60 * 1000).toISOString();
+const reading = (minutes, lead, boulder = lead, extra = {}) => ({
+    timestamp: at(minutes),
+    lead,
+    boulder,
+    overall: Math.round((lead + boulder) / 2),
+    sectors: { open: 29, total: 31, list: null },
+    source: 'ajax',
+    ...extra
+});
+const options = { previous: reading(0, 40), quarantine: emptyQuarantine(), maxJump: 40 };
+const issuesOf = (entry, overrides = {}) => validateReading(entry, { ...options, ...overrides }).map(({ field, issue }) => `${field}:${issue}`);
+
+test('validateReading accepts plausible readings', () => {
+    assert.deepStrictEqual(issuesOf(reading(5, 55, 70)), []);
+    assert.deepStrictEqual(issuesOf(reading(5, 40), { previous: null }), []);
+    // Mirror readings copy one number into all three fields
+    assert.deepStrictEqual(issuesOf(reading(5, 45, 45, { sectors: null, source: 'mirror' })), []);
+});
+
+test('validateReading flags missing, out-of-range and inconsistent values', () => {
+    assert.deepStrictEqual(issuesOf({ ...reading(5, 40), boulder: null, overall: 40 }), ['boulder:missing']);
+    assert.deepStrictEqual(issuesOf({ ...reading(5, 40), lead: NaN }), ['lead:missing']);
+    assert.deepStrictEqual(issuesOf(reading(5, 40, 140)), ['boulder:out-of-range']);
+    assert.deepStrictEqual(issuesOf({ ...reading(5, 40), overall: 60 }), ['overall:inconsistent']);
+    assert.deepStrictEqual(issuesOf(reading(5, 40, 40, { sectors: { open: 33, total: 31, list: null } })), ['sectors:inconsistent']);
+
+    assert.strictEqual(describeIssues(validateReading({ ...reading(5, 40), boulder: undefined, overall: 40 }, options)), 'boulder is undefined');
+});
+
+test('validateReading flags sudden jumps since a recent entry', () => {
+    assert.deepStrictEqual(issuesOf(reading(5, 85, 45)), ['lead:jump']);
+    // The first reading of the day has nothing recent to compare with
+    assert.deepStrictEqual(issuesOf(reading(45, 85, 45)), []);
+    // Low-fidelity readings compare the overall value
+    assert.deepStrictEqual(issuesOf(reading(5, 90, 90, { source: 'mirror' })), ['overall:jump']);
+    assert.strictEqual(describeIssues(validateReading(reading(5, 85, 45), options)), 'lead jumped from 40% to 85%');
+});
+
+test('a jump repeated by the next reading is accepted', () => {
+    const quarantine = emptyQuarantine();
+    const jump = reading(5, 85, 45);
+    quarantineReading(quarantine, jump, validateReading(jump, options), 30);
+
+    assert.deepStrictEqual(issuesOf(reading(10, 80, 45), { quarantine }), []);
+    assert.deepStrictEqual(issuesOf(reading(10, 100, 45), { quarantine }), ['lead:jump']);
+    assert.deepStrictEqual(issuesOf(reading(40, 85, 45), { quarantine, previous: reading(30, 40) }), ['lead:jump']);
+});
+
+test('quarantineReading keeps the issues and trims old entries', () => {
+    const quarantine = emptyQuarantine();
+    quarantine.entries.push({ ...reading(-45 * 24 * 60, 40), issues: [] });
+    quarantineReading(quarantine, reading(5, 85, 45), [{ field: 'lead', issue: 'jump', message: 'lead jumped' }], 30);
+
+    assert.deepStrictEqual(quarantine.entries, [{ ...reading(5, 85, 45), issues: [{ field: 'lead', issue: 'jump', message: 'lead jumped' }] }]);
+});
+
+test('quarantineReading counts the retention window in gym-local days', () => {
+    // 2026-05-04 in New York, already 2026-05-05 in Vienna
+    const late = { ...reading(13 * 60, 40), issues: [] };
+    const trimmed = timeZone => {
+        const quarantine = emptyQuarantine();
+        quarantine.entries.push(late);
+        quarantineReading(quarantine, reading(24 * 60, 85, 45), [], 1, timeZone);
+        return quarantine.entries.map(entry => entry.timestamp);
+    };
+
+    assert.deepStrictEqual(trimmed('America/New_York'), [at(24 * 60)]);
+    assert.deepStrictEqual(trimmed(), [late.timestamp, at(24 * 60)]);
+});
+
+test('getDrift reports readings quarantined in a row since the last entry', () => {
+    const quarantine = emptyQuarantine();
+    const issue = name => [{ field: 'lead', issue: name, message: name }];
+    quarantineReading(quarantine, reading(-5, 90), issue('jump'), 30);
+    quarantineReading(quarantine, reading(5, 90), issue('jump'), 30);
+    quarantineReading(quarantine, reading(10, 90), issue('missing'), 30);
+
+    assert.strictEqual(getDrift(quarantine, reading(0, 40), 3), null);
+    assert.deepStrictEqual(getDrift(quarantine, reading(0, 40), 2), { count: 2, since: at(5), issues: ['jump', 'missing'] });
+    assert.strictEqual(getDrift(quarantine, null, 3).count, 3);
+});
@@ -0,0 +1,184 @@
+/**
+ * Gym Time
+ * Day bucketing, hour extraction and opening-window math in the gym's
+ * timezone (Europe/Vienna), independent of the machine or viewer timezone.
+ *
+ * Shared by collect.js (Node) and dashboard.js (browser), so this module must
+ * not import anything platform specific.
+ */
+
+export const GYM_TIMEZONE = 'Europe/Vienna';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Splits an instant into wall-clock fields in the given timezone
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(date, timeZone = GYM_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(
+    new Date(date)
+  )) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Local calendar date of an instant
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toDateKey(date, timeZone = GYM_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Local hour (0-23) of an instant
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {number}
+ */
+export function getLocalHour(date, timeZone = GYM_TIMEZONE) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Local minutes after midnight of an instant
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {number}
+ */
+export function getLocalMinutes(date, timeZone = GYM_TIMEZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Local wall-clock time of an instant
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {string} 'HH:MM'
+ */
+export function formatLocalTime(date, timeZone = GYM_TIMEZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Shifts a date key by whole calendar days
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} days - May be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function addDays(dateKey, days) {
+  const time = Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a date key (0 = Sunday)
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function getWeekday(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+function offsetAt(time, timeZone) {
+  const p = getZonedParts(time, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts a local date and wall-clock time to an instant.
+ * '24:00' is the following midnight. Times inside a DST gap resolve forward.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} [time='00:00'] - 'HH:MM'
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, time = '00:00', timeZone = GYM_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  const firstOffset = offsetAt(guess - offsetAt(guess, timeZone), timeZone);
+  return new Date(guess - firstOffset);
+}
+
+/**
+ * Start and end instants of an opening window on a local date
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {{start: string, end: string}} window - 'HH:MM' bounds
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {{start: Date, end: Date}}
+ */
+export function getWindowBounds(dateKey, window, timeZone = GYM_TIMEZONE) {
+  return {
+    start: zonedTimeToDate(dateKey, window.start, timeZone),
+    end: zonedTimeToDate(dateKey, window.end, timeZone),
+  };
+}
+
+/**
+ * Re-expresses an instant as a Date whose *runtime-local* fields equal the
+ * gym's wall clock. Chart.js and toLocale*String format in the viewer's
+ * timezone, so charts plot these to show gym time for every viewer.
+ * @param {Date|string|number} date
+ * @param {string} [timeZone=GYM_TIMEZONE]
+ * @returns {Date}
+ */
+export function toWallClock(date, timeZone = GYM_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * Wall-clock Date (see toWallClock) for a local date and time
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} [time='00:00'] - 'HH:MM'
+ * @returns {Date}
+ */
+export function wallClockDate(dateKey, time = '00:00') {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hour, minute);
+}
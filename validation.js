@@ -0,0 +1,205 @@
+/**
+ * Reading Validation
+ * Checks every scraped reading before it reaches the history: required
+ * fields, value ranges, whether `overall` and `sectors` add up, and whether
+ * it is plausible next to the last recorded entry (no sudden jump while
+ * open). Readings that fail are kept in a quarantine log, data/quarantine.json
+ * (`{ schemaVersion, entries }`, oldest first), instead of the history. A
+ * jump repeated by the next reading is taken as real, so a genuine change
+ * costs one poll. Several quarantined readings in a row mean the parser has
+ * probably drifted from the markup.
+ *
+ * Must not import anything platform specific.
+ */
+
+import { isLowFidelity } from './provenance.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+import { GYM_TIMEZONE, addDays, toDateKey } from './time.js';
+
+export const ISSUES = {
+  MISSING: 'missing', // a required value is absent or not a number
+  OUT_OF_RANGE: 'out-of-range',
+  INCONSISTENT: 'inconsistent', // overall or sectors don't add up
+  JUMP: 'jump', // implausible change since the last entry
+};
+
+const PERCENT_FIELDS = ['lead', 'boulder', 'overall'];
+// Only compare with entries this recent; older ones say little about now
+const JUMP_WINDOW_MS = 30 * 60 * 1000;
+// How close the next reading must come to a quarantined jump to confirm it
+const CONFIRM_TOLERANCE = 10;
+
+/**
+ * Quarantine log with nothing in it
+ * @returns {Object}
+ */
+export function emptyQuarantine() {
+  return { schemaVersion: SCHEMA_VERSIONS.quarantine, entries: [] };
+}
+
+function checkValues(reading) {
+  const issues = [];
+  for (const field of PERCENT_FIELDS) {
+    const value = reading[field];
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      issues.push({
+        field,
+        issue: ISSUES.MISSING,
+        message: `${field} is ${value}`,
+      });
+    } else if (!Number.isInteger(value) || value < 0 || value > 100) {
+      issues.push({
+        field,
+        issue: ISSUES.OUT_OF_RANGE,
+        message: `${field} is ${value}%`,
+      });
+    }
+  }
+  if (issues.length > 0) return issues;
+
+  const { lead, boulder, overall } = reading;
+  if (Math.abs(overall - (lead + boulder) / 2) > 1) {
+    issues.push({
+      field: 'overall',
+      issue: ISSUES.INCONSISTENT,
+      message: `overall ${overall}% is not the average of ${lead}% and ${boulder}%`,
+    });
+  }
+
+  const { sectors } = reading;
+  if (
+    sectors &&
+    !(
+      Number.isInteger(sectors.open) &&
+      Number.isInteger(sectors.total) &&
+      sectors.open >= 0 &&
+      sectors.open <= sectors.total &&
+      (!sectors.list || sectors.list.length === sectors.total)
+    )
+  ) {
+    issues.push({
+      field: 'sectors',
+      issue: ISSUES.INCONSISTENT,
+      message: `sectors ${sectors.open}/${sectors.total} don't add up`,
+    });
+  }
+  return issues;
+}
+
+// Readings without a real split only carry one meaningful number
+function comparableFields(reading, previous) {
+  return isLowFidelity(reading) || isLowFidelity(previous)
+    ? ['overall']
+    : ['lead', 'boulder'];
+}
+
+function isRecent(entry, reading) {
+  const gap = Date.parse(reading.timestamp) - Date.parse(entry.timestamp);
+  return gap >= 0 && gap <= JUMP_WINDOW_MS;
+}
+
+function findJumps(reading, previous, maxJump) {
+  if (!previous || !isRecent(previous, reading)) return [];
+  return comparableFields(reading, previous)
+    .filter(field => Math.abs(reading[field] - previous[field]) > maxJump)
+    .map(field => ({
+      field,
+      issue: ISSUES.JUMP,
+      message: `${field} jumped from ${previous[field]}% to ${reading[field]}%`,
+    }));
+}
+
+// The last quarantined reading was a jump to where this reading is now
+function confirmsJump(reading, quarantine) {
+  const last = quarantine.entries.at(-1);
+  if (
+    !last ||
+    !isRecent(last, reading) ||
+    !last.issues.every(({ issue }) => issue === ISSUES.JUMP)
+  ) {
+    return false;
+  }
+  return comparableFields(reading, last).every(
+    field => Math.abs(reading[field] - last[field]) <= CONFIRM_TOLERANCE
+  );
+}
+
+/**
+ * Everything wrong with a scraped reading
+ * @param {Object} reading - Output of scrapeOccupancy
+ * @param {Object} options
+ * @param {Object|null} options.previous - Last recorded history entry
+ * @param {Object} options.quarantine - Quarantine log
+ * @param {number} options.maxJump - Largest plausible change, in percentage
+ *   points, within 30 minutes
+ * @returns {Array<{field: string, issue: string, message: string}>} Empty
+ *   when the reading may be recorded; `issue` is one of ISSUES
+ */
+export function validateReading(reading, { previous, quarantine, maxJump }) {
+  const issues = checkValues(reading);
+  if (issues.length > 0) return issues;
+
+  const jumps = findJumps(reading, previous, maxJump);
+  return jumps.length > 0 && !confirmsJump(reading, quarantine) ? jumps : [];
+}
+
+/**
+ * Adds a rejected reading to the quarantine log and drops entries older
+ * than the retention window (mutates the log)
+ * @param {Object} quarantine - Quarantine log
+ * @param {Object} reading
+ * @param {Object[]} issues - From validateReading
+ * @param {number} maxDays - Days of quarantined readings to keep
+ * @param {string} [timeZone=GYM_TIMEZONE] - The gym's, for the days
+ * @returns {Object} The log
+ */
+export function quarantineReading(
+  quarantine,
+  reading,
+  issues,
+  maxDays,
+  timeZone = GYM_TIMEZONE
+) {
+  const cutoffKey = addDays(
+    toDateKey(new Date(reading.timestamp), timeZone),
+    -maxDays
+  );
+  quarantine.entries = [...quarantine.entries, { ...reading, issues }].filter(
+    ({ timestamp }) => toDateKey(new Date(timestamp), timeZone) > cutoffKey
+  );
+  return quarantine;
+}
+
+/**
+ * Repeated rejections since the last recorded entry, which point to the
+ * parser drifting from the markup rather than to one odd reading
+ * @param {Object} quarantine - Quarantine log
+ * @param {Object|null} lastEntry - Last recorded history entry
+ * @param {number} threshold - Readings in a row that count as drift
+ * @returns {{count: number, since: string, issues: string[]}|null} The
+ *   number of readings quarantined in a row, the first one's timestamp and
+ *   the kinds of issue seen, or null below the threshold
+ */
+export function getDrift(quarantine, lastEntry, threshold) {
+  const since = lastEntry?.timestamp ?? '';
+  const streak = quarantine.entries.filter(
+    ({ timestamp }) => timestamp > since
+  );
+  if (streak.length < threshold) return null;
+  return {
+    count: streak.length,
+    since: streak[0].timestamp,
+    issues: [
+      ...new Set(streak.flatMap(({ issues }) => issues.map(i => i.issue))),
+    ],
+  };
+}
+
+/**
+ * One-line summary of a reading's issues
+ * @param {Object[]} issues - From validateReading
+ * @returns {string}
+ */
+export function describeIssues(issues) {
+  return issues.map(({ message }) => message).join('; ');
+}